@@ -14,9 +14,15 @@ const patientRoutes = require('./routes/patient');
 const medicationRoutes = require('./routes/medication');
 const patientExtendedRoutes = require('./routes/patient-extended');
 const notificationRoutes = require('./routes/notifications');
+const doctorRoutes = require('./routes/doctor');
+const adminRoutes = require('./routes/admin');
+const caregiverRoutes = require('./routes/caregiver');
+const consentRoutes = require('./routes/consent');
 
 // Import services
 const { startAppointmentScheduler } = require('./services/appointmentScheduler');
+const { startAlertEscalationScheduler } = require('./services/alertEscalation');
+const { startInventoryScheduler } = require('./services/medicationInventory');
 
 const app = express();
 const PORT = process.env.PORT || 5001;
@@ -31,7 +37,7 @@ app.use(cors({
     origin: true,
     credentials: true,
     methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-    allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With']
+    allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'X-Patient-ID']
 }));
 
 // Middleware
@@ -53,6 +59,10 @@ app.use('/api/patient', patientRoutes);
 app.use('/api/patient', patientExtendedRoutes);
 app.use('/api/patient/medications', medicationRoutes);
 app.use('/api/notifications', notificationRoutes);
+app.use('/api/doctor', doctorRoutes);
+app.use('/api/admin', adminRoutes);
+app.use('/api/caregiver', caregiverRoutes);
+app.use('/api/consents', consentRoutes);
 
 // Health Check
 app.get('/api/health', async (req, res) => {
@@ -80,6 +90,10 @@ app.get('/', (req, res) => {
             patient: '/api/patient',
             medications: '/api/patient/medications',
             notifications: '/api/notifications',
+            doctor: '/api/doctor',
+            admin: '/api/admin',
+            caregiver: '/api/caregiver',
+            consents: '/api/consents',
             health: '/api/health'
         }
     });
@@ -197,6 +211,12 @@ const startServer = async () => {
         // Start appointment scheduler service
         startAppointmentScheduler();
 
+        // Start clinical alert escalation service
+        startAlertEscalationScheduler();
+
+        // Start eye-drop refill and discard reminders
+        startInventoryScheduler();
+
         app.listen(PORT, () => {
             console.log('🚀 EyeMate Glaucoma Management System Started!');
             console.log(`📡 Server running on http://localhost:${PORT}`);
@@ -210,6 +230,17 @@ const startServer = async () => {
             console.log('   POST /api/auth/logout      - ออกจากระบบ');
             console.log('   POST /api/auth/refresh     - รีเฟรชโทเคน');
             console.log('   GET  /api/auth/me          - ข้อมูลผู้ใช้ปัจจุบัน');
+            console.log('   GET  /api/auth/sessions    - อุปกรณ์ที่เข้าสู่ระบบอยู่');
+            console.log('   DELETE /api/auth/sessions/:id          - ออกจากระบบอุปกรณ์ที่เลือก');
+            console.log('   POST /api/auth/sessions/revoke-others  - ออกจากระบบอุปกรณ์อื่นทั้งหมด');
+            console.log('   POST /api/auth/forgot-password - ขอรหัส OTP ตั้งรหัสผ่านใหม่');
+            console.log('   POST /api/auth/reset-password  - ตั้งรหัสผ่านใหม่ด้วย OTP');
+            console.log('   POST /api/auth/change-password - เปลี่ยนรหัสผ่าน');
+            console.log('   GET  /api/auth/password-policy - นโยบายรหัสผ่าน');
+            console.log('   POST /api/auth/login/mfa/enroll - ยืนยันรหัส SMS เพื่อรับ Authenticator secret');
+            console.log('   POST /api/auth/login/mfa       - ยืนยันตัวตนสองขั้นตอน');
+            console.log('   POST /api/auth/mfa/setup       - ตั้งค่า Authenticator (TOTP)');
+            console.log('   POST /api/auth/mfa/enable      - เปิดใช้งานการยืนยันตัวตนสองขั้นตอน');
             console.log('');
             console.log('👤 Patient Profile & Settings:');
             console.log('   GET  /api/patient/profile     - ดูข้อมูลส่วนตัว');
@@ -221,14 +252,21 @@ const startServer = async () => {
             console.log('👁️  IOP Management:');
             console.log('   POST /api/patient/iop-measurement  - บันทึกค่าความดันลูกตา');
             console.log('   GET  /api/patient/iop-measurements - ดูประวัติความดันลูกตา');
+            console.log('   PUT  /api/patient/iop-measurements/:id    - แก้ไขค่าความดันลูกตาที่บันทึกผิด');
+            console.log('   DELETE /api/patient/iop-measurements/:id  - ลบค่าความดันลูกตา');
+            console.log('   POST /api/patient/iop-import       - นำเข้าค่าความดันลูกตาจากไฟล์ CSV');
             console.log('   GET  /api/patient/iop-analytics    - วิเคราะห์ความดันลูกตา');
+            console.log('   GET  /api/patient/iop-diurnal      - กราฟความดันลูกตาตามช่วงเวลาของวัน');
             console.log('');
             console.log('💊 Medication Management:');
             console.log('   GET  /api/patient/medications          - ดูรายการยา');
             console.log('   GET  /api/patient/medications/reminders - ดูการแจ้งเตือนยา');
             console.log('   POST /api/patient/medications/reminders - ตั้งการแจ้งเตือนยา');
+            console.log('   GET  /api/patient/medications/sequences - ลำดับการหยอดยาหลายชนิดพร้อมเวลารอ');
             console.log('   POST /api/patient/medications/usage     - บันทึกการใช้ยา');
             console.log('   GET  /api/patient/medications/adherence - รายงานการใช้ยา');
+            console.log('   GET  /api/patient/medications/inventory - ยาคงเหลือและวันที่คาดว่ายาจะหมด');
+            console.log('   POST /api/patient/medications/bottles   - บันทึกขวดยาที่ได้รับ');
             console.log('   GET  /api/patient/medications/usage-history - ประวัติการใช้ยา');
             console.log('');
             console.log('📅 Appointments:');
@@ -262,8 +300,54 @@ const startServer = async () => {
             console.log('   POST /api/notifications/subscribe             - สมัครรับ Push Notification');
             console.log('   POST /api/notifications/unsubscribe           - ยกเลิก Push Notification');
             console.log('   GET  /api/notifications/status                - สถานะการแจ้งเตือน');
+            console.log('   POST /api/notifications/reminder-action       - หยอดแล้ว/เลื่อน/ข้าม จากการแจ้งเตือนยา');
             console.log('   GET  /api/notifications/vapid-public-key      - VAPID Public Key');
             console.log('');
+            console.log('🔏 PDPA Consent:');
+            console.log('   GET    /api/consents/documents  - เอกสารขอความยินยอม (ฉบับปัจจุบัน)');
+            console.log('   GET    /api/consents            - ดูความยินยอมของฉัน');
+            console.log('   POST   /api/consents/:purpose   - ให้ความยินยอม');
+            console.log('   DELETE /api/consents/:purpose   - ถอนความยินยอม');
+            console.log('   GET    /api/patient/data-export     - ดาวน์โหลดสำเนาข้อมูลของฉัน (zip)');
+            console.log('   POST   /api/patient/erasure-request - ขอลบข้อมูลส่วนบุคคล');
+            console.log('');
+            console.log('👪 Caregivers:');
+            console.log('   POST /api/auth/register-caregiver            - ลงทะเบียนผู้ดูแล');
+            console.log('   POST /api/patient/caregivers                 - เชิญผู้ดูแล');
+            console.log('   GET  /api/patient/caregivers                 - ดูรายชื่อผู้ดูแล');
+            console.log('   POST /api/caregiver/invitations/accept       - ตอบรับคำเชิญ');
+            console.log('   GET  /api/caregiver/patients                 - ผู้ป่วยที่ดูแล (ใช้ X-Patient-ID เพื่อสลับ)');
+            console.log('');
+            console.log('🩺 Doctor:');
+            console.log('   GET  /api/doctor/patients                    - รายชื่อผู้ป่วยในความดูแล');
+            console.log('   GET  /api/doctor/patients/:id/chart          - ดูเวชระเบียนผู้ป่วย');
+            console.log('   GET  /api/doctor/patients/:id/iop-analytics  - วิเคราะห์แนวโน้มความดันลูกตา');
+            console.log('   GET  /api/doctor/patients/:id/iop-diurnal    - กราฟความดันลูกตาตามช่วงเวลาของวัน');
+            console.log('   GET  /api/doctor/patients/rising-iop         - ผู้ป่วยที่ความดันลูกตามีแนวโน้มสูงขึ้น');
+            console.log('   GET  /api/doctor/patients/:id/target-iop     - ค่าความดันลูกตาเป้าหมาย');
+            console.log('   PUT  /api/doctor/patients/:id/target-iop     - ตั้งค่าความดันลูกตาเป้าหมาย');
+            console.log('   POST /api/doctor/patients/:id/medications/check - ตรวจข้อห้ามใช้/ยาซ้ำกลุ่ม/การแพ้ยา');
+            console.log('   POST /api/doctor/patients/:id/medications     - สั่งยาใหม่');
+            console.log('   PUT  /api/doctor/patients/:id/medications/:pid - ปรับขนาดยา/ความถี่');
+            console.log('   POST /api/doctor/patients/:id/medications/:pid/discontinue - หยุดยา');
+            console.log('   GET  /api/doctor/patients/:id/medications/:pid/versions - ประวัติการเปลี่ยนแปลงใบสั่งยา');
+            console.log('   GET  /api/doctor/alerts                      - การแจ้งเตือนผู้ป่วยที่ต้องติดตาม');
+            console.log('   POST /api/doctor/alerts/:id/acknowledge      - รับทราบการแจ้งเตือน');
+            console.log('   POST /api/doctor/alerts/:id/resolve          - ปิดการแจ้งเตือน');
+            console.log('');
+            console.log('🛡️  Admin Console:');
+            console.log('   GET  /api/admin/users                          - ค้นหาผู้ใช้');
+            console.log('   GET  /api/admin/users/:id                      - ดูข้อมูลผู้ใช้');
+            console.log('   PUT  /api/admin/users/:id/status               - เปลี่ยนสถานะบัญชี');
+            console.log('   POST /api/admin/users/:id/reset-password       - รีเซ็ตรหัสผ่าน');
+            console.log('   PUT  /api/admin/users/:id/role                 - กำหนดบทบาทผู้ใช้');
+            console.log('   POST /api/admin/users/:id/unlock               - ปลดล็อกบัญชี');
+            console.log('   POST /api/admin/users/:id/sessions/expire      - บังคับออกจากระบบ');
+            console.log('   GET  /api/admin/research-export                - ส่งออกข้อมูลวิจัย (เฉพาะผู้ยินยอม)');
+            console.log('   GET  /api/admin/erasure-requests               - คำขอลบข้อมูล (PDPA)');
+            console.log('   POST /api/admin/erasure-requests/:id/approve   - ลบข้อมูลส่วนบุคคล (คงเวชระเบียน)');
+            console.log('   POST /api/admin/erasure-requests/:id/reject    - ปฏิเสธคำขอลบข้อมูล');
+            console.log('');
             console.log('🧪 Test Endpoints:');
             console.log('   GET  /api/test/db           - ทดสอบการเชื่อมต่อฐานข้อมูล');
             console.log('   GET  /api/test/patient-data - ทดสอบข้อมูลผู้ป่วย');
@@ -0,0 +1,96 @@
+// config/permissions.js - Role and Permission Configuration
+
+// Permissions that act on one patient's record. Routes requiring any of these
+// run against a patient context: the patient themself, a linked caregiver's
+// selected patient, or a patient on the clinician's care team.
+const PATIENT_PERMISSIONS = [
+    'profile:read',
+    'profile:write',
+    'dashboard:read',
+    'iop:read',
+    'iop:write',
+    'iop:target',
+    'medications:read',
+    'medications:prescribe',
+    'doses:write',
+    'reminders:read',
+    'reminders:write',
+    'appointments:read',
+    'appointments:request',
+    'history:read',
+    'history:write',
+    'tests:read',
+    'documents:read',
+    'documents:write',
+    'documents:download',
+    'notifications:read',
+    'settings:manage',
+    'consents:manage',
+    'caregivers:manage',
+    'data:export',
+    'data:erase',
+    'charts:read'
+];
+
+// What each role may do
+const ROLE_PERMISSIONS = {
+    Patient: [
+        'profile:read', 'profile:write', 'dashboard:read',
+        'iop:read', 'iop:write',
+        'medications:read', 'doses:write', 'reminders:read', 'reminders:write',
+        'appointments:read', 'appointments:request',
+        'history:read', 'history:write', 'tests:read',
+        'documents:read', 'documents:write', 'documents:download',
+        'notifications:read', 'settings:manage', 'consents:manage', 'caregivers:manage',
+        'data:export', 'data:erase', 'help:read'
+    ],
+    // Patient permissions for caregivers come from the scopes the patient granted
+    Caregiver: ['caregiving:manage'],
+    Doctor: [
+        'patients:list', 'charts:read', 'alerts:manage',
+        'iop:read', 'iop:write', 'iop:target', 'medications:read', 'medications:prescribe',
+        'appointments:read', 'appointments:approve',
+        'history:read', 'tests:read', 'documents:read', 'documents:download'
+    ],
+    Nurse: [
+        'patients:list', 'charts:read', 'alerts:manage',
+        'iop:read', 'iop:write', 'medications:read',
+        'appointments:read', 'history:read', 'tests:read', 'documents:read'
+    ],
+    Receptionist: ['appointments:approve'],
+    Admin: ['users:manage', 'research:export', 'erasure:process']
+};
+
+// Caregiver scope -> patient permissions it grants
+const CAREGIVER_SCOPE_PERMISSIONS = {
+    view_iop: ['iop:read'],
+    log_doses: ['medications:read', 'doses:write'],
+    receive_reminders: ['reminders:read'],
+    manage_appointments: ['appointments:read', 'appointments:request']
+};
+
+const ROLES = Object.keys(ROLE_PERMISSIONS);
+
+const getRolePermissions = (role) => ROLE_PERMISSIONS[role] || [];
+
+const isPatientPermission = (permission) => PATIENT_PERMISSIONS.includes(permission);
+
+const getScopePermissions = (scopes) => {
+    return [...new Set(scopes.flatMap(scope => CAREGIVER_SCOPE_PERMISSIONS[scope] || []))];
+};
+
+// True when some caregiver scope can grant the permission
+const isScopeGrantable = (permission) => {
+    return Object.values(CAREGIVER_SCOPE_PERMISSIONS).some(permissions => permissions.includes(permission));
+};
+
+module.exports = {
+    PATIENT_PERMISSIONS,
+    ROLE_PERMISSIONS,
+    CAREGIVER_SCOPE_PERMISSIONS,
+    ROLES,
+    getRolePermissions,
+    isPatientPermission,
+    getScopePermissions,
+    isScopeGrantable
+};
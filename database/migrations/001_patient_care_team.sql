@@ -0,0 +1,13 @@
+-- 001_patient_care_team.sql - Clinicians assigned to each patient
+CREATE TABLE IF NOT EXISTS Patient_Care_Team (
+    ID BIGINT PRIMARY KEY,
+    Patient_ID BIGINT NOT NULL,
+    Member_User_ID VARCHAR(13) NOT NULL,
+    Care_Role VARCHAR(20) NOT NULL DEFAULT 'Doctor',
+    Is_Primary TINYINT(1) NOT NULL DEFAULT 0,
+    Is_Active TINYINT(1) NOT NULL DEFAULT 1,
+    Assigned_At DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    Unassigned_At DATETIME NULL,
+    UNIQUE KEY uq_care_team_member (Patient_ID, Member_User_ID),
+    KEY idx_care_team_member (Member_User_ID, Is_Active)
+);
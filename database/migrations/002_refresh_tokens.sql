@@ -0,0 +1,16 @@
+-- 002_refresh_tokens.sql - Rotating refresh tokens bound to a session
+CREATE TABLE IF NOT EXISTS Refresh_Tokens (
+    Token_ID VARCHAR(32) PRIMARY KEY,
+    Family_ID VARCHAR(32) NOT NULL,
+    Session_ID VARCHAR(16) NOT NULL,
+    National_ID VARCHAR(13) NOT NULL,
+    Token_Hash CHAR(64) NOT NULL,
+    Expires_At DATETIME NOT NULL,
+    Used_At DATETIME NULL,
+    Revoked_At DATETIME NULL,
+    Replaced_By VARCHAR(32) NULL,
+    Created_At DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    KEY idx_refresh_family (Family_ID),
+    KEY idx_refresh_session (Session_ID),
+    KEY idx_refresh_user (National_ID)
+);
@@ -0,0 +1,12 @@
+-- 003_password_reset_otps.sql - One-time codes for the forgot-password flow
+CREATE TABLE IF NOT EXISTS Password_Reset_OTPs (
+    OTP_ID VARCHAR(16) PRIMARY KEY,
+    National_ID VARCHAR(13) NOT NULL,
+    OTP_Hash CHAR(64) NOT NULL,
+    Expires_At DATETIME NOT NULL,
+    Attempts INT NOT NULL DEFAULT 0,
+    Consumed_At DATETIME NULL,
+    Requested_IP VARCHAR(45) NULL,
+    Created_At DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    KEY idx_reset_otp_user (National_ID, Created_At)
+);
@@ -0,0 +1,32 @@
+-- 004_mfa.sql - TOTP two-factor authentication
+CREATE TABLE IF NOT EXISTS User_MFA (
+    National_ID VARCHAR(13) PRIMARY KEY,
+    Secret_Encrypted VARCHAR(255) NOT NULL,
+    Is_Enabled TINYINT(1) NOT NULL DEFAULT 0,
+    Last_Used_Step BIGINT NULL,
+    Enrolled_At DATETIME NULL,
+    Created_At DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    Updated_At DATETIME NULL
+);
+
+CREATE TABLE IF NOT EXISTS MFA_Backup_Codes (
+    ID VARCHAR(16) PRIMARY KEY,
+    National_ID VARCHAR(13) NOT NULL,
+    Code_Hash CHAR(64) NOT NULL,
+    Used_At DATETIME NULL,
+    Created_At DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    KEY idx_backup_codes_user (National_ID)
+);
+
+CREATE TABLE IF NOT EXISTS MFA_Challenges (
+    Challenge_ID VARCHAR(32) PRIMARY KEY,
+    National_ID VARCHAR(13) NOT NULL,
+    Challenge_Type VARCHAR(10) NOT NULL,
+    Expires_At DATETIME NOT NULL,
+    Attempts INT NOT NULL DEFAULT 0,
+    Consumed_At DATETIME NULL,
+    IP_Address VARCHAR(45) NULL,
+    User_Agent VARCHAR(255) NULL,
+    Created_At DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    KEY idx_mfa_challenges_user (National_ID)
+);
@@ -0,0 +1,9 @@
+-- 005_account_lockouts.sql - Per-account failed login counters
+CREATE TABLE IF NOT EXISTS Account_Lockouts (
+    National_ID VARCHAR(13) PRIMARY KEY,
+    Failed_Count INT NOT NULL DEFAULT 0,
+    Last_Failed_At DATETIME NULL,
+    Last_Failed_IP VARCHAR(45) NULL,
+    Locked_Until DATETIME NULL,
+    Updated_At DATETIME NULL
+);
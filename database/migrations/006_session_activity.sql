@@ -0,0 +1,5 @@
+-- 006_session_activity.sql - Per-device session details
+ALTER TABLE Sessions
+    ADD COLUMN IF NOT EXISTS IP_Address VARCHAR(45) NULL,
+    ADD COLUMN IF NOT EXISTS Created_At DATETIME NULL,
+    ADD COLUMN IF NOT EXISTS Last_Activity_At DATETIME NULL;
@@ -0,0 +1,19 @@
+-- 007_caregiver_links.sql - Caregiver (family proxy) access to a patient
+CREATE TABLE IF NOT EXISTS Caregiver_Links (
+    ID BIGINT PRIMARY KEY,
+    Patient_ID BIGINT NOT NULL,
+    Caregiver_User_ID VARCHAR(13) NULL,
+    Invite_Phone VARCHAR(10) NOT NULL,
+    Invite_Code_Hash CHAR(64) NULL,
+    Invite_Expires_At DATETIME NULL,
+    Relationship VARCHAR(50) NULL,
+    Scopes VARCHAR(255) NOT NULL,
+    Status VARCHAR(10) NOT NULL DEFAULT 'Pending',
+    Created_At DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    Accepted_At DATETIME NULL,
+    Revoked_At DATETIME NULL,
+    Updated_At DATETIME NULL,
+    KEY idx_caregiver_links_patient (Patient_ID, Status),
+    KEY idx_caregiver_links_caregiver (Caregiver_User_ID, Status),
+    KEY idx_caregiver_links_phone (Invite_Phone, Status)
+);
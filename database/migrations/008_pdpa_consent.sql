@@ -0,0 +1,55 @@
+-- 008_pdpa_consent.sql - Versioned consent documents and per-purpose consent records (PDPA)
+CREATE TABLE IF NOT EXISTS Consent_Documents (
+    ID BIGINT PRIMARY KEY,
+    Purpose VARCHAR(30) NOT NULL,
+    Version VARCHAR(20) NOT NULL,
+    Title VARCHAR(255) NOT NULL,
+    Content TEXT NOT NULL,
+    Effective_Date DATE NOT NULL,
+    Is_Current TINYINT(1) NOT NULL DEFAULT 0,
+    Created_At DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE KEY uq_consent_document_version (Purpose, Version)
+);
+
+CREATE TABLE IF NOT EXISTS User_Consents (
+    ID BIGINT PRIMARY KEY,
+    User_ID VARCHAR(13) NOT NULL,
+    Purpose VARCHAR(30) NOT NULL,
+    Document_ID BIGINT NOT NULL,
+    Document_Version VARCHAR(20) NOT NULL,
+    Status VARCHAR(10) NOT NULL,
+    Granted_At DATETIME NOT NULL,
+    Withdrawn_At DATETIME NULL,
+    IP_Address VARCHAR(45) NULL,
+    User_Agent VARCHAR(255) NULL,
+    KEY idx_user_consents_purpose (User_ID, Purpose, Granted_At)
+);
+
+INSERT IGNORE INTO Consent_Documents (ID, Purpose, Version, Title, Content, Effective_Date, Is_Current) VALUES
+(1, 'treatment', '1.0', 'การเก็บและใช้ข้อมูลสุขภาพเพื่อการรักษา',
+ 'ข้าพเจ้ายินยอมให้ EyeMate เก็บรวบรวม ใช้ และเปิดเผยข้อมูลสุขภาพของข้าพเจ้าแก่ทีมผู้รักษาเพื่อการดูแลรักษาโรคต้อหิน', CURDATE(), 1),
+(2, 'research', '1.0', 'การใช้ข้อมูลที่ไม่ระบุตัวตนเพื่อการวิจัย',
+ 'ข้าพเจ้ายินยอมให้นำข้อมูลสุขภาพของข้าพเจ้าในรูปแบบที่ไม่สามารถระบุตัวตนได้ไปใช้เพื่อการวิจัยทางการแพทย์', CURDATE(), 1),
+(3, 'notifications', '1.0', 'การรับการแจ้งเตือน',
+ 'ข้าพเจ้ายินยอมให้ EyeMate ส่งการแจ้งเตือนเกี่ยวกับยา นัดหมาย และสุขภาพตาไปยังอุปกรณ์ของข้าพเจ้า', CURDATE(), 1),
+(4, 'caregiver_sharing', '1.0', 'การแบ่งปันข้อมูลกับผู้ดูแล',
+ 'ข้าพเจ้ายินยอมให้ผู้ดูแลที่ข้าพเจ้าเชิญเข้าถึงข้อมูลสุขภาพของข้าพเจ้าตามสิทธิ์ที่ข้าพเจ้ากำหนด', CURDATE(), 1);
+
+-- Accounts that agreed to the old single Data_Consent flag keep what it covered:
+-- treatment and notifications. Research and caregiver sharing stay opt-in.
+-- IDs start at 2e15, above both timestamp IDs and generateRecordId().
+INSERT INTO User_Consents (ID, User_ID, Purpose, Document_ID, Document_Version, Status, Granted_At)
+SELECT consented.ID, consented.User_ID, consented.Purpose, consented.Document_ID, consented.Version,
+       'Granted', consented.Granted_At
+FROM (
+    SELECT 2000000000000000 + ROW_NUMBER() OVER (ORDER BY u.National_ID, d.ID) as ID,
+           u.National_ID as User_ID, d.Purpose, d.ID as Document_ID, d.Version,
+           COALESCE(u.Created_At, NOW()) as Granted_At
+    FROM Users u
+    JOIN Consent_Documents d ON d.Purpose IN ('treatment', 'notifications') AND d.Is_Current = 1
+    WHERE u.Data_Consent = 1
+) consented
+WHERE NOT EXISTS (
+    SELECT 1 FROM User_Consents uc
+    WHERE uc.User_ID = consented.User_ID AND uc.Purpose = consented.Purpose
+);
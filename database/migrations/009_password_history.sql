@@ -0,0 +1,8 @@
+-- 009_password_history.sql - Previous password hashes, used to block password reuse
+CREATE TABLE IF NOT EXISTS Password_History (
+    History_ID VARCHAR(20) PRIMARY KEY,
+    National_ID VARCHAR(13) NOT NULL,
+    Password_Hash VARCHAR(255) NOT NULL,
+    Created_At DATETIME NOT NULL,
+    INDEX idx_password_history_user (National_ID, Created_At)
+);
@@ -0,0 +1,16 @@
+-- 011_data_erasure_requests.sql - PDPA erasure requests and their outcome
+CREATE TABLE IF NOT EXISTS Data_Erasure_Requests (
+    ID BIGINT PRIMARY KEY,
+    User_ID VARCHAR(13) NOT NULL,
+    Patient_ID BIGINT NULL,
+    Reason TEXT NULL,
+    Status VARCHAR(10) NOT NULL DEFAULT 'Pending',
+    Requested_At DATETIME NOT NULL,
+    Reviewed_By VARCHAR(13) NULL,
+    Reviewed_At DATETIME NULL,
+    Review_Note TEXT NULL,
+    Completed_At DATETIME NULL,
+    Retention_Until DATE NULL,
+    KEY idx_erasure_user (User_ID, Status),
+    KEY idx_erasure_status (Status, Requested_At)
+);
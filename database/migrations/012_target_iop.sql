@@ -0,0 +1,12 @@
+-- 012_target_iop.sql - Versioned per-eye target IOP set by the treating doctor
+CREATE TABLE IF NOT EXISTS Target_IOP (
+    ID BIGINT PRIMARY KEY,
+    Patient_ID BIGINT NOT NULL,
+    Version INT NOT NULL,
+    Left_Eye_Target DECIMAL(4,1) NULL,
+    Right_Eye_Target DECIMAL(4,1) NULL,
+    Reason TEXT NULL,
+    Set_By VARCHAR(13) NOT NULL,
+    Set_At DATETIME NOT NULL,
+    UNIQUE KEY uq_target_iop_version (Patient_ID, Version)
+);
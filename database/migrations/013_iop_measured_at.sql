@@ -0,0 +1,8 @@
+-- 013_iop_measured_at.sql - Full timestamp of each IOP reading
+ALTER TABLE IOP_Records
+    ADD COLUMN IF NOT EXISTS Measured_At DATETIME NULL;
+
+-- Existing readings were entered when they were taken
+UPDATE IOP_Records SET Measured_At = Created_At WHERE Measured_At IS NULL;
+
+CREATE INDEX IF NOT EXISTS idx_iop_records_measured_at ON IOP_Records (Patient_ID, Measured_At);
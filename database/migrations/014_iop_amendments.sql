@@ -0,0 +1,24 @@
+-- 014_iop_amendments.sql - Corrections to IOP readings: soft delete and amendment history
+ALTER TABLE IOP_Records
+    ADD COLUMN IF NOT EXISTS Is_Deleted TINYINT(1) NOT NULL DEFAULT 0,
+    ADD COLUMN IF NOT EXISTS Deleted_At DATETIME NULL,
+    ADD COLUMN IF NOT EXISTS Deleted_By VARCHAR(13) NULL,
+    ADD COLUMN IF NOT EXISTS Updated_At DATETIME NULL;
+
+CREATE TABLE IF NOT EXISTS IOP_Record_Amendments (
+    ID BIGINT PRIMARY KEY,
+    IOP_Record_ID BIGINT NOT NULL,
+    Patient_ID BIGINT NOT NULL,
+    Action ENUM('Update', 'Delete') NOT NULL,
+    Old_Left_Eye_IOP DECIMAL(4,1) NULL,
+    Old_Right_Eye_IOP DECIMAL(4,1) NULL,
+    Old_Measured_At DATETIME NULL,
+    New_Left_Eye_IOP DECIMAL(4,1) NULL,
+    New_Right_Eye_IOP DECIMAL(4,1) NULL,
+    New_Measured_At DATETIME NULL,
+    Reason TEXT NOT NULL,
+    Amended_By VARCHAR(13) NOT NULL,
+    Amended_At DATETIME NOT NULL,
+    INDEX idx_iop_amendments_record (IOP_Record_ID),
+    INDEX idx_iop_amendments_patient (Patient_ID, Amended_At)
+);
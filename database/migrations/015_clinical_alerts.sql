@@ -0,0 +1,21 @@
+-- 015_clinical_alerts.sql - High-IOP and severe-symptom alerts escalated to the care team
+CREATE TABLE IF NOT EXISTS Clinical_Alerts (
+    ID BIGINT PRIMARY KEY,
+    Patient_ID BIGINT NOT NULL,
+    Alert_Type ENUM('High_IOP', 'Severe_Symptom') NOT NULL,
+    Source_Type ENUM('IOP_Record', 'Symptom_Report') NOT NULL,
+    Source_ID BIGINT NOT NULL,
+    Details TEXT NULL,
+    Status ENUM('Open', 'Acknowledged', 'Resolved') NOT NULL DEFAULT 'Open',
+    Escalation_Level INT NOT NULL DEFAULT 0,
+    Last_Notified_At DATETIME NULL,
+    Acknowledged_By VARCHAR(13) NULL,
+    Acknowledged_At DATETIME NULL,
+    Resolved_By VARCHAR(13) NULL,
+    Resolved_At DATETIME NULL,
+    Resolution_Note TEXT NULL,
+    Created_At DATETIME NOT NULL,
+    KEY idx_clinical_alerts_patient (Patient_ID, Status),
+    KEY idx_clinical_alerts_escalation (Status, Last_Notified_At),
+    KEY idx_clinical_alerts_source (Source_Type, Source_ID)
+);
@@ -0,0 +1,20 @@
+-- 016_reminder_schedules.sql - Recurrence rules for medication reminders
+ALTER TABLE Medication_Reminders
+    ADD COLUMN IF NOT EXISTS Days_Of_Week VARCHAR(27) NULL,
+    ADD COLUMN IF NOT EXISTS Interval_Hours INT NULL,
+    ADD COLUMN IF NOT EXISTS Start_Date DATE NULL,
+    ADD COLUMN IF NOT EXISTS End_Date DATE NULL,
+    ADD COLUMN IF NOT EXISTS Notes TEXT NULL;
+
+-- Missed doses are now recorded per occurrence, so reminders stay Pending while active
+ALTER TABLE Medication_Doses
+    ADD COLUMN IF NOT EXISTS Reminder_ID BIGINT NULL;
+
+CREATE INDEX IF NOT EXISTS idx_medication_doses_reminder ON Medication_Doses (Reminder_ID, Scheduled_Time);
+
+-- Daily reminders used to stop for good once marked Sent or Missed; only those of
+-- medications still in use start again
+UPDATE Medication_Reminders mr
+JOIN Patient_Medications pm ON mr.Patient_Medication_ID = pm.ID
+SET mr.Status = 'Pending'
+WHERE mr.Status IN ('Sent', 'Missed') AND pm.Status = 'Active';
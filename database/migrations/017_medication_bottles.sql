@@ -0,0 +1,19 @@
+-- 017_medication_bottles.sql - Dispensed eye-drop bottles per prescribed medication
+CREATE TABLE IF NOT EXISTS Medication_Bottles (
+    ID BIGINT PRIMARY KEY,
+    Patient_ID BIGINT NOT NULL,
+    Patient_Medication_ID BIGINT NOT NULL,
+    Volume_ML DECIMAL(5,2) NOT NULL,
+    Drops_Per_ML DECIMAL(5,1) NOT NULL DEFAULT 20,
+    Drops_Used INT NOT NULL DEFAULT 0,
+    Dispensed_Date DATE NULL,
+    Opened_Date DATE NULL,
+    Discard_After_Days INT NOT NULL DEFAULT 28,
+    Status ENUM('Unopened', 'In_Use', 'Empty', 'Discarded') NOT NULL DEFAULT 'Unopened',
+    Refill_Reminder_Sent_At DATETIME NULL,
+    Discard_Warning_Sent_At DATETIME NULL,
+    Created_At DATETIME NOT NULL,
+    Updated_At DATETIME NULL,
+    KEY idx_medication_bottles_medication (Patient_Medication_ID, Status),
+    KEY idx_medication_bottles_patient (Patient_ID, Status)
+);
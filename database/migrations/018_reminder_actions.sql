@@ -0,0 +1,27 @@
+-- 018_reminder_actions.sql - Single-use tokens for Taken/Snooze/Skip actions on reminder pushes
+CREATE TABLE IF NOT EXISTS Reminder_Action_Tokens (
+    ID BIGINT PRIMARY KEY,
+    Token_Hash CHAR(64) NOT NULL,
+    Patient_ID BIGINT NOT NULL,
+    Recipient_User_ID VARCHAR(13) NOT NULL,
+    Items TEXT NOT NULL,
+    Expires_At DATETIME NOT NULL,
+    Used_At DATETIME NULL,
+    Used_Action VARCHAR(10) NULL,
+    Created_At DATETIME NOT NULL,
+    UNIQUE KEY uq_reminder_action_token (Token_Hash)
+);
+
+CREATE TABLE IF NOT EXISTS Medication_Reminder_Snoozes (
+    ID BIGINT PRIMARY KEY,
+    Patient_ID BIGINT NOT NULL,
+    Reminder_ID BIGINT NOT NULL,
+    Patient_Medication_ID BIGINT NOT NULL,
+    Scheduled_Time DATETIME NOT NULL,
+    Snoozed_Until DATETIME NOT NULL,
+    Snoozed_By VARCHAR(13) NOT NULL,
+    Sent_At DATETIME NULL,
+    Created_At DATETIME NOT NULL,
+    KEY idx_reminder_snoozes_due (Sent_At, Snoozed_Until),
+    KEY idx_reminder_snoozes_occurrence (Reminder_ID, Scheduled_Time)
+);
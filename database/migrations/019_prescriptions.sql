@@ -0,0 +1,30 @@
+-- 019_prescriptions.sql - Doctor-managed prescriptions with a version per change
+ALTER TABLE Patient_Medications
+    ADD COLUMN IF NOT EXISTS Start_Date DATE NULL,
+    ADD COLUMN IF NOT EXISTS End_Date DATE NULL,
+    ADD COLUMN IF NOT EXISTS Notes TEXT NULL,
+    ADD COLUMN IF NOT EXISTS Prescribed_By VARCHAR(13) NULL,
+    ADD COLUMN IF NOT EXISTS Discontinued_At DATETIME NULL,
+    ADD COLUMN IF NOT EXISTS Discontinued_By VARCHAR(13) NULL,
+    ADD COLUMN IF NOT EXISTS Discontinue_Reason TEXT NULL,
+    ADD COLUMN IF NOT EXISTS Updated_At DATETIME NULL;
+
+CREATE TABLE IF NOT EXISTS Patient_Medication_Versions (
+    ID BIGINT PRIMARY KEY,
+    Patient_Medication_ID BIGINT NOT NULL,
+    Patient_ID BIGINT NOT NULL,
+    Version INT NOT NULL,
+    Change_Type ENUM('Prescribed', 'Modified', 'Discontinued') NOT NULL,
+    Medication_ID BIGINT NOT NULL,
+    Eye VARCHAR(10) NULL,
+    Dosage VARCHAR(100) NULL,
+    Frequency VARCHAR(100) NULL,
+    Start_Date DATE NULL,
+    End_Date DATE NULL,
+    Status VARCHAR(20) NOT NULL,
+    Reason TEXT NULL,
+    Changed_By VARCHAR(13) NOT NULL,
+    Changed_At DATETIME NOT NULL,
+    UNIQUE KEY uq_patient_medication_version (Patient_Medication_ID, Version),
+    KEY idx_patient_medication_versions_patient (Patient_ID)
+);
@@ -0,0 +1,4 @@
+-- 020_mfa_enrollment_code.sql - Out-of-band code before a login enrollment shows the TOTP secret
+ALTER TABLE MFA_Challenges
+    ADD COLUMN IF NOT EXISTS Enrollment_Code_Hash CHAR(64) NULL,
+    ADD COLUMN IF NOT EXISTS Enrollment_Verified_At DATETIME NULL;
@@ -1,6 +1,14 @@
 // middleware/auth.js - Authentication Middleware
 const { pool } = require('../config/database');
-const { verifyAccessToken } = require('../utils/helpers');
+const { verifyAccessToken, touchSession } = require('../utils/helpers');
+const { getActiveLink } = require('../services/caregiver');
+const { hasConsent } = require('../services/consent');
+const {
+    getRolePermissions,
+    getScopePermissions,
+    isPatientPermission,
+    isScopeGrantable
+} = require('../config/permissions');
 
 // Authentication Middleware
 const authenticateToken = (req, res, next) => {
@@ -29,7 +37,8 @@ const authenticateToken = (req, res, next) => {
                 });
             }
 
-            req.user = user;
+            req.user = { ...user, sessionId: sessions[0].Session_ID };
+            touchSession(sessions[0].Session_ID);
             next();
         }).catch(error => {
             console.error('Session validation error:', error);
@@ -50,10 +59,118 @@ const authenticateToken = (req, res, next) => {
     }
 };
 
-// Ensure patient role
-const ensurePatient = async (req, res, next) => {
+// Patient context for patient permissions; returns { error } or { context }
+const resolvePatientContext = async (req, role) => {
+    if (role === 'Patient') {
+        const [patients] = await pool.execute(
+            'SELECT Patient_ID FROM Patients WHERE User_ID = ?',
+            [req.user.userId]
+        );
+
+        if (patients.length === 0) {
+            return {
+                error: {
+                    status: 404,
+                    body: { message: 'Patient profile not found', code: 'PATIENT_PROFILE_NOT_FOUND' }
+                }
+            };
+        }
+
+        return {
+            context: {
+                actingAs: 'patient',
+                patientId: patients[0].Patient_ID,
+                patientUserId: req.user.userId
+            }
+        };
+    }
+
+    const selectedPatientId = req.params.patient_id || req.headers['x-patient-id'] || req.query.patient_id;
+
+    if (!selectedPatientId) {
+        return {
+            error: {
+                status: 400,
+                body: { message: 'Select a patient with the X-Patient-ID header', code: 'PATIENT_SELECTION_REQUIRED' }
+            }
+        };
+    }
+
+    if (role === 'Caregiver') {
+        const link = await getActiveLink(req.user.userId, selectedPatientId);
+
+        if (!link) {
+            return {
+                error: {
+                    status: 403,
+                    body: {
+                        message: 'Access denied. The patient has not granted this permission.',
+                        code: 'CAREGIVER_SCOPE_DENIED'
+                    }
+                }
+            };
+        }
+
+        if (!(await hasConsent(link.Patient_User_ID, 'caregiver_sharing'))) {
+            return {
+                error: {
+                    status: 403,
+                    body: {
+                        message: 'Access denied. The patient has withdrawn consent to share data with caregivers.',
+                        code: 'CONSENT_REQUIRED'
+                    }
+                }
+            };
+        }
+
+        return {
+            context: {
+                actingAs: 'caregiver',
+                patientId: link.Patient_ID,
+                patientUserId: link.Patient_User_ID,
+                caregiverScopes: link.scopes
+            },
+            permissions: getScopePermissions(link.scopes)
+        };
+    }
+
+    // Clinical staff only see patients on their care team
+    const [members] = await pool.execute(
+        `SELECT ct.Care_Role, ct.Is_Primary, p.Patient_ID, p.User_ID
+         FROM Patient_Care_Team ct
+         JOIN Patients p ON ct.Patient_ID = p.Patient_ID
+         WHERE ct.Patient_ID = ? AND ct.Member_User_ID = ? AND ct.Is_Active = 1`,
+        [selectedPatientId, req.user.userId]
+    );
+
+    if (members.length === 0) {
+        return {
+            error: {
+                status: 403,
+                body: { message: 'Access denied. Patient is not assigned to your care team.', code: 'NOT_ON_CARE_TEAM' }
+            }
+        };
+    }
+
+    return {
+        context: {
+            actingAs: 'care_team',
+            patientId: members[0].Patient_ID,
+            patientUserId: members[0].User_ID
+        },
+        careTeam: {
+            patientId: members[0].Patient_ID,
+            patientUserId: members[0].User_ID,
+            careRole: members[0].Care_Role,
+            isPrimary: !!members[0].Is_Primary
+        }
+    };
+};
+
+// Permission check: resolves the user's role, and for patient permissions the
+// patient being acted on, then requires every listed permission
+const authorize = (...required) => async (req, res, next) => {
     try {
-        // Check if user exists in Users table and has patient role
         const [users] = await pool.execute(
             'SELECT Role FROM Users WHERE National_ID = ?',
             [req.user.userId]
@@ -66,55 +183,47 @@ const ensurePatient = async (req, res, next) => {
             });
         }
 
-        if (users[0].Role !== 'Patient') {
-            return res.status(403).json({
-                message: 'Access denied. Patient role required.',
-                code: 'INSUFFICIENT_PERMISSIONS'
-            });
-        }
+        const role = users[0].Role;
+        let permissions = getRolePermissions(role);
 
-        // Check if patient profile exists
-        const [patients] = await pool.execute(
-            'SELECT Patient_ID FROM Patients WHERE User_ID = ?',
-            [req.user.userId]
+        // Caregivers may still receive patient permissions through their scopes
+        const denied = required.filter(permission =>
+            !permissions.includes(permission) && !(role === 'Caregiver' && isScopeGrantable(permission))
         );
 
-        if (patients.length === 0) {
-            return res.status(404).json({
-                message: 'Patient profile not found',
-                code: 'PATIENT_PROFILE_NOT_FOUND'
+        if (denied.length > 0) {
+            return res.status(403).json({
+                message: 'Access denied. Missing permission.',
+                code: 'INSUFFICIENT_PERMISSIONS',
+                required: denied
             });
         }
 
-        req.user.patientId = patients[0].Patient_ID;
-        next();
-    } catch (error) {
-        console.error('Ensure patient error:', error);
-        return res.status(500).json({
-            message: 'Internal server error',
-            code: 'INTERNAL_ERROR'
-        });
-    }
-};
+        req.user.role = role;
 
-// Ensure doctor role
-const ensureDoctor = async (req, res, next) => {
-    try {
-        const [users] = await pool.execute(
-            'SELECT Role FROM Users WHERE National_ID = ?',
-            [req.user.userId]
-        );
+        if (required.some(isPatientPermission)) {
+            const resolved = await resolvePatientContext(req, role);
+
+            if (resolved.error) {
+                return res.status(resolved.error.status).json(resolved.error.body);
+            }
+
+            Object.assign(req.user, resolved.context);
+            if (resolved.careTeam) req.careTeam = resolved.careTeam;
+            if (resolved.permissions) permissions = [...permissions, ...resolved.permissions];
+        }
 
-        if (users.length === 0 || users[0].Role !== 'Doctor') {
+        if (!required.every(permission => permissions.includes(permission))) {
             return res.status(403).json({
-                message: 'Access denied. Doctor role required.',
-                code: 'INSUFFICIENT_PERMISSIONS'
+                message: 'Access denied. The patient has not granted this permission.',
+                code: 'CAREGIVER_SCOPE_DENIED'
             });
         }
 
+        req.user.permissions = permissions;
         next();
     } catch (error) {
-        console.error('Ensure doctor error:', error);
+        console.error('Authorize error:', error);
         return res.status(500).json({
             message: 'Internal server error',
             code: 'INTERNAL_ERROR'
@@ -122,24 +231,22 @@ const ensureDoctor = async (req, res, next) => {
     }
 };
 
-// Ensure admin role
-const ensureAdmin = async (req, res, next) => {
+// Ensure the data subject (the patient, also when a caregiver acts for them) has given consent
+const requireConsent = (purpose) => async (req, res, next) => {
     try {
-        const [users] = await pool.execute(
-            'SELECT Role FROM Users WHERE National_ID = ?',
-            [req.user.userId]
-        );
+        const subjectId = req.user.patientUserId || req.user.userId;
 
-        if (users.length === 0 || users[0].Role !== 'Admin') {
+        if (!(await hasConsent(subjectId, purpose))) {
             return res.status(403).json({
-                message: 'Access denied. Admin role required.',
-                code: 'INSUFFICIENT_PERMISSIONS'
+                message: `Consent required: ${purpose}`,
+                code: 'CONSENT_REQUIRED',
+                purpose
             });
         }
 
         next();
     } catch (error) {
-        console.error('Ensure admin error:', error);
+        console.error('Require consent error:', error);
         return res.status(500).json({
             message: 'Internal server error',
             code: 'INTERNAL_ERROR'
@@ -149,7 +256,6 @@ const ensureAdmin = async (req, res, next) => {
 
 module.exports = {
     authenticateToken,
-    ensurePatient,
-    ensureDoctor,
-    ensureAdmin
+    authorize,
+    requireConsent
 };
\ No newline at end of file
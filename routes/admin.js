@@ -0,0 +1,557 @@
+// routes/admin.js - Admin Console Routes
+const express = require('express');
+const crypto = require('crypto');
+const { pool } = require('../config/database');
+const { authenticateToken, authorize } = require('../middleware/auth');
+const { ROLES } = require('../config/permissions');
+const {
+    invalidateUserSessions,
+    logUserAction,
+    hashPassword,
+    formatDate,
+    JWT_SECRET
+} = require('../utils/helpers');
+const { getLockoutStatus, unlockAccount } = require('../services/accountLockout');
+const { checkPasswordPolicy, recordPasswordHistory, generateTemporaryPassword } = require('../services/passwordPolicy');
+const { anonymizePatient, removeDocumentFiles } = require('../services/dataRights');
+
+const router = express.Router();
+
+const ACCOUNT_STATUSES = ['Active', 'Inactive', 'Suspended'];
+// Keys research subject IDs; stays on the server so exported IDs cannot be linked back to patients
+const RESEARCH_PSEUDONYM_KEY = process.env.RESEARCH_PSEUDONYM_KEY || JWT_SECRET;
+// Caregivers sign up themselves and are linked by patients
+const ASSIGNABLE_ROLES = ROLES.filter(role => role !== 'Caregiver');
+
+// Columns safe to return to the admin console (never Password_Hash)
+const USER_COLUMNS = `u.National_ID, u.First_Name, u.Last_Name, u.Date_Of_Birth, u.Gender,
+                      u.Phone_Number, u.Address, u.Role, u.Account_Status, u.Created_At, u.Updated_At`;
+
+const researchSubjectId = (patientId) => {
+    return crypto.createHmac('sha256', RESEARCH_PSEUDONYM_KEY)
+        .update(`research:${patientId}`)
+        .digest('hex')
+        .slice(0, 16);
+};
+
+// Reject admin actions aimed at the admin's own account
+const rejectSelfModification = (req, res) => {
+    if (req.params.user_id === req.user.userId) {
+        res.status(400).json({
+            message: 'ไม่สามารถแก้ไขบัญชีของตนเองได้',
+            code: 'CANNOT_MODIFY_SELF'
+        });
+        return true;
+    }
+    return false;
+};
+
+const findUser = async (userId) => {
+    const [users] = await pool.execute(
+        `SELECT ${USER_COLUMNS} FROM Users u WHERE u.National_ID = ?`,
+        [userId]
+    );
+    return users[0] || null;
+};
+
+// Search users
+router.get('/users', authenticateToken, authorize('users:manage'), async (req, res) => {
+    try {
+        const { search, role, status, limit = '50', offset = '0' } = req.query;
+
+        let whereClause = 'WHERE 1 = 1';
+        let params = [];
+
+        if (search) {
+            whereClause += ` AND (u.National_ID LIKE ? OR u.Phone_Number LIKE ?
+                             OR u.First_Name LIKE ? OR u.Last_Name LIKE ?
+                             OR p.Medical_Record_Number LIKE ?)`;
+            params.push(`%${search}%`, `%${search}%`, `%${search}%`, `%${search}%`, `%${search}%`);
+        }
+
+        if (role) {
+            whereClause += ' AND u.Role = ?';
+            params.push(role);
+        }
+
+        if (status) {
+            whereClause += ' AND u.Account_Status = ?';
+            params.push(status);
+        }
+
+        const [users] = await pool.execute(
+            `SELECT ${USER_COLUMNS}, p.Patient_ID, p.Medical_Record_Number
+             FROM Users u
+             LEFT JOIN Patients p ON u.National_ID = p.User_ID
+             ${whereClause}
+             ORDER BY u.Created_At DESC
+             LIMIT ? OFFSET ?`,
+            [...params, parseInt(limit), parseInt(offset)]
+        );
+
+        res.json({ users: users || [] });
+
+    } catch (error) {
+        console.error('Admin search users error:', error);
+        res.status(500).json({
+            message: 'เกิดข้อผิดพลาดของระบบ',
+            code: 'INTERNAL_ERROR',
+            users: []
+        });
+    }
+});
+
+// Get user details
+router.get('/users/:user_id', authenticateToken, authorize('users:manage'), async (req, res) => {
+    try {
+        const user = await findUser(req.params.user_id);
+
+        if (!user) {
+            return res.status(404).json({
+                message: 'ไม่พบผู้ใช้',
+                code: 'USER_NOT_FOUND'
+            });
+        }
+
+        const [sessions] = await pool.execute(
+            `SELECT Session_ID, Device_ID, Session_Expires_At, Session_Status
+             FROM Sessions
+             WHERE National_ID = ? AND Session_Status = 'Active' AND Session_Expires_At > NOW()`,
+            [user.National_ID]
+        );
+
+        const lockout = await getLockoutStatus(user.National_ID);
+
+        res.json({ user, active_sessions: sessions, lockout });
+
+    } catch (error) {
+        console.error('Admin get user error:', error);
+        res.status(500).json({
+            message: 'เกิดข้อผิดพลาดของระบบ',
+            code: 'INTERNAL_ERROR'
+        });
+    }
+});
+
+// Change account status
+router.put('/users/:user_id/status', authenticateToken, authorize('users:manage'), async (req, res) => {
+    try {
+        const { status, reason } = req.body;
+
+        if (!ACCOUNT_STATUSES.includes(status)) {
+            return res.status(400).json({
+                message: `สถานะบัญชีต้องเป็น ${ACCOUNT_STATUSES.join(', ')}`,
+                code: 'INVALID_STATUS'
+            });
+        }
+
+        if (rejectSelfModification(req, res)) return;
+
+        const user = await findUser(req.params.user_id);
+
+        if (!user) {
+            return res.status(404).json({
+                message: 'ไม่พบผู้ใช้',
+                code: 'USER_NOT_FOUND'
+            });
+        }
+
+        await pool.execute(
+            'UPDATE Users SET Account_Status = ?, Updated_At = NOW() WHERE National_ID = ?',
+            [status, user.National_ID]
+        );
+
+        // Deactivated accounts lose their sessions immediately
+        if (status !== 'Active') {
+            await invalidateUserSessions(user.National_ID);
+        }
+
+        await logUserAction(req.user.userId, 'ADMIN_ACCOUNT_STATUS_CHANGE', 'Users', user.National_ID,
+            `Account status of ${user.National_ID} changed from ${user.Account_Status} to ${status}` +
+            (reason ? ` (${reason})` : ''), 'success', req.ip, req.headers['user-agent']);
+
+        res.json({
+            message: 'อัปเดตสถานะบัญชีสำเร็จ',
+            success: true,
+            user_id: user.National_ID,
+            status
+        });
+
+    } catch (error) {
+        console.error('Admin change status error:', error);
+        res.status(500).json({
+            message: 'เกิดข้อผิดพลาดของระบบ',
+            code: 'INTERNAL_ERROR'
+        });
+    }
+});
+
+// Reset user password
+router.post('/users/:user_id/reset-password', authenticateToken, authorize('users:manage'), async (req, res) => {
+    try {
+        const { new_password } = req.body;
+
+        const user = await findUser(req.params.user_id);
+
+        if (!user) {
+            return res.status(404).json({
+                message: 'ไม่พบผู้ใช้',
+                code: 'USER_NOT_FOUND'
+            });
+        }
+
+        if (new_password) {
+            const policyError = await checkPasswordPolicy(new_password, {
+                userId: user.National_ID,
+                phone: user.Phone_Number
+            });
+            if (policyError) {
+                return res.status(400).json(policyError);
+            }
+        }
+
+        // Generate a temporary password when the admin does not supply one
+        const temporaryPassword = new_password ? null : generateTemporaryPassword();
+        const passwordHash = await hashPassword(new_password || temporaryPassword);
+
+        await pool.execute(
+            'UPDATE Users SET Password_Hash = ?, Updated_At = NOW() WHERE National_ID = ?',
+            [passwordHash, user.National_ID]
+        );
+
+        await recordPasswordHistory(user.National_ID, passwordHash);
+
+        await invalidateUserSessions(user.National_ID);
+
+        await logUserAction(req.user.userId, 'ADMIN_PASSWORD_RESET', 'Users', user.National_ID,
+            `Password reset for ${user.National_ID}`, 'success', req.ip, req.headers['user-agent']);
+
+        res.json({
+            message: 'รีเซ็ตรหัสผ่านสำเร็จ',
+            success: true,
+            user_id: user.National_ID,
+            temporary_password: temporaryPassword
+        });
+
+    } catch (error) {
+        console.error('Admin reset password error:', error);
+        res.status(500).json({
+            message: 'เกิดข้อผิดพลาดของระบบ',
+            code: 'INTERNAL_ERROR'
+        });
+    }
+});
+
+// Assign user role
+router.put('/users/:user_id/role', authenticateToken, authorize('users:manage'), async (req, res) => {
+    try {
+        const { role } = req.body;
+
+        if (!ASSIGNABLE_ROLES.includes(role)) {
+            return res.status(400).json({
+                message: `บทบาทต้องเป็น ${ASSIGNABLE_ROLES.join(', ')}`,
+                code: 'INVALID_ROLE'
+            });
+        }
+
+        if (rejectSelfModification(req, res)) return;
+
+        const user = await findUser(req.params.user_id);
+
+        if (!user) {
+            return res.status(404).json({
+                message: 'ไม่พบผู้ใช้',
+                code: 'USER_NOT_FOUND'
+            });
+        }
+
+        await pool.execute(
+            'UPDATE Users SET Role = ?, Updated_At = NOW() WHERE National_ID = ?',
+            [role, user.National_ID]
+        );
+
+        // Access tokens carry the role, so force a fresh login
+        await invalidateUserSessions(user.National_ID);
+
+        await logUserAction(req.user.userId, 'ADMIN_ROLE_CHANGE', 'Users', user.National_ID,
+            `Role of ${user.National_ID} changed from ${user.Role} to ${role}`,
+            'success', req.ip, req.headers['user-agent']);
+
+        res.json({
+            message: 'อัปเดตบทบาทผู้ใช้สำเร็จ',
+            success: true,
+            user_id: user.National_ID,
+            role
+        });
+
+    } catch (error) {
+        console.error('Admin change role error:', error);
+        res.status(500).json({
+            message: 'เกิดข้อผิดพลาดของระบบ',
+            code: 'INTERNAL_ERROR'
+        });
+    }
+});
+
+// Unlock an account locked by failed logins
+router.post('/users/:user_id/unlock', authenticateToken, authorize('users:manage'), async (req, res) => {
+    try {
+        const user = await findUser(req.params.user_id);
+
+        if (!user) {
+            return res.status(404).json({
+                message: 'ไม่พบผู้ใช้',
+                code: 'USER_NOT_FOUND'
+            });
+        }
+
+        const lockout = await getLockoutStatus(user.National_ID);
+        await unlockAccount(user.National_ID);
+
+        await logUserAction(req.user.userId, 'ADMIN_ACCOUNT_UNLOCK', 'Users', user.National_ID,
+            `Account ${user.National_ID} unlocked (${lockout.failedCount} failed attempts cleared)`,
+            'success', req.ip, req.headers['user-agent']);
+
+        res.json({
+            message: 'ปลดล็อกบัญชีสำเร็จ',
+            success: true,
+            user_id: user.National_ID,
+            was_locked: lockout.locked
+        });
+
+    } catch (error) {
+        console.error('Admin unlock account error:', error);
+        res.status(500).json({
+            message: 'เกิดข้อผิดพลาดของระบบ',
+            code: 'INTERNAL_ERROR'
+        });
+    }
+});
+
+// Force-expire all sessions of a user
+router.post('/users/:user_id/sessions/expire', authenticateToken, authorize('users:manage'), async (req, res) => {
+    try {
+        const user = await findUser(req.params.user_id);
+
+        if (!user) {
+            return res.status(404).json({
+                message: 'ไม่พบผู้ใช้',
+                code: 'USER_NOT_FOUND'
+            });
+        }
+
+        await invalidateUserSessions(user.National_ID);
+
+        await logUserAction(req.user.userId, 'ADMIN_SESSIONS_EXPIRED', 'Sessions', user.National_ID,
+            `All sessions of ${user.National_ID} force-expired`, 'success', req.ip, req.headers['user-agent']);
+
+        res.json({
+            message: 'ยกเลิกการเข้าสู่ระบบทั้งหมดของผู้ใช้สำเร็จ',
+            success: true,
+            user_id: user.National_ID
+        });
+
+    } catch (error) {
+        console.error('Admin expire sessions error:', error);
+        res.status(500).json({
+            message: 'เกิดข้อผิดพลาดของระบบ',
+            code: 'INTERNAL_ERROR'
+        });
+    }
+});
+
+// List data erasure requests
+router.get('/erasure-requests', authenticateToken, authorize('erasure:process'), async (req, res) => {
+    try {
+        const { status = 'Pending' } = req.query;
+
+        const [requests] = await pool.execute(
+            `SELECT r.*, u.First_Name, u.Last_Name, p.Medical_Record_Number
+             FROM Data_Erasure_Requests r
+             JOIN Users u ON r.User_ID = u.National_ID
+             LEFT JOIN Patients p ON r.Patient_ID = p.Patient_ID
+             WHERE r.Status = ?
+             ORDER BY r.Requested_At`,
+            [status]
+        );
+
+        res.json({ erasure_requests: requests });
+
+    } catch (error) {
+        console.error('Admin get erasure requests error:', error);
+        res.status(500).json({
+            message: 'เกิดข้อผิดพลาดของระบบ',
+            code: 'INTERNAL_ERROR',
+            erasure_requests: []
+        });
+    }
+});
+
+// Carry out an erasure request: anonymize the account, keep clinical records for retention
+router.post('/erasure-requests/:request_id/approve', authenticateToken, authorize('erasure:process'), async (req, res) => {
+    const connection = await pool.getConnection();
+
+    try {
+        await connection.beginTransaction();
+
+        const [requests] = await connection.execute(
+            `SELECT * FROM Data_Erasure_Requests WHERE ID = ? AND Status = 'Pending' FOR UPDATE`,
+            [req.params.request_id]
+        );
+
+        if (requests.length === 0) {
+            await connection.rollback();
+            return res.status(404).json({
+                message: 'ไม่พบคำขอลบข้อมูลที่รอดำเนินการ',
+                code: 'ERASURE_REQUEST_NOT_FOUND'
+            });
+        }
+
+        const request = requests[0];
+        const { surrogateId, retentionUntil, documentFiles } = await anonymizePatient(request.User_ID, request.Patient_ID, connection);
+
+        await connection.execute(
+            `UPDATE Data_Erasure_Requests
+             SET Status = 'Completed', Reviewed_By = ?, Reviewed_At = NOW(), Review_Note = ?,
+                 Completed_At = NOW(), Retention_Until = ?
+             WHERE ID = ?`,
+            [req.user.userId, req.body.note || null, formatDate(retentionUntil), request.ID]
+        );
+
+        await connection.commit();
+        await removeDocumentFiles(documentFiles);
+
+        await logUserAction(req.user.userId, 'ADMIN_ERASURE_COMPLETED', 'Data_Erasure_Requests', request.ID,
+            `Account re-keyed to ${surrogateId} and anonymized, clinical records retained until ${formatDate(retentionUntil)}`,
+            'success', req.ip, req.headers['user-agent']);
+
+        res.json({
+            message: 'ลบข้อมูลส่วนบุคคลสำเร็จ ข้อมูลการรักษาถูกเก็บไว้ตามระยะเวลาที่กฎหมายกำหนด',
+            success: true,
+            request_id: request.ID,
+            retention_until: formatDate(retentionUntil)
+        });
+
+    } catch (error) {
+        await connection.rollback();
+        console.error('Admin approve erasure error:', error);
+        res.status(500).json({
+            message: 'เกิดข้อผิดพลาดของระบบ',
+            code: 'INTERNAL_ERROR'
+        });
+    } finally {
+        connection.release();
+    }
+});
+
+// Reject an erasure request (e.g. an unresolved legal claim)
+router.post('/erasure-requests/:request_id/reject', authenticateToken, authorize('erasure:process'), async (req, res) => {
+    try {
+        const { note } = req.body;
+
+        if (!note) {
+            return res.status(400).json({
+                message: 'กรุณาระบุเหตุผลในการปฏิเสธ',
+                code: 'MISSING_REVIEW_NOTE'
+            });
+        }
+
+        const [result] = await pool.execute(
+            `UPDATE Data_Erasure_Requests
+             SET Status = 'Rejected', Reviewed_By = ?, Reviewed_At = NOW(), Review_Note = ?
+             WHERE ID = ? AND Status = 'Pending'`,
+            [req.user.userId, note, req.params.request_id]
+        );
+
+        if (result.affectedRows === 0) {
+            return res.status(404).json({
+                message: 'ไม่พบคำขอลบข้อมูลที่รอดำเนินการ',
+                code: 'ERASURE_REQUEST_NOT_FOUND'
+            });
+        }
+
+        await logUserAction(req.user.userId, 'ADMIN_ERASURE_REJECTED', 'Data_Erasure_Requests', req.params.request_id,
+            `Erasure request rejected: ${note}`, 'success', req.ip, req.headers['user-agent']);
+
+        res.json({
+            message: 'ปฏิเสธคำขอลบข้อมูลแล้ว',
+            success: true
+        });
+
+    } catch (error) {
+        console.error('Admin reject erasure error:', error);
+        res.status(500).json({
+            message: 'เกิดข้อผิดพลาดของระบบ',
+            code: 'INTERNAL_ERROR'
+        });
+    }
+});
+
+// De-identified IOP export for research, limited to patients who consented
+router.get('/research-export', authenticateToken, authorize('research:export'), async (req, res) => {
+    try {
+        const { from, to } = req.query;
+
+        // Only patients whose latest research consent is still granted (one row per reading)
+        let whereClause = `WHERE i.Is_Deleted = 0
+             AND (SELECT uc.Status FROM User_Consents uc
+                  WHERE uc.User_ID = u.National_ID AND uc.Purpose = 'research'
+                  ORDER BY uc.Granted_At DESC, uc.ID DESC
+                  LIMIT 1) = 'Granted'`;
+        let params = [];
+
+        if (from) {
+            whereClause += ' AND i.Measured_Date >= ?';
+            params.push(from);
+        }
+
+        if (to) {
+            whereClause += ' AND i.Measured_Date <= ?';
+            params.push(to);
+        }
+
+        const [rows] = await pool.execute(
+            `SELECT i.Patient_ID, i.Measured_Date, HOUR(i.Measured_At) as measured_hour, i.Left_Eye_IOP, i.Right_Eye_IOP,
+                    i.Measurement_Method, p.Glaucoma_Type, p.Glaucoma_Stage,
+                    u.Gender, YEAR(u.Date_Of_Birth) as birth_year
+             FROM IOP_Records i
+             JOIN Patients p ON i.Patient_ID = p.Patient_ID
+             JOIN Users u ON p.User_ID = u.National_ID
+             ${whereClause}
+             ORDER BY i.Patient_ID, i.Measured_At`,
+            params
+        );
+
+        // Pseudonymous subject IDs; no names, IDs, contact details or exact birth dates
+        const records = rows.map(row => ({
+            subject_id: researchSubjectId(row.Patient_ID),
+            measured_date: row.Measured_Date,
+            measured_hour: row.measured_hour,
+            left_eye_iop: row.Left_Eye_IOP,
+            right_eye_iop: row.Right_Eye_IOP,
+            measurement_method: row.Measurement_Method,
+            glaucoma_type: row.Glaucoma_Type,
+            glaucoma_stage: row.Glaucoma_Stage,
+            gender: row.Gender,
+            birth_year: row.birth_year
+        }));
+
+        await logUserAction(req.user.userId, 'RESEARCH_EXPORT', 'IOP_Records', null,
+            `Research export of ${records.length} consented IOP records`, 'success', req.ip, req.headers['user-agent']);
+
+        res.json({
+            records,
+            subject_count: new Set(records.map(r => r.subject_id)).size,
+            generated_at: new Date().toISOString()
+        });
+
+    } catch (error) {
+        console.error('Research export error:', error);
+        res.status(500).json({
+            message: 'เกิดข้อผิดพลาดของระบบ',
+            code: 'INTERNAL_ERROR'
+        });
+    }
+});
+
+module.exports = router;
@@ -11,16 +11,48 @@ const {
     validatePhoneNumber,
     createUserSession,
     invalidateUserSessions,
+    invalidateSession,
+    updateSessionToken,
+    hashToken,
+    issueRefreshToken,
+    revokeRefreshTokenFamily,
     logUserAction,
     signAccessToken,
-    signRefreshToken,
     verifyRefreshToken,
     hashPassword,
-    comparePassword
+    comparePassword,
+    generateOTP,
+    hashOTP,
+    verifyOTPHash
 } = require('../utils/helpers');
+const { sendOTP } = require('../services/otpDelivery');
+const {
+    MFA_CHALLENGE_MAX_ATTEMPTS,
+    isMFARequiredForRole,
+    getUserMFA,
+    startEnrollment,
+    getOrStartEnrollment,
+    verifyUserTOTP,
+    generateBackupCodes,
+    consumeBackupCode,
+    enableMFA,
+    disableMFA,
+    createChallenge,
+    verifyEnrollmentCode,
+    getActiveChallenge,
+    recordChallengeFailure,
+    consumeChallenge
+} = require('../services/mfa');
+const { getLockoutStatus, recordFailedLogin, clearFailedLogins } = require('../services/accountLockout');
+const { CONSENT_PURPOSES, REQUIRED_CONSENTS, grantConsent } = require('../services/consent');
+const { PASSWORD_POLICY, checkPasswordPolicy, recordPasswordHistory } = require('../services/passwordPolicy');
 
 const router = express.Router();
 
+// Password reset OTP settings
+const RESET_OTP_TTL_MINUTES = parseInt(process.env.RESET_OTP_TTL_MINUTES) || 10;
+const RESET_OTP_MAX_ATTEMPTS = parseInt(process.env.RESET_OTP_MAX_ATTEMPTS) || 5;
+
 // Rate limiting
 const loginLimiter = rateLimit({
     windowMs: 15 * 60 * 1000,
@@ -40,6 +72,27 @@ const registrationLimiter = rateLimit({
     }
 });
 
+const forgotPasswordLimiter = rateLimit({
+    windowMs: 15 * 60 * 1000,
+    max: 5,
+    message: {
+        error: 'Too many password reset requests, please try again later.',
+        retryAfter: 15 * 60
+    }
+});
+
+// Wrong TOTP codes on the MFA management endpoints, counted per account
+const mfaManageLimiter = rateLimit({
+    windowMs: 15 * 60 * 1000,
+    max: 5,
+    skipSuccessfulRequests: true,
+    keyGenerator: (req) => String(req.user.userId),
+    message: {
+        error: 'Too many MFA verification attempts, please try again later.',
+        retryAfter: 15 * 60
+    }
+});
+
 // Register Endpoint
 router.post('/register', registrationLimiter, async (req, res) => {
     const connection = await pool.getConnection();
@@ -52,7 +105,7 @@ router.post('/register', registrationLimiter, async (req, res) => {
         const {
             firstName, lastName, idCard, birthDate, gender,
             phone, address, emergencyContact, relationship, emergencyPhone,
-            username, password, confirmPassword
+            username, password, confirmPassword, consents = {}
         } = req.body;
 
         // Validation
@@ -86,10 +139,18 @@ router.post('/register', registrationLimiter, async (req, res) => {
             });
         }
 
-        if (password.length < 8) {
+        const policyError = await checkPasswordPolicy(password, { nationalId: idCard, phone });
+        if (policyError) {
+            return res.status(400).json(policyError);
+        }
+
+        // PDPA: consent must be given explicitly, per purpose
+        const missingConsents = REQUIRED_CONSENTS.filter(purpose => consents[purpose] !== true);
+        if (missingConsents.length > 0) {
             return res.status(400).json({ 
-                message: 'รหัสผ่านต้องมีอย่างน้อย 8 ตัวอักษร', 
-                code: 'WEAK_PASSWORD' 
+                message: 'กรุณายินยอมให้เก็บและใช้ข้อมูลสุขภาพเพื่อการรักษา', 
+                code: 'CONSENT_REQUIRED',
+                purposes: missingConsents
             });
         }
 
@@ -115,10 +176,18 @@ router.post('/register', registrationLimiter, async (req, res) => {
             `INSERT INTO Users 
              (National_ID, Password_Hash, First_Name, Last_Name, Date_Of_Birth, Gender, 
               Phone_Number, Address, Role, Account_Status, Data_Consent, Created_At) 
-             VALUES (?, ?, ?, ?, ?, ?, ?, ?, 'Patient', 'Active', 1, NOW())`,
+             VALUES (?, ?, ?, ?, ?, ?, ?, ?, 'Patient', 'Active', 0, NOW())`,
             [idCard, passwordHash, firstName, lastName, birthDate, gender, phone, address]
         );
 
+        await recordPasswordHistory(idCard, passwordHash, connection);
+
+        // Record each consent against the current document version
+        const grantedPurposes = CONSENT_PURPOSES.filter(purpose => consents[purpose] === true);
+        for (const purpose of grantedPurposes) {
+            await grantConsent(idCard, purpose, ipAddress, userAgent, connection);
+        }
+
         // Generate patient ID and HN
         const patientId = Date.now(); // Use timestamp as Patient_ID
         const hn = generateHN();
@@ -167,6 +236,146 @@ router.post('/register', registrationLimiter, async (req, res) => {
     }
 });
 
+// Register Caregiver Endpoint - family members who help a patient
+router.post('/register-caregiver', registrationLimiter, async (req, res) => {
+    const ipAddress = req.ip || req.connection.remoteAddress;
+    const userAgent = req.headers['user-agent'];
+
+    try {
+        const {
+            firstName, lastName, idCard, birthDate, gender,
+            phone, password, confirmPassword
+        } = req.body;
+
+        if (!firstName || !lastName || !idCard || !phone || !password || !confirmPassword) {
+            return res.status(400).json({ 
+                message: 'ข้อมูลส่วนตัวที่จำเป็น (เช่น ชื่อ, บัตรประชาชน, เบอร์โทร) ไม่ครบถ้วน', 
+                code: 'MISSING_CORE_PERSONAL_FIELDS' 
+            });
+        }
+
+        if (!validateThaiIdCard(idCard)) {
+            return res.status(400).json({ 
+                message: 'รูปแบบเลขบัตรประชาชนไม่ถูกต้อง', 
+                code: 'INVALID_ID_CARD' 
+            });
+        }
+
+        if (!validatePhoneNumber(phone)) {
+            return res.status(400).json({ 
+                message: 'รูปแบบเบอร์โทรศัพท์ไม่ถูกต้อง', 
+                code: 'INVALID_PHONE' 
+            });
+        }
+
+        if (password !== confirmPassword) {
+            return res.status(400).json({ 
+                message: 'รหัสผ่านไม่ตรงกัน', 
+                code: 'PASSWORD_MISMATCH' 
+            });
+        }
+
+        const policyError = await checkPasswordPolicy(password, { nationalId: idCard, phone });
+        if (policyError) {
+            return res.status(400).json(policyError);
+        }
+
+        const [existingUsers] = await pool.execute(
+            'SELECT National_ID FROM Users WHERE National_ID = ? OR Phone_Number = ?',
+            [idCard, phone]
+        );
+
+        if (existingUsers.length > 0) {
+            await logUserAction(null, 'USER_REGISTRATION_FAILED', 'Users', null, 
+                `Duplicate caregiver registration attempt - ID: ${idCard}`, 'failed', ipAddress, userAgent);
+            return res.status(409).json({ 
+                message: 'ผู้ใช้นี้ได้ลงทะเบียนในระบบแล้ว', 
+                code: 'USER_ALREADY_EXISTS' 
+            });
+        }
+
+        const passwordHash = await hashPassword(password);
+
+        await pool.execute(
+            `INSERT INTO Users 
+             (National_ID, Password_Hash, First_Name, Last_Name, Date_Of_Birth, Gender, 
+              Phone_Number, Role, Account_Status, Created_At) 
+             VALUES (?, ?, ?, ?, ?, ?, ?, 'Caregiver', 'Active', NOW())`,
+            [idCard, passwordHash, firstName, lastName, birthDate || null, gender || null, phone]
+        );
+
+        await recordPasswordHistory(idCard, passwordHash);
+
+        await logUserAction(idCard, 'USER_REGISTRATION', 'Users', idCard, 
+            'New caregiver registration', 'success', ipAddress, userAgent);
+
+        res.status(201).json({
+            message: 'ลงทะเบียนผู้ดูแลสำเร็จ',
+            success: true,
+            user: { 
+                id: idCard, 
+                firstName: firstName, 
+                lastName: lastName, 
+                role: 'Caregiver' 
+            }
+        });
+
+    } catch (error) {
+        console.error('Caregiver registration error:', error);
+        res.status(500).json({
+            message: 'เกิดข้อผิดพลาดของระบบ กรุณาลองใหม่อีกครั้ง',
+            code: 'INTERNAL_ERROR'
+        });
+    }
+});
+
+// Temporary lock response with Retry-After
+const sendAccountLocked = (res, lockout) => {
+    res.set('Retry-After', String(lockout.retryAfterSeconds));
+    return res.status(423).json({ 
+        message: 'บัญชีถูกล็อกชั่วคราวเนื่องจากใส่รหัสผ่านผิดหลายครั้ง กรุณาลองใหม่ภายหลัง',
+        code: 'ACCOUNT_LOCKED',
+        lockedUntil: lockout.lockedUntil.toISOString(),
+        retryAfter: lockout.retryAfterSeconds
+    });
+};
+
+// Create a session for a fully authenticated user and build the login response
+const issueLoginSession = async (user, ipAddress, userAgent) => {
+    await clearFailedLogins(user.National_ID);
+
+    const tokenExpiry = new Date(Date.now() + 24 * 60 * 60 * 1000);
+
+    const accessToken = signAccessToken({ 
+        userId: user.National_ID, 
+        role: user.Role,
+        patientId: user.Patient_ID
+    });
+
+    // Create session and start a refresh token family for it
+    const sessionId = await createUserSession(user.National_ID, accessToken, userAgent, ipAddress, tokenExpiry);
+    const { refreshToken } = await issueRefreshToken(user.National_ID, sessionId);
+
+    await logUserAction(user.National_ID, 'USER_LOGIN', 'Users', user.National_ID, 
+        `Successful login from ${ipAddress}`, 'success', ipAddress, userAgent);
+
+    return {
+        message: 'Login successful',
+        token: accessToken,
+        refreshToken,
+        expiresAt: tokenExpiry.toISOString(),
+        user: {
+            id: user.National_ID,
+            patientId: user.Patient_ID,
+            role: user.Role,
+            firstName: user.First_Name,
+            lastName: user.Last_Name,
+            phone: user.Phone_Number,
+            hn: user.Medical_Record_Number
+        }
+    };
+};
+
 // Login Endpoint
 router.post('/login', loginLimiter, async (req, res) => {
     const { username, password } = req.body;
@@ -209,57 +418,82 @@ router.post('/login', loginLimiter, async (req, res) => {
             });
         }
 
+        // Check temporary lockout before touching the password
+        const lockout = await getLockoutStatus(user.National_ID);
+        if (lockout.locked) {
+            return sendAccountLocked(res, lockout);
+        }
+
         // Verify password
         const isValidPassword = await comparePassword(password, user.Password_Hash);
 
         if (!isValidPassword) {
             await logUserAction(user.National_ID, 'USER_LOGIN_FAILED', 'Users', user.National_ID, 
                 'Invalid password', 'failed', ipAddress, userAgent);
+
+            const failure = await recordFailedLogin(user.National_ID, ipAddress);
+            if (failure.locked) {
+                await logUserAction(user.National_ID, 'ACCOUNT_LOCKED', 'Users', user.National_ID, 
+                    `Account locked after ${failure.failedCount} failed attempts`, 'failed', ipAddress, userAgent);
+                return sendAccountLocked(res, failure);
+            }
+
             return res.status(401).json({ 
                 message: 'ชื่อผู้ใช้หรือรหัสผ่านไม่ถูกต้อง',
-                code: 'INVALID_PASSWORD'
+                code: 'INVALID_PASSWORD',
+                attemptsRemaining: failure.attemptsRemaining
             });
         }
 
-        // Generate tokens
-        const tokenExpiry = new Date(Date.now() + 24 * 60 * 60 * 1000);
-        const refreshTokenExpiry = new Date(Date.now() + 7 * 24 * 60 * 60 * 1000);
+        const mfa = await getUserMFA(user.National_ID);
 
-        const accessToken = signAccessToken({ 
-            userId: user.National_ID, 
-            role: user.Role,
-            patientId: user.Patient_ID
-        });
+        // Enrolled users (and staff, who must enrol) finish login at /login/mfa
+        if ((mfa && mfa.Is_Enabled) || isMFARequiredForRole(user.Role)) {
+            const challengeType = mfa && mfa.Is_Enabled ? 'verify' : 'enroll';
 
-        const refreshToken = signRefreshToken({ 
-            userId: user.National_ID, 
-            type: 'refresh'
-        });
+            // A password alone must not reveal a TOTP secret: enrollment first needs a code
+            // sent to the registered phone (see /login/mfa/enroll)
+            let enrollmentCode = null;
+            if (challengeType === 'enroll') {
+                if (!user.Phone_Number) {
+                    return res.status(403).json({ 
+                        message: 'ไม่พบเบอร์โทรศัพท์สำหรับยืนยันการตั้งค่าการยืนยันตัวตนสองขั้นตอน กรุณาติดต่อผู้ดูแลระบบ',
+                        code: 'MFA_ENROLLMENT_UNAVAILABLE' 
+                    });
+                }
+                enrollmentCode = generateOTP();
+            }
 
-        // Create session
-        await createUserSession(user.National_ID, accessToken, userAgent, ipAddress, tokenExpiry);
+            const challenge = await createChallenge(user.National_ID, challengeType, ipAddress, userAgent,
+                enrollmentCode ? hashOTP(user.National_ID, enrollmentCode) : null);
 
-        // Prepare user profile
-        const userProfile = {
-            id: user.National_ID,
-            patientId: user.Patient_ID,
-            role: user.Role,
-            firstName: user.First_Name,
-            lastName: user.Last_Name,
-            phone: user.Phone_Number,
-            hn: user.Medical_Record_Number
-        };
+            if (enrollmentCode) {
+                await sendOTP(
+                    user.Phone_Number,
+                    `รหัสยืนยันการตั้งค่าการยืนยันตัวตนสองขั้นตอน EyeMate คือ ${enrollmentCode}`,
+                    'mfa_enrollment'
+                );
+            }
 
-        await logUserAction(user.National_ID, 'USER_LOGIN', 'Users', user.National_ID, 
-            `Successful login from ${ipAddress}`, 'success', ipAddress, userAgent);
+            const response = {
+                message: challengeType === 'verify' ? 'MFA verification required' : 'MFA enrollment required',
+                mfaRequired: true,
+                challengeType,
+                challengeId: challenge.challengeId,
+                challengeExpiresAt: challenge.expiresAt.toISOString()
+            };
 
-        res.json({
-            message: 'Login successful',
-            token: accessToken,
-            refreshToken,
-            expiresAt: tokenExpiry.toISOString(),
-            user: userProfile
-        });
+            if (challengeType === 'enroll') {
+                response.enrollmentCodeSent = true;
+            }
+
+            await logUserAction(user.National_ID, 'USER_LOGIN_MFA_CHALLENGE', 'Users', user.National_ID, 
+                `Password verified, MFA ${challengeType} challenge issued`, 'success', ipAddress, userAgent);
+
+            return res.json(response);
+        }
+
+        res.json(await issueLoginSession(user, ipAddress, userAgent));
 
     } catch (error) {
         console.error('Login error:', error);
@@ -270,118 +504,904 @@ router.post('/login', loginLimiter, async (req, res) => {
     }
 });
 
-// Refresh Token Endpoint
-router.post('/refresh', async (req, res) => {
-    try {
-        const { refreshToken } = req.body;
+// Login MFA Enrollment Step - exchanges the code sent to the phone for the TOTP secret
+router.post('/login/mfa/enroll', loginLimiter, async (req, res) => {
+    const { challengeId, enrollmentCode } = req.body;
+    const ipAddress = req.ip || req.connection.remoteAddress;
+    const userAgent = req.headers['user-agent'];
 
-        if (!refreshToken) {
-            return res.status(401).json({ 
-                message: 'Refresh token required',
-                code: 'REFRESH_TOKEN_REQUIRED' 
+    try {
+        if (!challengeId || !enrollmentCode) {
+            return res.status(400).json({ 
+                message: 'กรุณากรอกรหัสยืนยันที่ได้รับทาง SMS',
+                code: 'MISSING_ENROLLMENT_CODE' 
             });
         }
 
-        const decoded = verifyRefreshToken(refreshToken);
-        
-        const [users] = await pool.execute(
-            'SELECT * FROM Users WHERE National_ID = ? AND Account_Status = "Active"',
-            [decoded.userId]
-        );
+        const challenge = await getActiveChallenge(challengeId);
 
-        if (users.length === 0) {
+        if (!challenge || challenge.Challenge_Type !== 'enroll') {
             return res.status(401).json({ 
-                message: 'User not found or inactive',
-                code: 'USER_NOT_FOUND' 
+                message: 'คำขอยืนยันตัวตนหมดอายุ กรุณาเข้าสู่ระบบใหม่',
+                code: 'MFA_CHALLENGE_INVALID' 
             });
         }
 
-        const user = users[0];
-        const newAccessToken = signAccessToken({ 
-            userId: user.National_ID, 
-            role: user.Role
-        });
-        const tokenExpiry = new Date(Date.now() + 24 * 60 * 60 * 1000);
+        const userId = challenge.National_ID;
 
-        res.json({
-            message: 'Token refreshed successfully',
-            token: newAccessToken,
-            expiresAt: tokenExpiry.toISOString()
-        });
+        if (!(await verifyEnrollmentCode(challenge, enrollmentCode))) {
+            await recordChallengeFailure(challengeId);
+            await logUserAction(userId, 'USER_LOGIN_FAILED', 'Users', userId, 
+                'Invalid MFA enrollment code', 'failed', ipAddress, userAgent);
 
-    } catch (error) {
-        console.error('Refresh token error:', error);
-        if (error.name === 'JsonWebTokenError' || error.name === 'TokenExpiredError') {
             return res.status(401).json({ 
-                message: 'Invalid refresh token',
-                code: 'INVALID_REFRESH_TOKEN' 
+                message: 'รหัสยืนยันไม่ถูกต้อง',
+                code: 'INVALID_ENROLLMENT_CODE',
+                attemptsRemaining: Math.max(MFA_CHALLENGE_MAX_ATTEMPTS - challenge.Attempts - 1, 0)
             });
         }
-        res.status(500).json({ 
-            message: 'Internal server error',
-            code: 'INTERNAL_ERROR' 
-        });
-    }
-});
 
-// Logout Endpoint
-router.post('/logout', authenticateToken, async (req, res) => {
-    try {
-        const userId = req.user.userId;
-        await invalidateUserSessions(userId);
-        
-        await logUserAction(userId, 'USER_LOGOUT', 'Users', userId, 
-            'User logged out', 'success', req.ip, req.headers['user-agent']);
+        const enrollment = await getOrStartEnrollment(userId, userId);
 
-        res.json({ 
-            message: 'Logout successful',
-            code: 'LOGOUT_SUCCESS' 
+        await logUserAction(userId, 'MFA_ENROLLMENT_STARTED', 'Users', userId, 
+            'Enrollment code verified, TOTP secret issued', 'success', ipAddress, userAgent);
+
+        res.json({
+            message: 'กรุณาสแกน QR code ด้วยแอป Authenticator แล้วกรอกรหัสเพื่อเข้าสู่ระบบ',
+            success: true,
+            challengeId,
+            secret: enrollment.secret,
+            otpauthUrl: enrollment.otpauthUrl
         });
+
     } catch (error) {
-        console.error('Logout error:', error);
+        console.error('Login MFA enroll error:', error);
         res.status(500).json({ 
-            message: 'Internal server error',
+            message: 'เกิดข้อผิดพลาดของระบบ กรุณาลองใหม่อีกครั้ง',
             code: 'INTERNAL_ERROR' 
         });
     }
 });
 
-// Get Current User Info
-router.get('/me', authenticateToken, async (req, res) => {
+// Login MFA Step - completes login with a TOTP or backup code
+router.post('/login/mfa', loginLimiter, async (req, res) => {
+    const { challengeId, code, backupCode } = req.body;
+    const ipAddress = req.ip || req.connection.remoteAddress;
+    const userAgent = req.headers['user-agent'];
+
     try {
-        const userId = req.user.userId;
+        if (!challengeId || (!code && !backupCode)) {
+            return res.status(400).json({ 
+                message: 'กรุณากรอกรหัสยืนยันตัวตน',
+                code: 'MISSING_MFA_CODE' 
+            });
+        }
+
+        const challenge = await getActiveChallenge(challengeId);
+
+        if (!challenge) {
+            return res.status(401).json({ 
+                message: 'คำขอยืนยันตัวตนหมดอายุ กรุณาเข้าสู่ระบบใหม่',
+                code: 'MFA_CHALLENGE_INVALID' 
+            });
+        }
+
+        const userId = challenge.National_ID;
+
+        if (challenge.Challenge_Type === 'enroll' && !challenge.Enrollment_Verified_At) {
+            return res.status(403).json({ 
+                message: 'กรุณายืนยันรหัสที่ได้รับทาง SMS ก่อนตั้งค่าการยืนยันตัวตนสองขั้นตอน',
+                code: 'MFA_ENROLLMENT_CODE_REQUIRED' 
+            });
+        }
+
+        // Backup codes only exist once enrollment is complete
+        const verified = challenge.Challenge_Type === 'verify' && backupCode
+            ? await consumeBackupCode(userId, backupCode)
+            : await verifyUserTOTP(userId, code);
+
+        if (!verified) {
+            await recordChallengeFailure(challengeId);
+            await logUserAction(userId, 'USER_LOGIN_FAILED', 'Users', userId, 
+                'Invalid MFA code', 'failed', ipAddress, userAgent);
+
+            const failure = await recordFailedLogin(userId, ipAddress);
+            if (failure.locked) {
+                await consumeChallenge(challengeId);
+                await logUserAction(userId, 'ACCOUNT_LOCKED', 'Users', userId, 
+                    `Account locked after ${failure.failedCount} failed attempts`, 'failed', ipAddress, userAgent);
+                return sendAccountLocked(res, failure);
+            }
+
+            return res.status(401).json({ 
+                message: 'รหัสยืนยันตัวตนไม่ถูกต้อง',
+                code: 'INVALID_MFA_CODE',
+                attemptsRemaining: Math.max(MFA_CHALLENGE_MAX_ATTEMPTS - challenge.Attempts - 1, 0)
+            });
+        }
+
+        if (!(await consumeChallenge(challengeId))) {
+            return res.status(401).json({ 
+                message: 'คำขอยืนยันตัวตนหมดอายุ กรุณาเข้าสู่ระบบใหม่',
+                code: 'MFA_CHALLENGE_INVALID' 
+            });
+        }
 
         const [users] = await pool.execute(
             `SELECT u.*, p.Patient_ID, p.Medical_Record_Number
              FROM Users u
              LEFT JOIN Patients p ON u.National_ID = p.User_ID
-             WHERE u.National_ID = ?`,
+             WHERE u.National_ID = ? AND u.Account_Status = 'Active'`,
             [userId]
         );
 
         if (users.length === 0) {
-            return res.status(404).json({ 
-                message: 'User not found',
-                code: 'USER_NOT_FOUND' 
+            return res.status(423).json({ 
+                message: 'บัญชีของคุณถูกระงับการใช้งาน กรุณาติดต่อผู้ดูแลระบบ',
+                code: 'ACCOUNT_INACTIVE' 
             });
         }
 
-        const user = users[0];
-        const userProfile = {
-            id: user.National_ID,
-            patientId: user.Patient_ID,
-            role: user.Role,
-            firstName: user.First_Name,
-            lastName: user.Last_Name,
-            phone: user.Phone_Number,
-            hn: user.Medical_Record_Number,
-            status: user.Account_Status
-        };
+        let backupCodes;
+        if (challenge.Challenge_Type === 'enroll') {
+            backupCodes = await enableMFA(userId);
+            await logUserAction(userId, 'MFA_ENABLED', 'Users', userId, 
+                'TOTP enrolled during login', 'success', ipAddress, userAgent);
+        }
 
-        res.json({ user: userProfile });
+        const response = await issueLoginSession(users[0], ipAddress, userAgent);
+        res.json(backupCodes ? { ...response, backupCodes } : response);
 
     } catch (error) {
-        console.error('Get user info error:', error);
+        console.error('Login MFA error:', error);
+        res.status(500).json({ 
+            message: 'เกิดข้อผิดพลาดของระบบ กรุณาลองใหม่อีกครั้ง',
+            code: 'INTERNAL_ERROR' 
+        });
+    }
+});
+
+// Refresh Token Endpoint
+router.post('/refresh', async (req, res) => {
+    const ipAddress = req.ip || req.connection.remoteAddress;
+    const userAgent = req.headers['user-agent'];
+    let connection;
+
+    try {
+        const { refreshToken } = req.body;
+
+        if (!refreshToken) {
+            return res.status(401).json({ 
+                message: 'Refresh token required',
+                code: 'REFRESH_TOKEN_REQUIRED' 
+            });
+        }
+
+        const decoded = verifyRefreshToken(refreshToken);
+
+        if (!decoded.jti) {
+            return res.status(401).json({ 
+                message: 'Invalid refresh token',
+                code: 'INVALID_REFRESH_TOKEN' 
+            });
+        }
+
+        connection = await pool.getConnection();
+        await connection.beginTransaction();
+
+        const [tokens] = await connection.execute(
+            'SELECT * FROM Refresh_Tokens WHERE Token_ID = ? FOR UPDATE',
+            [decoded.jti]
+        );
+
+        if (tokens.length === 0 || tokens[0].Token_Hash !== hashToken(refreshToken)) {
+            await connection.rollback();
+            return res.status(401).json({ 
+                message: 'Invalid refresh token',
+                code: 'INVALID_REFRESH_TOKEN' 
+            });
+        }
+
+        const storedToken = tokens[0];
+
+        // A token that was already rotated or revoked is being replayed
+        if (storedToken.Used_At || storedToken.Revoked_At) {
+            await revokeRefreshTokenFamily(storedToken.Family_ID, connection);
+            await connection.commit();
+
+            await logUserAction(storedToken.National_ID, 'REFRESH_TOKEN_REUSE', 'Sessions', storedToken.Session_ID, 
+                `Refresh token reuse detected, family ${storedToken.Family_ID} revoked`, 'failed', ipAddress, userAgent);
+
+            return res.status(401).json({ 
+                message: 'Refresh token has already been used',
+                code: 'REFRESH_TOKEN_REUSED' 
+            });
+        }
+
+        const [sessions] = await connection.execute(
+            'SELECT Session_ID FROM Sessions WHERE Session_ID = ? AND Session_Status = "Active"',
+            [storedToken.Session_ID]
+        );
+
+        if (sessions.length === 0) {
+            await connection.rollback();
+            return res.status(401).json({ 
+                message: 'Session expired or invalid',
+                code: 'SESSION_INVALID' 
+            });
+        }
+
+        const [users] = await connection.execute(
+            `SELECT u.*, p.Patient_ID
+             FROM Users u
+             LEFT JOIN Patients p ON u.National_ID = p.User_ID
+             WHERE u.National_ID = ? AND u.Account_Status = "Active"`,
+            [storedToken.National_ID]
+        );
+
+        if (users.length === 0) {
+            await connection.rollback();
+            return res.status(401).json({ 
+                message: 'User not found or inactive',
+                code: 'USER_NOT_FOUND' 
+            });
+        }
+
+        const user = users[0];
+        const newAccessToken = signAccessToken({ 
+            userId: user.National_ID, 
+            role: user.Role,
+            patientId: user.Patient_ID
+        });
+        const tokenExpiry = new Date(Date.now() + 24 * 60 * 60 * 1000);
+
+        // Rotate: issue the next token in the family and retire the presented one
+        const next = await issueRefreshToken(user.National_ID, storedToken.Session_ID, storedToken.Family_ID, connection);
+
+        await connection.execute(
+            'UPDATE Refresh_Tokens SET Used_At = NOW(), Replaced_By = ? WHERE Token_ID = ?',
+            [next.tokenId, storedToken.Token_ID]
+        );
+
+        await updateSessionToken(storedToken.Session_ID, newAccessToken, tokenExpiry, connection);
+
+        await connection.commit();
+
+        res.json({
+            message: 'Token refreshed successfully',
+            token: newAccessToken,
+            refreshToken: next.refreshToken,
+            expiresAt: tokenExpiry.toISOString()
+        });
+
+    } catch (error) {
+        if (connection) await connection.rollback();
+        console.error('Refresh token error:', error);
+        if (error.name === 'JsonWebTokenError' || error.name === 'TokenExpiredError') {
+            return res.status(401).json({ 
+                message: 'Invalid refresh token',
+                code: 'INVALID_REFRESH_TOKEN' 
+            });
+        }
+        res.status(500).json({ 
+            message: 'Internal server error',
+            code: 'INTERNAL_ERROR' 
+        });
+    } finally {
+        if (connection) connection.release();
+    }
+});
+
+// Forgot Password Endpoint - sends a reset OTP to the registered phone
+router.post('/forgot-password', forgotPasswordLimiter, async (req, res) => {
+    const { username } = req.body;
+    const ipAddress = req.ip || req.connection.remoteAddress;
+    const userAgent = req.headers['user-agent'];
+
+    try {
+        if (!username) {
+            return res.status(400).json({ 
+                message: 'กรุณากรอกเลขบัตรประชาชนหรือเบอร์โทรศัพท์',
+                code: 'MISSING_USERNAME' 
+            });
+        }
+
+        const [users] = await pool.execute(
+            `SELECT National_ID, Phone_Number FROM Users 
+             WHERE (National_ID = ? OR Phone_Number = ?) AND Account_Status = 'Active'`,
+            [username, username]
+        );
+
+        if (users.length > 0 && users[0].Phone_Number) {
+            const user = users[0];
+            const otp = generateOTP();
+            const expiresAt = new Date(Date.now() + RESET_OTP_TTL_MINUTES * 60 * 1000);
+
+            // Only the most recent code stays usable
+            await pool.execute(
+                'UPDATE Password_Reset_OTPs SET Consumed_At = NOW() WHERE National_ID = ? AND Consumed_At IS NULL',
+                [user.National_ID]
+            );
+
+            await pool.execute(
+                `INSERT INTO Password_Reset_OTPs 
+                 (OTP_ID, National_ID, OTP_Hash, Expires_At, Attempts, Requested_IP, Created_At) 
+                 VALUES (?, ?, ?, ?, 0, ?, NOW())`,
+                [generateId(), user.National_ID, hashOTP(user.National_ID, otp), expiresAt, ipAddress]
+            );
+
+            // A delivery failure must not answer differently from an unknown username
+            try {
+                await sendOTP(
+                    user.Phone_Number,
+                    `รหัส OTP สำหรับตั้งรหัสผ่านใหม่ EyeMate คือ ${otp} (หมดอายุใน ${RESET_OTP_TTL_MINUTES} นาที)`,
+                    'password_reset'
+                );
+
+                await logUserAction(user.National_ID, 'PASSWORD_RESET_REQUESTED', 'Users', user.National_ID, 
+                    'Password reset OTP issued', 'success', ipAddress, userAgent);
+            } catch (deliveryError) {
+                console.error('Password reset OTP delivery error:', deliveryError);
+
+                await logUserAction(user.National_ID, 'PASSWORD_RESET_REQUESTED', 'Users', user.National_ID, 
+                    'Password reset OTP delivery failed', 'failed', ipAddress, userAgent);
+            }
+        } else {
+            await logUserAction(null, 'PASSWORD_RESET_REQUESTED', 'Users', null, 
+                `Password reset requested for unknown user: ${username}`, 'failed', ipAddress, userAgent);
+        }
+
+        // Same response either way so accounts cannot be enumerated
+        res.json({
+            message: 'หากข้อมูลถูกต้อง ระบบจะส่งรหัส OTP ไปยังเบอร์โทรศัพท์ที่ลงทะเบียนไว้',
+            success: true,
+            expiresInMinutes: RESET_OTP_TTL_MINUTES
+        });
+
+    } catch (error) {
+        console.error('Forgot password error:', error);
+        res.status(500).json({ 
+            message: 'เกิดข้อผิดพลาดของระบบ กรุณาลองใหม่อีกครั้ง',
+            code: 'INTERNAL_ERROR' 
+        });
+    }
+});
+
+// Reset Password Endpoint - verifies the OTP and sets a new password
+router.post('/reset-password', forgotPasswordLimiter, async (req, res) => {
+    const { username, otp, newPassword, confirmPassword } = req.body;
+    const ipAddress = req.ip || req.connection.remoteAddress;
+    const userAgent = req.headers['user-agent'];
+
+    try {
+        if (!username || !otp || !newPassword || !confirmPassword) {
+            return res.status(400).json({ 
+                message: 'ข้อมูลไม่ครบถ้วน',
+                code: 'MISSING_DATA' 
+            });
+        }
+
+        if (newPassword !== confirmPassword) {
+            return res.status(400).json({ 
+                message: 'รหัสผ่านไม่ตรงกัน', 
+                code: 'PASSWORD_MISMATCH' 
+            });
+        }
+
+        const [users] = await pool.execute(
+            `SELECT National_ID, Phone_Number FROM Users 
+             WHERE (National_ID = ? OR Phone_Number = ?) AND Account_Status = 'Active'`,
+            [username, username]
+        );
+
+        const invalidOtp = (extra = {}) => res.status(400).json({ 
+            message: 'รหัส OTP ไม่ถูกต้องหรือหมดอายุ',
+            code: 'INVALID_OTP',
+            ...extra
+        });
+
+        if (users.length === 0) {
+            return invalidOtp();
+        }
+
+        const userId = users[0].National_ID;
+
+        const [otps] = await pool.execute(
+            `SELECT * FROM Password_Reset_OTPs 
+             WHERE National_ID = ? AND Consumed_At IS NULL AND Expires_At > NOW()
+             ORDER BY Created_At DESC LIMIT 1`,
+            [userId]
+        );
+
+        if (otps.length === 0) {
+            return invalidOtp();
+        }
+
+        const resetOtp = otps[0];
+
+        if (resetOtp.Attempts >= RESET_OTP_MAX_ATTEMPTS) {
+            return res.status(429).json({ 
+                message: 'ใส่รหัส OTP ผิดเกินจำนวนครั้งที่กำหนด กรุณาขอรหัสใหม่',
+                code: 'OTP_ATTEMPTS_EXCEEDED' 
+            });
+        }
+
+        if (!verifyOTPHash(userId, otp, resetOtp.OTP_Hash)) {
+            const attempts = resetOtp.Attempts + 1;
+
+            // The last allowed attempt burns the code
+            await pool.execute(
+                `UPDATE Password_Reset_OTPs 
+                 SET Attempts = Attempts + 1, Consumed_At = IF(Attempts >= ?, NOW(), Consumed_At) 
+                 WHERE OTP_ID = ?`,
+                [RESET_OTP_MAX_ATTEMPTS, resetOtp.OTP_ID]
+            );
+
+            await logUserAction(userId, 'PASSWORD_RESET_FAILED', 'Users', userId, 
+                `Invalid reset OTP (attempt ${attempts})`, 'failed', ipAddress, userAgent);
+
+            return invalidOtp({ attemptsRemaining: Math.max(RESET_OTP_MAX_ATTEMPTS - attempts, 0) });
+        }
+
+        // Checked after the OTP so the policy response cannot be used to probe accounts
+        const policyError = await checkPasswordPolicy(newPassword, { userId, phone: users[0].Phone_Number });
+        if (policyError) {
+            return res.status(400).json(policyError);
+        }
+
+        const passwordHash = await hashPassword(newPassword);
+
+        await pool.execute(
+            'UPDATE Users SET Password_Hash = ?, Updated_At = NOW() WHERE National_ID = ?',
+            [passwordHash, userId]
+        );
+
+        await recordPasswordHistory(userId, passwordHash);
+
+        await pool.execute(
+            'UPDATE Password_Reset_OTPs SET Consumed_At = NOW() WHERE OTP_ID = ?',
+            [resetOtp.OTP_ID]
+        );
+
+        await invalidateUserSessions(userId);
+
+        await logUserAction(userId, 'PASSWORD_RESET', 'Users', userId, 
+            'Password reset via OTP', 'success', ipAddress, userAgent);
+
+        res.json({
+            message: 'ตั้งรหัสผ่านใหม่สำเร็จ กรุณาเข้าสู่ระบบอีกครั้ง',
+            success: true
+        });
+
+    } catch (error) {
+        console.error('Reset password error:', error);
+        res.status(500).json({ 
+            message: 'เกิดข้อผิดพลาดของระบบ กรุณาลองใหม่อีกครั้ง',
+            code: 'INTERNAL_ERROR' 
+        });
+    }
+});
+
+// Password policy (shown on registration and change-password forms)
+router.get('/password-policy', (req, res) => {
+    res.json({ policy: PASSWORD_POLICY });
+});
+
+// Change Password Endpoint - for signed-in users who know their current password
+router.post('/change-password', authenticateToken, async (req, res) => {
+    const { currentPassword, newPassword, confirmPassword } = req.body;
+    const userId = req.user.userId;
+    const ipAddress = req.ip || req.connection.remoteAddress;
+    const userAgent = req.headers['user-agent'];
+
+    try {
+        if (!currentPassword || !newPassword || !confirmPassword) {
+            return res.status(400).json({ 
+                message: 'ข้อมูลไม่ครบถ้วน',
+                code: 'MISSING_DATA' 
+            });
+        }
+
+        if (newPassword !== confirmPassword) {
+            return res.status(400).json({ 
+                message: 'รหัสผ่านไม่ตรงกัน', 
+                code: 'PASSWORD_MISMATCH' 
+            });
+        }
+
+        const [users] = await pool.execute(
+            'SELECT Password_Hash, Phone_Number FROM Users WHERE National_ID = ?',
+            [userId]
+        );
+
+        if (users.length === 0) {
+            return res.status(404).json({ 
+                message: 'User not found',
+                code: 'USER_NOT_FOUND' 
+            });
+        }
+
+        if (!(await comparePassword(currentPassword, users[0].Password_Hash))) {
+            await logUserAction(userId, 'PASSWORD_CHANGE_FAILED', 'Users', userId, 
+                'Invalid current password', 'failed', ipAddress, userAgent);
+            return res.status(401).json({ 
+                message: 'รหัสผ่านปัจจุบันไม่ถูกต้อง',
+                code: 'INVALID_PASSWORD' 
+            });
+        }
+
+        const policyError = await checkPasswordPolicy(newPassword, { userId, phone: users[0].Phone_Number });
+        if (policyError) {
+            return res.status(400).json(policyError);
+        }
+
+        const passwordHash = await hashPassword(newPassword);
+
+        await pool.execute(
+            'UPDATE Users SET Password_Hash = ?, Updated_At = NOW() WHERE National_ID = ?',
+            [passwordHash, userId]
+        );
+
+        await recordPasswordHistory(userId, passwordHash);
+
+        // Keep this device signed in, sign out everywhere else
+        await invalidateUserSessions(userId, req.user.sessionId);
+
+        await logUserAction(userId, 'PASSWORD_CHANGED', 'Users', userId, 
+            'Password changed, other sessions signed out', 'success', ipAddress, userAgent);
+
+        res.json({
+            message: 'เปลี่ยนรหัสผ่านสำเร็จ อุปกรณ์อื่นถูกออกจากระบบแล้ว',
+            success: true
+        });
+
+    } catch (error) {
+        console.error('Change password error:', error);
+        res.status(500).json({ 
+            message: 'เกิดข้อผิดพลาดของระบบ กรุณาลองใหม่อีกครั้ง',
+            code: 'INTERNAL_ERROR' 
+        });
+    }
+});
+
+// Logout Endpoint
+router.post('/logout', authenticateToken, async (req, res) => {
+    try {
+        const userId = req.user.userId;
+        await invalidateSession(userId, req.user.sessionId);
+        
+        await logUserAction(userId, 'USER_LOGOUT', 'Users', userId, 
+            `User logged out of session ${req.user.sessionId}`, 'success', req.ip, req.headers['user-agent']);
+
+        res.json({ 
+            message: 'Logout successful',
+            code: 'LOGOUT_SUCCESS' 
+        });
+    } catch (error) {
+        console.error('Logout error:', error);
+        res.status(500).json({ 
+            message: 'Internal server error',
+            code: 'INTERNAL_ERROR' 
+        });
+    }
+});
+
+// List active sessions (devices)
+router.get('/sessions', authenticateToken, async (req, res) => {
+    try {
+        const userId = req.user.userId;
+
+        const [sessions] = await pool.execute(
+            `SELECT Session_ID, Device_ID, IP_Address, Created_At, Last_Activity_At, Session_Expires_At
+             FROM Sessions
+             WHERE National_ID = ? AND Session_Status = 'Active' AND Session_Expires_At > NOW()
+             ORDER BY Last_Activity_At DESC`,
+            [userId]
+        );
+
+        res.json({
+            sessions: sessions.map(session => ({
+                session_id: session.Session_ID,
+                device: session.Device_ID,
+                ip_address: session.IP_Address,
+                created_at: session.Created_At,
+                last_seen_at: session.Last_Activity_At,
+                expires_at: session.Session_Expires_At,
+                is_current: session.Session_ID === req.user.sessionId
+            }))
+        });
+
+    } catch (error) {
+        console.error('List sessions error:', error);
+        res.status(500).json({ 
+            message: 'Internal server error',
+            code: 'INTERNAL_ERROR' 
+        });
+    }
+});
+
+// Revoke all sessions except the current one
+router.post('/sessions/revoke-others', authenticateToken, async (req, res) => {
+    try {
+        const userId = req.user.userId;
+        await invalidateUserSessions(userId, req.user.sessionId);
+
+        await logUserAction(userId, 'SESSIONS_REVOKED', 'Sessions', req.user.sessionId, 
+            'All other sessions revoked', 'success', req.ip, req.headers['user-agent']);
+
+        res.json({ 
+            message: 'ออกจากระบบอุปกรณ์อื่นทั้งหมดแล้ว',
+            success: true 
+        });
+
+    } catch (error) {
+        console.error('Revoke other sessions error:', error);
+        res.status(500).json({ 
+            message: 'Internal server error',
+            code: 'INTERNAL_ERROR' 
+        });
+    }
+});
+
+// Revoke a single session
+router.delete('/sessions/:session_id', authenticateToken, async (req, res) => {
+    try {
+        const userId = req.user.userId;
+        const { session_id } = req.params;
+
+        const revoked = await invalidateSession(userId, session_id);
+
+        if (!revoked) {
+            return res.status(404).json({ 
+                message: 'ไม่พบการเข้าสู่ระบบที่ระบุ',
+                code: 'SESSION_NOT_FOUND' 
+            });
+        }
+
+        await logUserAction(userId, 'SESSION_REVOKED', 'Sessions', session_id, 
+            `Session ${session_id} revoked`, 'success', req.ip, req.headers['user-agent']);
+
+        res.json({ 
+            message: 'ออกจากระบบอุปกรณ์ที่เลือกแล้ว',
+            success: true,
+            current_session_revoked: session_id === req.user.sessionId
+        });
+
+    } catch (error) {
+        console.error('Revoke session error:', error);
+        res.status(500).json({ 
+            message: 'Internal server error',
+            code: 'INTERNAL_ERROR' 
+        });
+    }
+});
+
+// Get Current User Info
+router.get('/me', authenticateToken, async (req, res) => {
+    try {
+        const userId = req.user.userId;
+
+        const [users] = await pool.execute(
+            `SELECT u.*, p.Patient_ID, p.Medical_Record_Number
+             FROM Users u
+             LEFT JOIN Patients p ON u.National_ID = p.User_ID
+             WHERE u.National_ID = ?`,
+            [userId]
+        );
+
+        if (users.length === 0) {
+            return res.status(404).json({ 
+                message: 'User not found',
+                code: 'USER_NOT_FOUND' 
+            });
+        }
+
+        const user = users[0];
+        const userProfile = {
+            id: user.National_ID,
+            patientId: user.Patient_ID,
+            role: user.Role,
+            firstName: user.First_Name,
+            lastName: user.Last_Name,
+            phone: user.Phone_Number,
+            hn: user.Medical_Record_Number,
+            status: user.Account_Status
+        };
+
+        res.json({ user: userProfile });
+
+    } catch (error) {
+        console.error('Get user info error:', error);
+        res.status(500).json({ 
+            message: 'Internal server error',
+            code: 'INTERNAL_ERROR' 
+        });
+    }
+});
+
+// Get MFA status
+router.get('/mfa/status', authenticateToken, async (req, res) => {
+    try {
+        const mfa = await getUserMFA(req.user.userId);
+
+        res.json({
+            enabled: !!(mfa && mfa.Is_Enabled),
+            required: isMFARequiredForRole(req.user.role),
+            enrolledAt: mfa && mfa.Is_Enabled ? mfa.Enrolled_At : null
+        });
+
+    } catch (error) {
+        console.error('Get MFA status error:', error);
+        res.status(500).json({ 
+            message: 'Internal server error',
+            code: 'INTERNAL_ERROR' 
+        });
+    }
+});
+
+// Start MFA enrollment - returns the secret and provisioning URI for the QR code
+router.post('/mfa/setup', authenticateToken, async (req, res) => {
+    try {
+        const userId = req.user.userId;
+        const mfa = await getUserMFA(userId);
+
+        if (mfa && mfa.Is_Enabled) {
+            return res.status(409).json({ 
+                message: 'เปิดใช้งานการยืนยันตัวตนสองขั้นตอนอยู่แล้ว',
+                code: 'MFA_ALREADY_ENABLED' 
+            });
+        }
+
+        const enrollment = await startEnrollment(userId, userId);
+
+        res.json({
+            message: 'สแกน QR Code ด้วยแอป Authenticator แล้วยืนยันด้วยรหัส 6 หลัก',
+            secret: enrollment.secret,
+            otpauthUrl: enrollment.otpauthUrl
+        });
+
+    } catch (error) {
+        console.error('MFA setup error:', error);
+        res.status(500).json({ 
+            message: 'Internal server error',
+            code: 'INTERNAL_ERROR' 
+        });
+    }
+});
+
+// Confirm MFA enrollment
+router.post('/mfa/enable', authenticateToken, mfaManageLimiter, async (req, res) => {
+    try {
+        const userId = req.user.userId;
+        const { code } = req.body;
+        const mfa = await getUserMFA(userId);
+
+        if (!mfa) {
+            return res.status(400).json({ 
+                message: 'กรุณาเริ่มการตั้งค่าการยืนยันตัวตนสองขั้นตอนก่อน',
+                code: 'MFA_SETUP_REQUIRED' 
+            });
+        }
+
+        if (mfa.Is_Enabled) {
+            return res.status(409).json({ 
+                message: 'เปิดใช้งานการยืนยันตัวตนสองขั้นตอนอยู่แล้ว',
+                code: 'MFA_ALREADY_ENABLED' 
+            });
+        }
+
+        if (!(await verifyUserTOTP(userId, code))) {
+            return res.status(400).json({ 
+                message: 'รหัสยืนยันตัวตนไม่ถูกต้อง',
+                code: 'INVALID_MFA_CODE' 
+            });
+        }
+
+        const backupCodes = await enableMFA(userId);
+
+        await logUserAction(userId, 'MFA_ENABLED', 'Users', userId, 
+            'TOTP enrolled', 'success', req.ip, req.headers['user-agent']);
+
+        res.json({
+            message: 'เปิดใช้งานการยืนยันตัวตนสองขั้นตอนสำเร็จ กรุณาเก็บรหัสสำรองไว้ในที่ปลอดภัย',
+            success: true,
+            backupCodes
+        });
+
+    } catch (error) {
+        console.error('MFA enable error:', error);
+        res.status(500).json({ 
+            message: 'Internal server error',
+            code: 'INTERNAL_ERROR' 
+        });
+    }
+});
+
+// Disable MFA (not allowed for roles that require it)
+router.post('/mfa/disable', authenticateToken, mfaManageLimiter, async (req, res) => {
+    try {
+        const userId = req.user.userId;
+        const { password, code } = req.body;
+
+        if (isMFARequiredForRole(req.user.role)) {
+            return res.status(403).json({ 
+                message: 'บทบาทของคุณต้องใช้การยืนยันตัวตนสองขั้นตอน',
+                code: 'MFA_REQUIRED_FOR_ROLE' 
+            });
+        }
+
+        const [users] = await pool.execute(
+            'SELECT Password_Hash FROM Users WHERE National_ID = ?',
+            [userId]
+        );
+
+        if (users.length === 0 || !password || !(await comparePassword(password, users[0].Password_Hash))) {
+            return res.status(401).json({ 
+                message: 'รหัสผ่านไม่ถูกต้อง',
+                code: 'INVALID_PASSWORD' 
+            });
+        }
+
+        if (!(await verifyUserTOTP(userId, code))) {
+            return res.status(400).json({ 
+                message: 'รหัสยืนยันตัวตนไม่ถูกต้อง',
+                code: 'INVALID_MFA_CODE' 
+            });
+        }
+
+        await disableMFA(userId);
+
+        await logUserAction(userId, 'MFA_DISABLED', 'Users', userId, 
+            'TOTP disabled', 'success', req.ip, req.headers['user-agent']);
+
+        res.json({
+            message: 'ปิดการยืนยันตัวตนสองขั้นตอนแล้ว',
+            success: true
+        });
+
+    } catch (error) {
+        console.error('MFA disable error:', error);
+        res.status(500).json({ 
+            message: 'Internal server error',
+            code: 'INTERNAL_ERROR' 
+        });
+    }
+});
+
+// Regenerate backup codes
+router.post('/mfa/backup-codes', authenticateToken, mfaManageLimiter, async (req, res) => {
+    try {
+        const userId = req.user.userId;
+        const { code } = req.body;
+        const mfa = await getUserMFA(userId);
+
+        if (!mfa || !mfa.Is_Enabled) {
+            return res.status(400).json({ 
+                message: 'ยังไม่ได้เปิดใช้งานการยืนยันตัวตนสองขั้นตอน',
+                code: 'MFA_NOT_ENABLED' 
+            });
+        }
+
+        if (!(await verifyUserTOTP(userId, code))) {
+            return res.status(400).json({ 
+                message: 'รหัสยืนยันตัวตนไม่ถูกต้อง',
+                code: 'INVALID_MFA_CODE' 
+            });
+        }
+
+        const backupCodes = await generateBackupCodes(userId);
+
+        await logUserAction(userId, 'MFA_BACKUP_CODES_REGENERATED', 'Users', userId, 
+            'Backup codes regenerated', 'success', req.ip, req.headers['user-agent']);
+
+        res.json({
+            message: 'สร้างรหัสสำรองใหม่สำเร็จ',
+            success: true,
+            backupCodes
+        });
+
+    } catch (error) {
+        console.error('MFA backup codes error:', error);
         res.status(500).json({ 
             message: 'Internal server error',
             code: 'INTERNAL_ERROR' 
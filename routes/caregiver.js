@@ -0,0 +1,152 @@
+// routes/caregiver.js - Caregiver Routes
+const express = require('express');
+const { pool } = require('../config/database');
+const { authenticateToken, authorize } = require('../middleware/auth');
+const { logUserAction, verifyOTPHash } = require('../utils/helpers');
+const { parseScopes } = require('../services/caregiver');
+
+const router = express.Router();
+
+// Accept a caregiver invitation sent to this caregiver's phone number
+router.post('/invitations/accept', authenticateToken, authorize('caregiving:manage'), async (req, res) => {
+    try {
+        const userId = req.user.userId;
+        const { invite_code } = req.body;
+
+        if (!invite_code) {
+            return res.status(400).json({
+                message: 'กรุณากรอกรหัสคำเชิญ',
+                code: 'MISSING_INVITE_CODE'
+            });
+        }
+
+        const [users] = await pool.execute(
+            'SELECT Phone_Number FROM Users WHERE National_ID = ?',
+            [userId]
+        );
+
+        const [invitations] = await pool.execute(
+            `SELECT * FROM Caregiver_Links
+             WHERE Invite_Phone = ? AND Status = 'Pending' AND Invite_Expires_At > NOW()`,
+            [users[0].Phone_Number]
+        );
+
+        const invitation = invitations.find(
+            inv => verifyOTPHash(inv.Invite_Phone, invite_code, inv.Invite_Code_Hash)
+        );
+
+        if (!invitation) {
+            return res.status(400).json({
+                message: 'รหัสคำเชิญไม่ถูกต้องหรือหมดอายุ',
+                code: 'INVALID_INVITE_CODE'
+            });
+        }
+
+        // One active link per caregiver and patient
+        await pool.execute(
+            `UPDATE Caregiver_Links SET Status = 'Revoked', Revoked_At = NOW(), Updated_At = NOW()
+             WHERE Patient_ID = ? AND Caregiver_User_ID = ? AND Status = 'Active'`,
+            [invitation.Patient_ID, userId]
+        );
+
+        await pool.execute(
+            `UPDATE Caregiver_Links
+             SET Caregiver_User_ID = ?, Status = 'Active', Invite_Code_Hash = NULL,
+                 Accepted_At = NOW(), Updated_At = NOW()
+             WHERE ID = ?`,
+            [userId, invitation.ID]
+        );
+
+        await logUserAction(userId, 'CAREGIVER_INVITE_ACCEPTED', 'Caregiver_Links', invitation.ID,
+            `Caregiver linked to patient ${invitation.Patient_ID}`, 'success', req.ip, req.headers['user-agent']);
+
+        res.json({
+            message: 'เชื่อมต่อกับผู้ป่วยสำเร็จ',
+            success: true,
+            patient_id: invitation.Patient_ID,
+            scopes: parseScopes(invitation.Scopes)
+        });
+
+    } catch (error) {
+        console.error('Accept caregiver invitation error:', error);
+        res.status(500).json({
+            message: 'เกิดข้อผิดพลาดของระบบ',
+            code: 'INTERNAL_ERROR'
+        });
+    }
+});
+
+// List linked patients (used to switch between patients)
+router.get('/patients', authenticateToken, authorize('caregiving:manage'), async (req, res) => {
+    try {
+        const [links] = await pool.execute(
+            `SELECT cl.ID as link_id, cl.Patient_ID, cl.Relationship, cl.Scopes, cl.Accepted_At,
+                    u.First_Name, u.Last_Name, p.Medical_Record_Number
+             FROM Caregiver_Links cl
+             JOIN Patients p ON cl.Patient_ID = p.Patient_ID
+             JOIN Users u ON p.User_ID = u.National_ID
+             WHERE cl.Caregiver_User_ID = ? AND cl.Status = 'Active'
+             ORDER BY u.First_Name, u.Last_Name`,
+            [req.user.userId]
+        );
+
+        res.json({
+            patients: links.map(link => ({
+                link_id: link.link_id,
+                patient_id: link.Patient_ID,
+                first_name: link.First_Name,
+                last_name: link.Last_Name,
+                hn: link.Medical_Record_Number,
+                relationship: link.Relationship,
+                scopes: parseScopes(link.Scopes),
+                linked_at: link.Accepted_At
+            }))
+        });
+
+    } catch (error) {
+        console.error('Get caregiver patients error:', error);
+        res.status(500).json({
+            message: 'เกิดข้อผิดพลาดของระบบ',
+            code: 'INTERNAL_ERROR',
+            patients: []
+        });
+    }
+});
+
+// Stop caring for a patient
+router.delete('/patients/:patient_id', authenticateToken, authorize('caregiving:manage'), async (req, res) => {
+    try {
+        const userId = req.user.userId;
+        const { patient_id } = req.params;
+
+        const [result] = await pool.execute(
+            `UPDATE Caregiver_Links SET Status = 'Revoked', Revoked_At = NOW(), Updated_At = NOW()
+             WHERE Patient_ID = ? AND Caregiver_User_ID = ? AND Status = 'Active'`,
+            [patient_id, userId]
+        );
+
+        if (result.affectedRows === 0) {
+            return res.status(404).json({
+                message: 'ไม่พบผู้ป่วยที่เชื่อมต่อ',
+                code: 'LINK_NOT_FOUND'
+            });
+        }
+
+        await logUserAction(userId, 'CAREGIVER_LINK_REMOVED', 'Caregiver_Links', patient_id,
+            `Caregiver left patient ${patient_id}`, 'success', req.ip, req.headers['user-agent']);
+
+        res.json({
+            message: 'ยกเลิกการดูแลผู้ป่วยสำเร็จ',
+            success: true
+        });
+
+    } catch (error) {
+        console.error('Remove caregiver link error:', error);
+        res.status(500).json({
+            message: 'เกิดข้อผิดพลาดของระบบ',
+            code: 'INTERNAL_ERROR'
+        });
+    }
+});
+
+module.exports = router;
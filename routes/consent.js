@@ -0,0 +1,118 @@
+// routes/consent.js - PDPA Consent Routes
+const express = require('express');
+const { authenticateToken, authorize } = require('../middleware/auth');
+const { logUserAction } = require('../utils/helpers');
+const {
+    CONSENT_PURPOSES,
+    getCurrentDocuments,
+    getUserConsents,
+    grantConsent,
+    withdrawConsent
+} = require('../services/consent');
+
+const router = express.Router();
+
+// Reject unknown consent purposes
+const validatePurpose = (req, res, next) => {
+    if (!CONSENT_PURPOSES.includes(req.params.purpose)) {
+        return res.status(400).json({
+            message: `วัตถุประสงค์ต้องเป็น ${CONSENT_PURPOSES.join(', ')}`,
+            code: 'INVALID_CONSENT_PURPOSE'
+        });
+    }
+    next();
+};
+
+// Get current consent documents (public, shown before registration)
+router.get('/documents', async (req, res) => {
+    try {
+        const documents = await getCurrentDocuments();
+        res.json({ documents });
+
+    } catch (error) {
+        console.error('Get consent documents error:', error);
+        res.status(500).json({
+            message: 'เกิดข้อผิดพลาดของระบบ',
+            code: 'INTERNAL_ERROR'
+        });
+    }
+});
+
+// Get my consents
+router.get('/', authenticateToken, authorize('consents:manage'), async (req, res) => {
+    try {
+        const consents = await getUserConsents(req.user.userId);
+        res.json({ consents });
+
+    } catch (error) {
+        console.error('Get consents error:', error);
+        res.status(500).json({
+            message: 'เกิดข้อผิดพลาดของระบบ',
+            code: 'INTERNAL_ERROR'
+        });
+    }
+});
+
+// Grant consent for a purpose (also used to accept a new document version)
+router.post('/:purpose', authenticateToken, authorize('consents:manage'), validatePurpose, async (req, res) => {
+    try {
+        const userId = req.user.userId;
+        const { purpose } = req.params;
+        const ipAddress = req.ip;
+        const userAgent = req.headers['user-agent'];
+
+        const consent = await grantConsent(userId, purpose, ipAddress, userAgent);
+
+        await logUserAction(userId, 'CONSENT_GRANTED', 'User_Consents', consent.consentId,
+            `Consent granted: ${purpose} v${consent.version}`, 'success', ipAddress, userAgent);
+
+        res.json({
+            message: 'บันทึกการให้ความยินยอมสำเร็จ',
+            success: true,
+            purpose,
+            version: consent.version
+        });
+
+    } catch (error) {
+        console.error('Grant consent error:', error);
+        res.status(500).json({
+            message: 'เกิดข้อผิดพลาดในการบันทึกความยินยอม',
+            code: 'RECORD_ERROR'
+        });
+    }
+});
+
+// Withdraw consent for a purpose
+router.delete('/:purpose', authenticateToken, authorize('consents:manage'), validatePurpose, async (req, res) => {
+    try {
+        const userId = req.user.userId;
+        const { purpose } = req.params;
+
+        const withdrawn = await withdrawConsent(userId, purpose);
+
+        if (!withdrawn) {
+            return res.status(404).json({
+                message: 'ไม่พบความยินยอมที่ให้ไว้',
+                code: 'CONSENT_NOT_FOUND'
+            });
+        }
+
+        await logUserAction(userId, 'CONSENT_WITHDRAWN', 'User_Consents', userId,
+            `Consent withdrawn: ${purpose}`, 'success', req.ip, req.headers['user-agent']);
+
+        res.json({
+            message: 'ถอนความยินยอมสำเร็จ',
+            success: true,
+            purpose
+        });
+
+    } catch (error) {
+        console.error('Withdraw consent error:', error);
+        res.status(500).json({
+            message: 'เกิดข้อผิดพลาดในการถอนความยินยอม',
+            code: 'UPDATE_ERROR'
+        });
+    }
+});
+
+module.exports = router;
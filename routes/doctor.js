@@ -0,0 +1,772 @@
+// routes/doctor.js - Doctor Routes
+const express = require('express');
+const { pool } = require('../config/database');
+const { authenticateToken, authorize } = require('../middleware/auth');
+const { logUserAction, formatDate } = require('../utils/helpers');
+const {
+    MIN_TARGET_IOP, MAX_TARGET_IOP, isValidTarget, getCurrentTarget, getTargetHistory, setTarget
+} = require('../services/targetIOP');
+const {
+    MAX_ANALYTICS_PERIOD_DAYS, DIURNAL_BUCKET_HOURS, isValidPeriod, getIOPAnalytics,
+    getRisingIOPFlags, getDiurnalCurve
+} = require('../services/iopAnalytics');
+const { getAmendments } = require('../services/iopAmendments');
+const {
+    getAlert, isOnCareTeam, getCareTeamAlerts, acknowledgeAlert, resolveAlert
+} = require('../services/alertEscalation');
+const { checkMedication, getMedicationWarnings } = require('../services/medicationSafety');
+const {
+    PRESCRIPTION_EYES, getPrescription, getVersions, prescribe, modifyPrescription, discontinuePrescription
+} = require('../services/prescriptions');
+const { parseDate } = require('../utils/reminderSchedule');
+const { sendPushNotification } = require('../services/pushNotification');
+
+const router = express.Router();
+
+const ALERT_STATUSES = ['Open', 'Acknowledged', 'Resolved'];
+
+// Get patients assigned to this doctor
+router.get('/patients', authenticateToken, authorize('patients:list'), async (req, res) => {
+    try {
+        const doctorId = req.user.userId;
+        const { search, limit = '50', offset = '0' } = req.query;
+
+        let whereClause = 'WHERE ct.Member_User_ID = ? AND ct.Is_Active = 1';
+        let params = [doctorId];
+
+        if (search) {
+            whereClause += ' AND (u.First_Name LIKE ? OR u.Last_Name LIKE ? OR p.Medical_Record_Number LIKE ?)';
+            params.push(`%${search}%`, `%${search}%`, `%${search}%`);
+        }
+
+        const [patients] = await pool.execute(
+            `SELECT p.Patient_ID, p.Medical_Record_Number, p.Glaucoma_Type, p.Glaucoma_Stage,
+                    p.Patient_Status, u.First_Name, u.Last_Name, u.Date_Of_Birth, u.Gender,
+                    u.Phone_Number, ct.Care_Role, ct.Is_Primary, ct.Assigned_At,
+                    (SELECT MAX(i.Measured_Date) FROM IOP_Records i
+                     WHERE i.Patient_ID = p.Patient_ID AND i.Is_Deleted = 0) as last_iop_date,
+                    (SELECT MIN(a.Appointment_Date) FROM Appointments a
+                     WHERE a.Patient_ID = p.Patient_ID AND a.Status = 'Scheduled'
+                     AND a.Appointment_Date >= CURDATE()) as next_appointment_date
+             FROM Patient_Care_Team ct
+             JOIN Patients p ON ct.Patient_ID = p.Patient_ID
+             JOIN Users u ON p.User_ID = u.National_ID
+             ${whereClause}
+             ORDER BY u.First_Name, u.Last_Name
+             LIMIT ? OFFSET ?`,
+            [...params, parseInt(limit), parseInt(offset)]
+        );
+
+        res.json({ patients: patients || [] });
+
+    } catch (error) {
+        console.error('Get doctor patients error:', error);
+        res.status(500).json({
+            message: 'เกิดข้อผิดพลาดของระบบ',
+            code: 'INTERNAL_ERROR',
+            patients: []
+        });
+    }
+});
+
+// Patients on my care team whose IOP is rising significantly (bring in early)
+router.get('/patients/rising-iop', authenticateToken, authorize('patients:list'), async (req, res) => {
+    try {
+        const { period = '180' } = req.query;
+        const periodDays = parseInt(period);
+
+        if (!isValidPeriod(periodDays)) {
+            return res.status(400).json({
+                message: `ช่วงเวลาต้องอยู่ระหว่าง 1-${MAX_ANALYTICS_PERIOD_DAYS} วัน`,
+                code: 'INVALID_PERIOD'
+            });
+        }
+
+        const [patients] = await pool.execute(
+            `SELECT p.Patient_ID, p.Medical_Record_Number, u.First_Name, u.Last_Name,
+                    (SELECT MIN(a.Appointment_Date) FROM Appointments a
+                     WHERE a.Patient_ID = p.Patient_ID AND a.Status = 'Scheduled'
+                     AND a.Appointment_Date >= CURDATE()) as next_appointment_date
+             FROM Patient_Care_Team ct
+             JOIN Patients p ON ct.Patient_ID = p.Patient_ID
+             JOIN Users u ON p.User_ID = u.National_ID
+             WHERE ct.Member_User_ID = ? AND ct.Is_Active = 1`,
+            [req.user.userId]
+        );
+
+        const trends = await getRisingIOPFlags(patients.map(patient => patient.Patient_ID), periodDays);
+
+        const flagged = patients
+            .filter(patient => trends[patient.Patient_ID].flags.needs_early_review)
+            .map(patient => ({ ...patient, ...trends[patient.Patient_ID] }));
+
+        res.json({ patients: flagged, period_days: periodDays });
+
+    } catch (error) {
+        console.error('Get rising IOP patients error:', error);
+        res.status(500).json({
+            message: 'เกิดข้อผิดพลาดของระบบ',
+            code: 'INTERNAL_ERROR',
+            patients: []
+        });
+    }
+});
+
+// Get read-only patient chart
+router.get('/patients/:patient_id/chart', authenticateToken, authorize('charts:read'), async (req, res) => {
+    try {
+        const patientId = req.careTeam.patientId;
+
+        const [profiles] = await pool.execute(
+            `SELECT p.*, u.First_Name, u.Last_Name, u.Date_Of_Birth, u.Gender,
+                    u.Phone_Number, u.Address
+             FROM Patients p
+             JOIN Users u ON p.User_ID = u.National_ID
+             WHERE p.Patient_ID = ?`,
+            [patientId]
+        );
+
+        if (profiles.length === 0) {
+            return res.status(404).json({
+                message: 'ไม่พบข้อมูลผู้ป่วย',
+                code: 'PATIENT_NOT_FOUND'
+            });
+        }
+
+        const profile = profiles[0];
+
+        const [iopRecords] = await pool.execute(
+            `SELECT * FROM IOP_Records
+             WHERE Patient_ID = ?
+             ORDER BY Measured_At DESC`,
+            [patientId]
+        );
+
+        const [medications] = await pool.execute(
+            `SELECT pm.*, m.Name, m.Type, m.Dosage_Form, m.Active_Ingredient
+             FROM Patient_Medications pm
+             LEFT JOIN Medications m ON pm.Medication_ID = m.Medication_ID
+             WHERE pm.Patient_ID = ?
+             ORDER BY pm.Status, pm.Created_At DESC`,
+            [patientId]
+        );
+
+        const [appointments] = await pool.execute(
+            `SELECT * FROM Appointments
+             WHERE Patient_ID = ?
+             ORDER BY Appointment_Date DESC, Appointment_Time DESC`,
+            [patientId]
+        );
+
+        const [visualFieldTests] = await pool.execute(
+            `SELECT * FROM Visual_Field_Tests
+             WHERE Patient_ID = ?
+             ORDER BY Test_Date DESC`,
+            [patientId]
+        );
+
+        const [octScans] = await pool.execute(
+            `SELECT * FROM OCT_Scans
+             WHERE Patient_ID = ?
+             ORDER BY Scan_Date DESC`,
+            [patientId]
+        );
+
+        const targetIOP = await getCurrentTarget(patientId);
+        const medicationWarnings = await getMedicationWarnings(patientId);
+
+        // Deleted and corrected readings stay in the chart with their amendment history
+        const amendments = await getAmendments(patientId);
+
+        // Log chart access
+        await logUserAction(
+            req.user.userId, 'PATIENT_CHART_VIEW', 'Patients',
+            patientId, `Viewed chart of patient ${patientId}`, 'success',
+            req.ip, req.headers['user-agent']
+        );
+
+        res.json({
+            profile: {
+                ...profile,
+                Date_First_Diagnosed: profile.Date_First_Diagnosed ? formatDate(profile.Date_First_Diagnosed) : null
+            },
+            care_team_role: req.careTeam.careRole,
+            target_iop: targetIOP,
+            iop_records: iopRecords.map(record => ({
+                ...record,
+                amendments: amendments.filter(a => String(a.IOP_Record_ID) === String(record.ID))
+            })),
+            medications: medications.map(medication => ({
+                ...medication,
+                warnings: medicationWarnings[medication.ID] || []
+            })),
+            appointments,
+            visual_field_tests: visualFieldTests,
+            oct_scans: octScans
+        });
+
+    } catch (error) {
+        console.error('Get patient chart error:', error);
+        res.status(500).json({
+            message: 'เกิดข้อผิดพลาดของระบบ',
+            code: 'INTERNAL_ERROR'
+        });
+    }
+});
+
+// IOP trend, fluctuation and peak analysis for a patient
+router.get('/patients/:patient_id/iop-analytics', authenticateToken, authorize('charts:read', 'iop:read'), async (req, res) => {
+    try {
+        const { period = '365' } = req.query;
+        const periodDays = parseInt(period);
+
+        if (!isValidPeriod(periodDays)) {
+            return res.status(400).json({
+                message: `ช่วงเวลาต้องอยู่ระหว่าง 1-${MAX_ANALYTICS_PERIOD_DAYS} วัน`,
+                code: 'INVALID_PERIOD'
+            });
+        }
+
+        const analytics = await getIOPAnalytics(req.careTeam.patientId, periodDays);
+        res.json(analytics);
+
+    } catch (error) {
+        console.error('Get patient IOP analytics error:', error);
+        res.status(500).json({
+            message: 'เกิดข้อผิดพลาดของระบบ',
+            code: 'INTERNAL_ERROR'
+        });
+    }
+});
+
+// Diurnal IOP curve for a patient measuring at home
+router.get('/patients/:patient_id/iop-diurnal', authenticateToken, authorize('charts:read', 'iop:read'), async (req, res) => {
+    try {
+        const { period = '30', bucket_hours = '2' } = req.query;
+        const bucketHours = parseInt(bucket_hours);
+
+        if (!DIURNAL_BUCKET_HOURS.includes(bucketHours)) {
+            return res.status(400).json({
+                message: 'ช่วงเวลาต้องเป็น 1, 2, 3, 4 หรือ 6 ชั่วโมง',
+                code: 'INVALID_BUCKET_HOURS'
+            });
+        }
+
+        const periodDays = parseInt(period);
+
+        if (!isValidPeriod(periodDays)) {
+            return res.status(400).json({
+                message: `ช่วงเวลาต้องอยู่ระหว่าง 1-${MAX_ANALYTICS_PERIOD_DAYS} วัน`,
+                code: 'INVALID_PERIOD'
+            });
+        }
+
+        const curve = await getDiurnalCurve(req.careTeam.patientId, periodDays, bucketHours);
+        res.json(curve);
+
+    } catch (error) {
+        console.error('Get patient diurnal IOP error:', error);
+        res.status(500).json({
+            message: 'เกิดข้อผิดพลาดของระบบ',
+            code: 'INTERNAL_ERROR'
+        });
+    }
+});
+
+// Get current target IOP and its history
+router.get('/patients/:patient_id/target-iop', authenticateToken, authorize('charts:read', 'iop:read'), async (req, res) => {
+    try {
+        const patientId = req.careTeam.patientId;
+
+        res.json({
+            target_iop: await getCurrentTarget(patientId),
+            history: await getTargetHistory(patientId)
+        });
+
+    } catch (error) {
+        console.error('Get target IOP error:', error);
+        res.status(500).json({
+            message: 'เกิดข้อผิดพลาดของระบบ',
+            code: 'INTERNAL_ERROR'
+        });
+    }
+});
+
+// Set a new target IOP version (either or both eyes)
+router.put('/patients/:patient_id/target-iop', authenticateToken, authorize('iop:target'), async (req, res) => {
+    try {
+        const patientId = req.careTeam.patientId;
+        const { left_eye_target, right_eye_target, reason } = req.body;
+
+        if (left_eye_target === undefined && right_eye_target === undefined) {
+            return res.status(400).json({
+                message: 'กรุณาระบุค่าเป้าหมายอย่างน้อยหนึ่งข้าง',
+                code: 'MISSING_DATA'
+            });
+        }
+
+        if ((left_eye_target !== undefined && !isValidTarget(left_eye_target)) ||
+            (right_eye_target !== undefined && !isValidTarget(right_eye_target))) {
+            return res.status(400).json({
+                message: `ค่าเป้าหมายต้องอยู่ระหว่าง ${MIN_TARGET_IOP}-${MAX_TARGET_IOP} mmHg`,
+                code: 'INVALID_TARGET_IOP'
+            });
+        }
+
+        const target = await setTarget(patientId, {
+            left: left_eye_target !== undefined ? Number(left_eye_target) : undefined,
+            right: right_eye_target !== undefined ? Number(right_eye_target) : undefined,
+            reason
+        }, req.user.userId);
+
+        await logUserAction(req.user.userId, 'TARGET_IOP_SET', 'Target_IOP', patientId,
+            `Target IOP v${target.version} for patient ${patientId}: L ${target.left} / R ${target.right}`,
+            'success', req.ip, req.headers['user-agent']);
+
+        res.json({
+            message: 'บันทึกค่าความดันลูกตาเป้าหมายสำเร็จ',
+            success: true,
+            target_iop: target
+        });
+
+    } catch (error) {
+        console.error('Set target IOP error:', error);
+        res.status(500).json({
+            message: 'เกิดข้อผิดพลาดของระบบ',
+            code: 'INTERNAL_ERROR'
+        });
+    }
+});
+
+// Check a catalog medication against the patient's history and current drops before prescribing
+router.post('/patients/:patient_id/medications/check', authenticateToken, authorize('charts:read'), async (req, res) => {
+    try {
+        const patientId = req.careTeam.patientId;
+        const { medication_id, eye } = req.body;
+
+        if (!medication_id) {
+            return res.status(400).json({
+                message: 'กรุณาระบุยา',
+                code: 'MISSING_DATA'
+            });
+        }
+
+        const result = await checkMedication(patientId, medication_id, { eye });
+
+        if (!result) {
+            return res.status(404).json({
+                message: 'ไม่พบยาในรายการยา',
+                code: 'MEDICATION_NOT_FOUND'
+            });
+        }
+
+        res.json(result);
+
+    } catch (error) {
+        console.error('Check medication safety error:', error);
+        res.status(500).json({
+            message: 'เกิดข้อผิดพลาดของระบบ',
+            code: 'INTERNAL_ERROR'
+        });
+    }
+});
+
+// Prescribe a drop from the Medications catalog; default reminders follow the frequency
+router.post('/patients/:patient_id/medications', authenticateToken, authorize('medications:prescribe'), async (req, res) => {
+    try {
+        const patientId = req.careTeam.patientId;
+        const {
+            medication_id, eye, dosage, frequency, start_date, end_date, notes, override_warnings = false
+        } = req.body;
+
+        if (!medication_id || !eye || !dosage || !frequency) {
+            return res.status(400).json({
+                message: 'ข้อมูลไม่ครบถ้วน',
+                code: 'MISSING_DATA'
+            });
+        }
+
+        const errors = validatePrescription({ eye, start_date, end_date });
+        if (errors.length > 0) {
+            return res.status(400).json({
+                message: errors[0],
+                code: 'INVALID_PRESCRIPTION',
+                errors
+            });
+        }
+
+        const safety = await checkMedication(patientId, medication_id, { eye });
+
+        if (!safety) {
+            return res.status(404).json({
+                message: 'ไม่พบยาในรายการยา',
+                code: 'MEDICATION_NOT_FOUND'
+            });
+        }
+
+        // High-severity conflicts need an explicit override from the prescriber
+        if (safety.has_high_severity && !override_warnings) {
+            return res.status(409).json({
+                message: 'พบข้อห้ามใช้หรือประวัติแพ้ยา กรุณาตรวจสอบก่อนสั่งยา',
+                code: 'MEDICATION_SAFETY_WARNING',
+                warnings: safety.warnings
+            });
+        }
+
+        const result = await prescribe(patientId, {
+            medication_id, eye, dosage, frequency,
+            start_date: start_date ? parseDate(start_date) : null,
+            end_date: end_date ? parseDate(end_date) : null,
+            notes
+        }, req.user.userId);
+
+        await notifyPrescriptionChange(patientId, 'มีการสั่งยาใหม่',
+            `แพทย์สั่งยา ${safety.medication_name} ${dosage} ${frequency}`, result.patient_medication_id);
+
+        await logUserAction(req.user.userId, 'MEDICATION_PRESCRIBED', 'Patient_Medications', result.patient_medication_id,
+            `Prescribed ${safety.medication_name} for patient ${patientId}` +
+            (safety.warnings.length > 0 ? ` with ${safety.warnings.length} safety warnings` : ''),
+            'success', req.ip, req.headers['user-agent']);
+
+        res.status(201).json({
+            message: 'สั่งยาสำเร็จ',
+            success: true,
+            patient_medication_id: result.patient_medication_id,
+            version: result.version,
+            reminders: result.reminders,
+            warnings: safety.warnings
+        });
+
+    } catch (error) {
+        console.error('Prescribe medication error:', error);
+        res.status(500).json({
+            message: 'เกิดข้อผิดพลาดของระบบ',
+            code: 'INTERNAL_ERROR'
+        });
+    }
+});
+
+// Change the dose, frequency, eye or end date of an active prescription
+router.put('/patients/:patient_id/medications/:prescription_id', authenticateToken, authorize('medications:prescribe'), async (req, res) => {
+    try {
+        const patientId = req.careTeam.patientId;
+        const { eye, dosage, frequency, end_date, reason } = req.body;
+
+        if (!reason) {
+            return res.status(400).json({
+                message: 'กรุณาระบุเหตุผลในการเปลี่ยนแปลง',
+                code: 'REASON_REQUIRED'
+            });
+        }
+
+        if (eye === undefined && dosage === undefined && frequency === undefined && end_date === undefined) {
+            return res.status(400).json({
+                message: 'ไม่มีข้อมูลที่ต้องการเปลี่ยนแปลง',
+                code: 'MISSING_DATA'
+            });
+        }
+
+        const prescription = await getPrescription(patientId, req.params.prescription_id);
+
+        if (!prescription) {
+            return res.status(404).json({
+                message: 'ไม่พบรายการยาที่เลือก',
+                code: 'MEDICATION_NOT_FOUND'
+            });
+        }
+
+        if (prescription.Status !== 'Active') {
+            return res.status(409).json({
+                message: 'รายการยานี้หยุดใช้แล้ว',
+                code: 'MEDICATION_NOT_ACTIVE'
+            });
+        }
+
+        if ((dosage !== undefined && !dosage) || (frequency !== undefined && !frequency)) {
+            return res.status(400).json({
+                message: 'ขนาดยาและความถี่ต้องไม่เป็นค่าว่าง',
+                code: 'INVALID_PRESCRIPTION'
+            });
+        }
+
+        const errors = validatePrescription({ eye, start_date: prescription.Start_Date, end_date });
+        if (errors.length > 0) {
+            return res.status(400).json({
+                message: errors[0],
+                code: 'INVALID_PRESCRIPTION',
+                errors
+            });
+        }
+
+        const result = await modifyPrescription(prescription, {
+            eye, dosage, frequency,
+            end_date: end_date !== undefined ? (end_date ? parseDate(end_date) : null) : undefined
+        }, reason, req.user.userId);
+
+        await notifyPrescriptionChange(patientId, 'มีการเปลี่ยนแปลงการใช้ยา',
+            `แพทย์ปรับการใช้ยา ${prescription.medication_name} เป็น ${result.prescription.Dosage} ${result.prescription.Frequency}`,
+            prescription.ID);
+
+        await logUserAction(req.user.userId, 'MEDICATION_MODIFIED', 'Patient_Medications', prescription.ID,
+            `Prescription ${prescription.ID} v${result.version} for patient ${patientId}: ${reason}`,
+            'success', req.ip, req.headers['user-agent']);
+
+        res.json({
+            message: 'แก้ไขการสั่งยาสำเร็จ',
+            success: true,
+            patient_medication_id: prescription.ID,
+            version: result.version,
+            reminders_replaced: result.reminders_replaced,
+            reminders: result.reminders
+        });
+
+    } catch (error) {
+        console.error('Modify prescription error:', error);
+        res.status(500).json({
+            message: 'เกิดข้อผิดพลาดของระบบ',
+            code: 'INTERNAL_ERROR'
+        });
+    }
+});
+
+// Stop a medication; its reminders are cancelled
+router.post('/patients/:patient_id/medications/:prescription_id/discontinue', authenticateToken, authorize('medications:prescribe'), async (req, res) => {
+    try {
+        const patientId = req.careTeam.patientId;
+        const { reason } = req.body;
+
+        if (!reason) {
+            return res.status(400).json({
+                message: 'กรุณาระบุเหตุผลในการหยุดยา',
+                code: 'REASON_REQUIRED'
+            });
+        }
+
+        const prescription = await getPrescription(patientId, req.params.prescription_id);
+
+        if (!prescription) {
+            return res.status(404).json({
+                message: 'ไม่พบรายการยาที่เลือก',
+                code: 'MEDICATION_NOT_FOUND'
+            });
+        }
+
+        if (prescription.Status !== 'Active') {
+            return res.status(409).json({
+                message: 'รายการยานี้หยุดใช้แล้ว',
+                code: 'MEDICATION_NOT_ACTIVE'
+            });
+        }
+
+        const result = await discontinuePrescription(prescription, reason, req.user.userId);
+
+        await notifyPrescriptionChange(patientId, 'หยุดใช้ยา',
+            `แพทย์ให้หยุดใช้ยา ${prescription.medication_name}: ${reason}`, prescription.ID);
+
+        await logUserAction(req.user.userId, 'MEDICATION_DISCONTINUED', 'Patient_Medications', prescription.ID,
+            `Discontinued prescription ${prescription.ID} for patient ${patientId}: ${reason}`,
+            'success', req.ip, req.headers['user-agent']);
+
+        res.json({
+            message: 'หยุดยาสำเร็จ',
+            success: true,
+            patient_medication_id: prescription.ID,
+            version: result.version
+        });
+
+    } catch (error) {
+        console.error('Discontinue prescription error:', error);
+        res.status(500).json({
+            message: 'เกิดข้อผิดพลาดของระบบ',
+            code: 'INTERNAL_ERROR'
+        });
+    }
+});
+
+// Version history of a prescription
+router.get('/patients/:patient_id/medications/:prescription_id/versions', authenticateToken, authorize('charts:read'), async (req, res) => {
+    try {
+        const patientId = req.careTeam.patientId;
+        const prescription = await getPrescription(patientId, req.params.prescription_id);
+
+        if (!prescription) {
+            return res.status(404).json({
+                message: 'ไม่พบรายการยาที่เลือก',
+                code: 'MEDICATION_NOT_FOUND'
+            });
+        }
+
+        res.json({
+            prescription,
+            versions: await getVersions(patientId, prescription.ID)
+        });
+
+    } catch (error) {
+        console.error('Get prescription versions error:', error);
+        res.status(500).json({
+            message: 'เกิดข้อผิดพลาดของระบบ',
+            code: 'INTERNAL_ERROR'
+        });
+    }
+});
+
+// Clinical alerts for patients on the care team (?status=Open|Acknowledged|Resolved)
+router.get('/alerts', authenticateToken, authorize('alerts:manage'), async (req, res) => {
+    try {
+        const { status } = req.query;
+
+        if (status && !ALERT_STATUSES.includes(status)) {
+            return res.status(400).json({
+                message: 'สถานะการแจ้งเตือนไม่ถูกต้อง',
+                code: 'INVALID_STATUS'
+            });
+        }
+
+        const alerts = await getCareTeamAlerts(req.user.userId, status || null);
+        res.json({ alerts });
+
+    } catch (error) {
+        console.error('Get clinical alerts error:', error);
+        res.status(500).json({
+            message: 'เกิดข้อผิดพลาดของระบบ',
+            code: 'INTERNAL_ERROR'
+        });
+    }
+});
+
+// Acknowledge an alert (stops escalation; it stays open until resolved)
+router.post('/alerts/:alert_id/acknowledge', authenticateToken, authorize('alerts:manage'), async (req, res) => {
+    try {
+        const alert = await findCareTeamAlert(req.params.alert_id, req.user.userId);
+        if (!alert) {
+            return res.status(404).json({
+                message: 'ไม่พบการแจ้งเตือน',
+                code: 'ALERT_NOT_FOUND'
+            });
+        }
+
+        if (!(await acknowledgeAlert(alert.ID, req.user.userId))) {
+            return res.status(409).json({
+                message: 'การแจ้งเตือนนี้ได้รับการรับทราบแล้ว',
+                code: 'ALERT_NOT_OPEN',
+                status: alert.Status
+            });
+        }
+
+        await logUserAction(req.user.userId, 'CLINICAL_ALERT_ACKNOWLEDGED', 'Clinical_Alerts', alert.ID,
+            `Acknowledged ${alert.Alert_Type} alert for patient ${alert.Patient_ID}`,
+            'success', req.ip, req.headers['user-agent']);
+
+        res.json({
+            message: 'รับทราบการแจ้งเตือนแล้ว',
+            success: true
+        });
+
+    } catch (error) {
+        console.error('Acknowledge alert error:', error);
+        res.status(500).json({
+            message: 'เกิดข้อผิดพลาดของระบบ',
+            code: 'INTERNAL_ERROR'
+        });
+    }
+});
+
+// Resolve an alert with a note on what was done
+router.post('/alerts/:alert_id/resolve', authenticateToken, authorize('alerts:manage'), async (req, res) => {
+    try {
+        const { note } = req.body;
+
+        const alert = await findCareTeamAlert(req.params.alert_id, req.user.userId);
+        if (!alert) {
+            return res.status(404).json({
+                message: 'ไม่พบการแจ้งเตือน',
+                code: 'ALERT_NOT_FOUND'
+            });
+        }
+
+        if (!note || !note.trim()) {
+            return res.status(400).json({
+                message: 'กรุณาระบุการดำเนินการ',
+                code: 'NOTE_REQUIRED'
+            });
+        }
+
+        if (!(await resolveAlert(alert.ID, req.user.userId, note.trim()))) {
+            return res.status(409).json({
+                message: 'การแจ้งเตือนนี้ได้รับการแก้ไขแล้ว',
+                code: 'ALERT_ALREADY_RESOLVED'
+            });
+        }
+
+        await logUserAction(req.user.userId, 'CLINICAL_ALERT_RESOLVED', 'Clinical_Alerts', alert.ID,
+            `Resolved ${alert.Alert_Type} alert for patient ${alert.Patient_ID}`,
+            'success', req.ip, req.headers['user-agent']);
+
+        res.json({
+            message: 'ปิดการแจ้งเตือนแล้ว',
+            success: true
+        });
+
+    } catch (error) {
+        console.error('Resolve alert error:', error);
+        res.status(500).json({
+            message: 'เกิดข้อผิดพลาดของระบบ',
+            code: 'INTERNAL_ERROR'
+        });
+    }
+});
+
+// Alert visible to the clinician only if they are on the patient's care team
+async function findCareTeamAlert(alertId, userId) {
+    const alert = await getAlert(alertId);
+    if (!alert || !(await isOnCareTeam(alert.Patient_ID, userId))) return null;
+    return alert;
+}
+
+// Validate eye and dates of a prescription; returns a list of error messages
+function validatePrescription({ eye, start_date, end_date }) {
+    const errors = [];
+
+    if (eye !== undefined && !PRESCRIPTION_EYES.includes(eye)) {
+        errors.push('ตาที่ใช้ยาต้องเป็น left, right หรือ both');
+    }
+
+    const startDate = start_date ? parseDate(start_date) : null;
+    const endDate = end_date ? parseDate(end_date) : null;
+
+    if (start_date && !startDate) errors.push('วันที่เริ่มใช้ยาไม่ถูกต้อง');
+    if (end_date && !endDate) errors.push('วันที่สิ้นสุดการใช้ยาไม่ถูกต้อง');
+    if (startDate && endDate && endDate < startDate) {
+        errors.push('วันที่สิ้นสุดต้องไม่ก่อนวันที่เริ่มใช้ยา');
+    }
+
+    return errors;
+}
+
+// Tell the patient about a prescription change (in-app and push)
+async function notifyPrescriptionChange(patientId, title, body, patientMedicationId) {
+    try {
+        const [patients] = await pool.execute(
+            'SELECT User_ID FROM Patients WHERE Patient_ID = ?',
+            [patientId]
+        );
+        if (patients.length === 0) return;
+
+        await pool.execute(
+            `INSERT INTO Notifications 
+             (ID, Recipient_ID, Type, Title, Message, Priority, Status, Sent_At)
+             VALUES (?, ?, 'prescription_update', ?, ?, 'high', 'Unread', NOW())`,
+            [Date.now(), patients[0].User_ID, title, body]
+        );
+
+        await sendPushNotification(patients[0].User_ID, title, body, {
+            type: 'prescription_update',
+            patientMedicationId,
+            url: '/medications'
+        });
+    } catch (error) {
+        console.error('Notify prescription change error:', error);
+    }
+}
+
+module.exports = router;
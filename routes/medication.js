@@ -2,14 +2,31 @@
 const express = require('express');
 const cron = require('node-cron');
 const { pool } = require('../config/database');
-const { authenticateToken, ensurePatient } = require('../middleware/auth');
+const { authenticateToken, authorize } = require('../middleware/auth');
 const { generateId, logUserAction, formatDate } = require('../utils/helpers');
-const { sendMedicationReminder } = require('../services/pushNotification');
+const { sendMedicationReminder, sendDropSequenceReminder } = require('../services/pushNotification');
+const {
+    parseDaysOfWeek, parseDate, validateSchedule, getOccurrences, getNextOccurrence
+} = require('../utils/reminderSchedule');
+const { getAdherence, findScheduledTime, isLateDose } = require('../services/doseSchedule');
+const { buildSequence, getDailySequences, describeSequence } = require('../services/dropSequencer');
+const {
+    getMedication, getBottle, addBottle, openBottle, discardBottle, deductDose, getInventory, formatBottle
+} = require('../services/medicationInventory');
+const { getDueSnoozes, markSnoozesSent, isSnoozed } = require('../services/reminderActions');
+const { getMedicationWarnings } = require('../services/medicationSafety');
 
 const router = express.Router();
 
+// Minutes after a scheduled dose before it counts as missed
+const MISSED_DOSE_GRACE_MINUTES = 15;
+// How far back the missed-dose check looks for unrecorded occurrences
+const MISSED_DOSE_LOOKBACK_HOURS = 3;
+// A dose logged within this many minutes of an occurrence counts for it
+const DOSE_MATCH_WINDOW_MINUTES = 60;
+
 // Get patient medications
-router.get('/', authenticateToken, ensurePatient, async (req, res) => {
+router.get('/', authenticateToken, authorize('medications:read'), async (req, res) => {
     try {
         const patientId = req.user.patientId;
 
@@ -29,7 +46,15 @@ router.get('/', authenticateToken, ensurePatient, async (req, res) => {
             [patientId]
         );
 
-        res.json({ medications: medications || [] });
+        // Contraindications, duplicate classes and allergy conflicts per medication
+        const warnings = await getMedicationWarnings(patientId);
+
+        res.json({
+            medications: (medications || []).map(medication => ({
+                ...medication,
+                warnings: warnings[medication.ID] || []
+            }))
+        });
 
     } catch (error) {
         console.error('Get medications error:', error);
@@ -41,7 +66,7 @@ router.get('/', authenticateToken, ensurePatient, async (req, res) => {
 });
 
 // Get medication reminders
-router.get('/reminders', authenticateToken, ensurePatient, async (req, res) => {
+router.get('/reminders', authenticateToken, authorize('reminders:read'), async (req, res) => {
     try {
         const patientId = req.user.patientId;
 
@@ -61,7 +86,14 @@ router.get('/reminders', authenticateToken, ensurePatient, async (req, res) => {
             [patientId]
         );
 
-        res.json({ reminders: reminders || [] });
+        const now = new Date();
+        res.json({
+            reminders: (reminders || []).map(reminder => ({
+                ...reminder,
+                days_of_week: parseDaysOfWeek(reminder.Days_Of_Week),
+                next_occurrence: getNextOccurrence(reminder, now)
+            }))
+        });
 
     } catch (error) {
         console.error('Get reminders error:', error);
@@ -72,14 +104,42 @@ router.get('/reminders', authenticateToken, ensurePatient, async (req, res) => {
     }
 });
 
+// Guided drop sequences for a day (?date=YYYY-MM-DD, default today)
+router.get('/sequences', authenticateToken, authorize('reminders:read'), async (req, res) => {
+    try {
+        const { date } = req.query;
+        const day = date ? parseDate(date) : null;
+
+        if (date && !day) {
+            return res.status(400).json({
+                message: 'วันที่ไม่ถูกต้อง',
+                code: 'INVALID_DATE'
+            });
+        }
+
+        const result = await getDailySequences(req.user.patientId, day ? new Date(`${day}T00:00:00`) : new Date());
+        res.json(result);
+
+    } catch (error) {
+        console.error('Get drop sequences error:', error);
+        res.status(500).json({
+            message: 'เกิดข้อผิดพลาดของระบบ',
+            code: 'INTERNAL_ERROR'
+        });
+    }
+});
+
 // Create medication reminder
-router.post('/reminders', authenticateToken, ensurePatient, async (req, res) => {
+router.post('/reminders', authenticateToken, authorize('reminders:write'), async (req, res) => {
     try {
         const patientId = req.user.patientId;
         const {
             patient_medication_id,
             reminder_time,
             days_of_week = 'Mon,Tue,Wed,Thu,Fri,Sat,Sun',
+            interval_hours,
+            start_date,
+            end_date,
             notes
         } = req.body;
 
@@ -90,6 +150,15 @@ router.post('/reminders', authenticateToken, ensurePatient, async (req, res) =>
             });
         }
 
+        const scheduleErrors = validateSchedule({ reminder_time, days_of_week, interval_hours, start_date, end_date });
+        if (scheduleErrors.length > 0) {
+            return res.status(400).json({
+                message: scheduleErrors[0],
+                code: 'INVALID_SCHEDULE',
+                errors: scheduleErrors
+            });
+        }
+
         // Check if medication exists for this patient
         const [medicationCheck] = await pool.execute(
             `SELECT pm.*, m.Name FROM Patient_Medications pm
@@ -106,19 +175,31 @@ router.post('/reminders', authenticateToken, ensurePatient, async (req, res) =>
         }
 
         const reminderId = Date.now();
+        const days = parseDaysOfWeek(days_of_week);
+        const reminder = {
+            Reminder_Time: reminder_time,
+            Days_Of_Week: days ? days.join(',') : null,
+            Interval_Hours: interval_hours ? Number(interval_hours) : null,
+            Start_Date: start_date ? parseDate(start_date) : null,
+            End_Date: end_date ? parseDate(end_date) : null,
+            Created_At: new Date()
+        };
 
         // แก้ไขจาก Scheduled_Time เป็น Reminder_Time
         await pool.execute(
             `INSERT INTO Medication_Reminders 
-             (ID, Patient_ID, Patient_Medication_ID, Reminder_Time, Reminder_Type, Status, Created_At)
-             VALUES (?, ?, ?, ?, 'Push', 'Pending', NOW())`,
-            [reminderId, patientId, patient_medication_id, reminder_time]
+             (ID, Patient_ID, Patient_Medication_ID, Reminder_Time, Days_Of_Week, Interval_Hours,
+              Start_Date, End_Date, Notes, Reminder_Type, Status, Created_At)
+             VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, 'Push', 'Pending', NOW())`,
+            [reminderId, patientId, patient_medication_id, reminder.Reminder_Time, reminder.Days_Of_Week,
+             reminder.Interval_Hours, reminder.Start_Date, reminder.End_Date, notes || null]
         );
 
         res.json({
             message: `ตั้งการแจ้งเตือนยา "${medicationCheck[0].Name}" สำเร็จ`,
             success: true,
-            reminder_id: reminderId
+            reminder_id: reminderId,
+            next_occurrence: getNextOccurrence(reminder)
         });
 
     } catch (error) {
@@ -131,7 +212,7 @@ router.post('/reminders', authenticateToken, ensurePatient, async (req, res) =>
 });
 
 // Record medication usage
-router.post('/usage', authenticateToken, ensurePatient, async (req, res) => {
+router.post('/usage', authenticateToken, authorize('doses:write'), async (req, res) => {
     try {
         const patientId = req.user.patientId;
         const {
@@ -139,24 +220,59 @@ router.post('/usage', authenticateToken, ensurePatient, async (req, res) => {
             reminder_id,
             status = 'Taken',
             actual_time,
+            scheduled_time,
             notes
         } = req.body;
 
         const recordId = Date.now();
-        const finalActualTime = actual_time || new Date();
+        const finalActualTime = actual_time ? new Date(actual_time) : new Date();
+
+        if (isNaN(finalActualTime.getTime()) || (scheduled_time && isNaN(new Date(scheduled_time).getTime()))) {
+            return res.status(400).json({
+                message: 'รูปแบบเวลาไม่ถูกต้อง',
+                code: 'INVALID_TIME'
+            });
+        }
+
+        // Caregivers act for one patient; the medication must be that patient's
+        const medication = patient_medication_id ? await getMedication(patientId, patient_medication_id) : null;
+        if (!medication) {
+            return res.status(404).json({
+                message: 'ไม่พบรายการยาที่เลือก',
+                code: 'MEDICATION_NOT_FOUND'
+            });
+        }
+
+        // Record the dose against the slot it was scheduled for, not the time it was logged
+        const scheduledTime = scheduled_time
+            ? new Date(scheduled_time)
+            : (await findScheduledTime(patientId, patient_medication_id, finalActualTime, reminder_id)) || finalActualTime;
+
+        const finalStatus = status === 'Taken' && isLateDose(scheduledTime, finalActualTime) ? 'Late' : status;
 
         await pool.execute(
             `INSERT INTO Medication_Doses 
-             (ID, Patient_Medication_ID, Scheduled_Time, Actual_Time, Status, Notes, Created_At)
-             VALUES (?, ?, NOW(), ?, ?, ?, NOW())`,
-            [recordId, patient_medication_id, finalActualTime, status, notes]
+             (ID, Patient_Medication_ID, Reminder_ID, Scheduled_Time, Actual_Time, Status, Notes, Created_At)
+             VALUES (?, ?, ?, ?, ?, ?, ?, NOW())`,
+            [recordId, patient_medication_id, reminder_id || null, scheduledTime, finalActualTime, finalStatus, notes]
         );
 
-        // Update reminder status if provided
+        // Taken doses come out of the bottle in use
+        const bottle = ['Taken', 'Late'].includes(finalStatus)
+            ? await deductDose(patientId, patient_medication_id)
+            : null;
+
+        // Keep an audit trail of doses logged on the patient's behalf
+        if (req.user.actingAs === 'caregiver') {
+            await logUserAction(req.user.userId, 'CAREGIVER_DOSE_LOGGED', 'Medication_Doses', recordId,
+                `Dose logged for patient ${patientId} by caregiver`, 'success', req.ip, req.headers['user-agent']);
+        }
+
+        // Recurring reminders stay Pending; only note when the patient last responded
         if (reminder_id) {
             await pool.execute(
                 `UPDATE Medication_Reminders 
-                 SET Status = 'Sent', Response_At = NOW() 
+                 SET Response_At = NOW() 
                  WHERE ID = ? AND Patient_ID = ?`,
                 [reminder_id, patientId]
             );
@@ -165,7 +281,10 @@ router.post('/usage', authenticateToken, ensurePatient, async (req, res) => {
         res.json({
             message: 'บันทึกการใช้ยาสำเร็จ',
             success: true,
-            record_id: recordId
+            record_id: recordId,
+            scheduled_time: scheduledTime,
+            status: finalStatus,
+            bottle: bottle ? formatBottle(bottle) : null
         });
 
     } catch (error) {
@@ -177,30 +296,175 @@ router.post('/usage', authenticateToken, ensurePatient, async (req, res) => {
     }
 });
 
+// Eye-drop supply per medication with predicted run-out dates
+router.get('/inventory', authenticateToken, authorize('medications:read'), async (req, res) => {
+    try {
+        const inventory = await getInventory(req.user.patientId);
+        res.json(inventory);
+
+    } catch (error) {
+        console.error('Get medication inventory error:', error);
+        res.status(500).json({
+            message: 'เกิดข้อผิดพลาดของระบบ',
+            code: 'INTERNAL_ERROR'
+        });
+    }
+});
+
+// Record a dispensed bottle
+router.post('/bottles', authenticateToken, authorize('doses:write'), async (req, res) => {
+    try {
+        const patientId = req.user.patientId;
+        const {
+            patient_medication_id, volume_ml, drops_per_ml, discard_after_days, dispensed_date, opened_date
+        } = req.body;
+
+        if (!patient_medication_id || !volume_ml) {
+            return res.status(400).json({
+                message: 'ข้อมูลไม่ครบถ้วน',
+                code: 'MISSING_DATA'
+            });
+        }
+
+        const isPositive = (value, max) => value === undefined || value === null ||
+            (!isNaN(Number(value)) && Number(value) > 0 && Number(value) <= max);
+
+        if (!isPositive(volume_ml, 100) || !isPositive(drops_per_ml, 60) || !isPositive(discard_after_days, 365)) {
+            return res.status(400).json({
+                message: 'ข้อมูลขวดยาไม่ถูกต้อง',
+                code: 'INVALID_BOTTLE'
+            });
+        }
+
+        if ((dispensed_date && !parseDate(dispensed_date)) || (opened_date && !parseDate(opened_date))) {
+            return res.status(400).json({
+                message: 'วันที่ไม่ถูกต้อง',
+                code: 'INVALID_DATE'
+            });
+        }
+
+        const medication = await getMedication(patientId, patient_medication_id);
+        if (!medication) {
+            return res.status(404).json({
+                message: 'ไม่พบรายการยาที่เลือก',
+                code: 'MEDICATION_NOT_FOUND'
+            });
+        }
+
+        const bottleId = await addBottle(patientId, medication.ID, {
+            volume_ml: Number(volume_ml),
+            drops_per_ml: drops_per_ml ? Number(drops_per_ml) : null,
+            discard_after_days: discard_after_days ? parseInt(discard_after_days) : null,
+            dispensed_date,
+            opened_date
+        });
+
+        // Opening a new bottle finishes the one in use
+        if (opened_date) {
+            await openBottle({ ID: bottleId, Patient_Medication_ID: medication.ID }, new Date(`${opened_date}T00:00:00`));
+        }
+
+        res.json({
+            message: `บันทึกขวดยา "${medication.medication_name}" สำเร็จ`,
+            success: true,
+            bottle_id: bottleId
+        });
+
+    } catch (error) {
+        console.error('Add medication bottle error:', error);
+        res.status(500).json({
+            message: 'เกิดข้อผิดพลาดของระบบ',
+            code: 'INTERNAL_ERROR'
+        });
+    }
+});
+
+// Start using a bottle
+router.post('/bottles/:bottle_id/open', authenticateToken, authorize('doses:write'), async (req, res) => {
+    try {
+        const bottle = await getBottle(req.user.patientId, req.params.bottle_id);
+
+        if (!bottle || bottle.Status !== 'Unopened') {
+            return res.status(bottle ? 409 : 404).json({
+                message: bottle ? 'ขวดยานี้เปิดใช้แล้ว' : 'ไม่พบขวดยา',
+                code: bottle ? 'BOTTLE_ALREADY_OPENED' : 'BOTTLE_NOT_FOUND'
+            });
+        }
+
+        await openBottle(bottle);
+
+        res.json({
+            message: 'เริ่มใช้ขวดยาใหม่แล้ว',
+            success: true
+        });
+
+    } catch (error) {
+        console.error('Open medication bottle error:', error);
+        res.status(500).json({
+            message: 'เกิดข้อผิดพลาดของระบบ',
+            code: 'INTERNAL_ERROR'
+        });
+    }
+});
+
+// Throw a bottle away (finished, expired after opening, or contaminated)
+router.post('/bottles/:bottle_id/discard', authenticateToken, authorize('doses:write'), async (req, res) => {
+    try {
+        const bottle = await getBottle(req.user.patientId, req.params.bottle_id);
+
+        if (!bottle || ['Empty', 'Discarded'].includes(bottle.Status)) {
+            return res.status(bottle ? 409 : 404).json({
+                message: bottle ? 'ขวดยานี้ไม่ได้ใช้งานแล้ว' : 'ไม่พบขวดยา',
+                code: bottle ? 'BOTTLE_NOT_ACTIVE' : 'BOTTLE_NOT_FOUND'
+            });
+        }
+
+        await discardBottle(bottle);
+
+        res.json({
+            message: 'บันทึกการทิ้งขวดยาแล้ว',
+            success: true
+        });
+
+    } catch (error) {
+        console.error('Discard medication bottle error:', error);
+        res.status(500).json({
+            message: 'เกิดข้อผิดพลาดของระบบ',
+            code: 'INTERNAL_ERROR'
+        });
+    }
+});
+
 // Get medication adherence report
-router.get('/adherence', authenticateToken, ensurePatient, async (req, res) => {
+// Computed against the expected schedule (reminders, or the prescribed frequency),
+// so doses that were never logged count against adherence
+router.get('/adherence', authenticateToken, authorize('medications:read'), async (req, res) => {
     try {
         const patientId = req.user.patientId;
         const { period = '30' } = req.query;
+        const periodDays = parseInt(period);
 
-        const [adherence] = await pool.execute(
-            `SELECT 
-                pm.ID as medication_id,
-                m.Name as medication_name,
-                COUNT(md.ID) as total_scheduled,
-                SUM(CASE WHEN md.Status = 'Taken' THEN 1 ELSE 0 END) as total_taken,
-                SUM(CASE WHEN md.Status = 'Missed' THEN 1 ELSE 0 END) as total_missed,
-                ROUND((SUM(CASE WHEN md.Status = 'Taken' THEN 1 ELSE 0 END) / COUNT(md.ID)) * 100, 2) as adherence_rate
-             FROM Patient_Medications pm
-             LEFT JOIN Medications m ON pm.Medication_ID = m.Medication_ID
-             LEFT JOIN Medication_Doses md ON pm.ID = md.Patient_Medication_ID
-                AND md.Scheduled_Time >= DATE_SUB(NOW(), INTERVAL ? DAY)
-             WHERE pm.Patient_ID = ? AND pm.Status = 'Active'
-             GROUP BY pm.ID, m.Name`,
-            [parseInt(period), patientId]
-        );
+        if (isNaN(periodDays) || periodDays < 1 || periodDays > 365) {
+            return res.status(400).json({
+                message: 'ช่วงเวลาต้องอยู่ระหว่าง 1-365 วัน',
+                code: 'INVALID_PERIOD'
+            });
+        }
 
-        res.json({ adherence: adherence || [] });
+        const report = await getAdherence(patientId, periodDays);
+
+        res.json({
+            // Kept for existing clients
+            adherence: report.by_medication.map(medication => ({
+                medication_id: medication.patient_medication_id,
+                medication_name: medication.medication_name,
+                total_scheduled: medication.expected,
+                total_taken: medication.taken_on_time + medication.late,
+                total_missed: medication.missed + medication.unlogged,
+                adherence_rate: medication.adherence_rate
+            })),
+            ...report
+        });
 
     } catch (error) {
         console.error('Get adherence error:', error);
@@ -212,7 +476,7 @@ router.get('/adherence', authenticateToken, ensurePatient, async (req, res) => {
 });
 
 // Get medication usage history
-router.get('/usage-history', authenticateToken, ensurePatient, async (req, res) => {
+router.get('/usage-history', authenticateToken, authorize('medications:read'), async (req, res) => {
     try {
         const patientId = req.user.patientId;
         const { period = '7', date } = req.query;
@@ -234,6 +498,7 @@ router.get('/usage-history', authenticateToken, ensurePatient, async (req, res)
                         WHEN md.Status = 'Taken' THEN 'ใช้แล้ว'
                         WHEN md.Status = 'Missed' THEN 'พลาด'
                         WHEN md.Status = 'Late' THEN 'ใช้ช้า'
+                        WHEN md.Status = 'Skipped' THEN 'ข้าม'
                         ELSE md.Status
                     END as status_display
              FROM Medication_Doses md
@@ -255,52 +520,103 @@ router.get('/usage-history', authenticateToken, ensurePatient, async (req, res)
     }
 });
 
+// Pending reminders of active medications whose course covers the given range
+const getActiveReminders = async (from, to) => {
+    const [reminders] = await pool.execute(
+        `SELECT mr.*, m.Name, m.Dosage_Form, pm.Dosage, pm.Patient_ID, p.User_ID
+         FROM Medication_Reminders mr
+         JOIN Patient_Medications pm ON mr.Patient_Medication_ID = pm.ID
+         LEFT JOIN Medications m ON pm.Medication_ID = m.Medication_ID
+         LEFT JOIN Patients p ON pm.Patient_ID = p.Patient_ID
+         WHERE mr.Status = 'Pending' AND pm.Status = 'Active'
+         AND (mr.Start_Date IS NULL OR mr.Start_Date <= DATE(?))
+         AND (mr.End_Date IS NULL OR mr.End_Date >= DATE(?))`,
+        [to, from]
+    );
+    return reminders;
+};
+
+// Doses of the reminder's medication logged for this occurrence
+const findDosesForOccurrence = async (reminder, occurrence) => {
+    const windowMinutes = reminder.Interval_Hours
+        ? Math.min(DOSE_MATCH_WINDOW_MINUTES, reminder.Interval_Hours * 30)
+        : DOSE_MATCH_WINDOW_MINUTES;
+    const windowStart = new Date(occurrence.getTime() - windowMinutes * 60 * 1000);
+    const windowEnd = new Date(occurrence.getTime() + windowMinutes * 60 * 1000);
+
+    const [doses] = await pool.execute(
+        `SELECT ID, Status FROM Medication_Doses
+         WHERE Patient_Medication_ID = ?
+         AND ((Reminder_ID = ? AND Scheduled_Time = ?)
+              OR (Status IN ('Taken', 'Late') AND Actual_Time BETWEEN ? AND ?))`,
+        [reminder.Patient_Medication_ID, reminder.ID, occurrence, windowStart, windowEnd]
+    );
+    return doses;
+};
+
+// What a Taken/Snooze/Skip button on the push applies to
+const reminderActionItem = (reminder, occurrence) => ({
+    reminder_id: reminder.ID,
+    patient_medication_id: reminder.Patient_Medication_ID,
+    scheduled_time: occurrence
+});
+
 // Check for missed medications (updated with push notifications)
+// Each scheduled occurrence without a logged dose is recorded as a Missed dose
 const checkMissedMedications = async () => {
     try {
         console.log('🔔 Checking for missed medications...');
-        
-        const [missedMedications] = await pool.execute(
-            `SELECT mr.*, m.Name, pm.Patient_ID, p.User_ID
-             FROM Medication_Reminders mr
-             LEFT JOIN Patient_Medications pm ON mr.Patient_Medication_ID = pm.ID
-             LEFT JOIN Medications m ON pm.Medication_ID = m.Medication_ID
-             LEFT JOIN Patients p ON pm.Patient_ID = p.Patient_ID
-             WHERE mr.Status = 'Pending'
-             AND NOT EXISTS (
-                 SELECT 1 FROM Medication_Doses md
-                 WHERE md.Patient_Medication_ID = mr.Patient_Medication_ID
-                 AND DATE(md.Scheduled_Time) = CURDATE()
-                 AND md.Status = 'Taken'
-             )
-             AND TIME(NOW()) > ADDTIME(TIME(mr.Reminder_Time), '00:15:00')`
-        );
 
-        for (const missed of missedMedications) {
-            // Send push notification
-            await sendMedicationReminder(
-                missed.Patient_ID,
-                missed.Name,
-                missed.Reminder_Time
-            );
-
-            // Create database notification
-            await createMedicationNotification(
-                missed.User_ID,
-                'missed_medication',
-                'ยังไม่ได้หยอดยา',
-                `ยังไม่ได้หยอดยา ${missed.Name} ตามเวลาที่กำหนด`,
-                'high'
-            );
-
-            // Update reminder status
-            await pool.execute(
-                'UPDATE Medication_Reminders SET Status = "Missed" WHERE ID = ?',
-                [missed.ID]
-            );
+        const now = new Date();
+        const from = new Date(now.getTime() - MISSED_DOSE_LOOKBACK_HOURS * 60 * 60 * 1000);
+        const to = new Date(now.getTime() - MISSED_DOSE_GRACE_MINUTES * 60 * 1000);
+
+        const reminders = await getActiveReminders(from, to);
+        let missedCount = 0;
+
+        for (const reminder of reminders) {
+            // Times that passed before the reminder was set up were never due
+            const createdAt = reminder.Created_At ? new Date(reminder.Created_At).getTime() : null;
+
+            for (const occurrence of getOccurrences(reminder, from, to)) {
+                if (createdAt && occurrence.getTime() < createdAt) continue;
+
+                const doses = await findDosesForOccurrence(reminder, occurrence);
+                if (doses.length > 0) continue;
+
+                // A snoozed dose is not missed until its snooze (plus grace) runs out
+                if (await isSnoozed(reminder.ID, occurrence, MISSED_DOSE_GRACE_MINUTES)) continue;
+
+                await pool.execute(
+                    `INSERT INTO Medication_Doses 
+                     (ID, Patient_Medication_ID, Reminder_ID, Scheduled_Time, Status, Created_At)
+                     VALUES (?, ?, ?, ?, 'Missed', NOW())`,
+                    [Date.now() + Math.floor(Math.random() * 1000), reminder.Patient_Medication_ID,
+                     reminder.ID, occurrence]
+                );
+
+                // Send push notification
+                await sendMedicationReminder(
+                    reminder.Patient_ID,
+                    reminder.Name,
+                    occurrence.toTimeString().slice(0, 5),
+                    [reminderActionItem(reminder, occurrence)]
+                );
+
+                // Create database notification
+                await createMedicationNotification(
+                    reminder.User_ID,
+                    'missed_medication',
+                    'ยังไม่ได้หยอดยา',
+                    `ยังไม่ได้หยอดยา ${reminder.Name} ตามเวลาที่กำหนด`,
+                    'high'
+                );
+
+                missedCount++;
+            }
         }
         
-        console.log(`✅ Processed ${missedMedications.length} missed medication reminders`);
+        console.log(`✅ Recorded ${missedCount} missed doses from ${reminders.length} active reminders`);
     } catch (error) {
         console.error('Check missed medications error:', error);
     }
@@ -310,35 +626,72 @@ const checkMissedMedications = async () => {
 const checkUpcomingMedications = async () => {
     try {
         console.log('🔔 Checking for upcoming medication reminders...');
-        
-        const [upcomingMeds] = await pool.execute(
-            `SELECT mr.*, m.Name, pm.Patient_ID, p.User_ID
-             FROM Medication_Reminders mr
-             LEFT JOIN Patient_Medications pm ON mr.Patient_Medication_ID = pm.ID
-             LEFT JOIN Medications m ON pm.Medication_ID = m.Medication_ID
-             LEFT JOIN Patients p ON pm.Patient_ID = p.Patient_ID
-             WHERE mr.Status = 'Pending'
-             AND TIME(mr.Reminder_Time) = TIME(NOW())
-             AND NOT EXISTS (
-                 SELECT 1 FROM Medication_Doses md
-                 WHERE md.Patient_Medication_ID = mr.Patient_Medication_ID
-                 AND DATE(md.Scheduled_Time) = CURDATE()
-                 AND md.Status = 'Taken'
-             )`
-        );
 
-        for (const med of upcomingMeds) {
-            // Send push notification for current time
-            await sendMedicationReminder(
-                med.Patient_ID,
-                med.Name,
-                med.Reminder_Time
-            );
+        // Occurrences falling in the current minute
+        const from = new Date();
+        from.setSeconds(0, 0);
+        const to = new Date(from.getTime() + 59 * 1000);
+
+        const reminders = await getActiveReminders(from, to);
+
+        // Due reminders per patient; several drops due together become one guided sequence
+        const duePerPatient = {};
+        const addDue = (reminder, occurrence) => {
+            (duePerPatient[reminder.Patient_ID] = duePerPatient[reminder.Patient_ID] || []).push({ ...reminder, occurrence });
+        };
+
+        for (const reminder of reminders) {
+            for (const occurrence of getOccurrences(reminder, from, to)) {
+                // Skip when the dose was already taken early
+                const doses = await findDosesForOccurrence(reminder, occurrence);
+                if (doses.length > 0) continue;
 
-            console.log(`🔔 Sent reminder for ${med.Name} to patient ${med.Patient_ID}`);
+                addDue(reminder, occurrence);
+            }
+        }
+
+        // Snoozed doses come back once their snooze is over, unless taken or skipped meanwhile
+        const snoozes = await getDueSnoozes(to);
+        for (const snooze of snoozes) {
+            const occurrence = new Date(snooze.Scheduled_Time);
+            const doses = await findDosesForOccurrence(snooze, occurrence);
+            if (doses.some(dose => dose.Status !== 'Missed')) continue;
+
+            const due = duePerPatient[snooze.Patient_ID] || [];
+            if (due.some(item => String(item.ID) === String(snooze.ID) && item.occurrence.getTime() === occurrence.getTime())) continue;
+
+            addDue(snooze, occurrence);
+        }
+        await markSnoozesSent(snoozes.map(snooze => snooze.Snooze_ID));
+
+        let sentCount = 0;
+        const reminderTime = from.toTimeString().slice(0, 5);
+
+        for (const due of Object.values(duePerPatient)) {
+            const patientId = due[0].Patient_ID;
+            const sequence = buildSequence(due.map(reminder => ({
+                patient_medication_id: reminder.Patient_Medication_ID,
+                reminder_id: reminder.ID,
+                medication_name: reminder.Name,
+                dosage_form: reminder.Dosage_Form,
+                eye: reminder.Eye,
+                dosage: reminder.Dosage
+            })));
+
+            const actionItems = due.map(reminder => reminderActionItem(reminder, reminder.occurrence));
+
+            if (sequence.steps.length === 1) {
+                // Send push notification for current time
+                await sendMedicationReminder(patientId, due[0].Name, reminderTime, actionItems);
+            } else {
+                await sendDropSequenceReminder(patientId, sequence, reminderTime, describeSequence(sequence), actionItems);
+            }
+
+            sentCount++;
+            console.log(`🔔 Sent reminder for ${sequence.steps.map(step => step.medication_name).join(', ')} to patient ${patientId}`);
         }
         
-        console.log(`✅ Sent ${upcomingMeds.length} medication reminders`);
+        console.log(`✅ Sent ${sentCount} medication reminders`);
     } catch (error) {
         console.error('Check upcoming medications error:', error);
     }
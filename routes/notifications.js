@@ -1,13 +1,28 @@
 // routes/notifications.js - Push Notification Routes
 const express = require('express');
+const rateLimit = require('express-rate-limit');
 const { pool } = require('../config/database');
-const { authenticateToken, ensurePatient } = require('../middleware/auth');
+const { authenticateToken, authorize } = require('../middleware/auth');
 const { subscribeUser, unsubscribeUser, sendPushNotification } = require('../services/pushNotification');
+const { hasConsent } = require('../services/consent');
+const { REMINDER_ACTIONS } = require('../services/actionTokens');
+const { applyReminderAction } = require('../services/reminderActions');
+const { logUserAction } = require('../utils/helpers');
 
 const router = express.Router();
 
+// Reminder actions are authorised by their token alone, so limit guessing
+const reminderActionLimiter = rateLimit({
+    windowMs: 15 * 60 * 1000,
+    max: 60,
+    message: {
+        error: 'Too many reminder actions, please try again later.',
+        retryAfter: 15 * 60
+    }
+});
+
 // Subscribe to push notifications
-router.post('/subscribe', authenticateToken, ensurePatient, async (req, res) => {
+router.post('/subscribe', authenticateToken, async (req, res) => {
     try {
         const userId = req.user.userId;
         const { subscription } = req.body;
@@ -19,6 +34,15 @@ router.post('/subscribe', authenticateToken, ensurePatient, async (req, res) =>
             });
         }
 
+        // Patients must have consented to receive notifications
+        if (req.user.role === 'Patient' && !(await hasConsent(userId, 'notifications'))) {
+            return res.status(403).json({
+                message: 'กรุณาให้ความยินยอมในการรับการแจ้งเตือนก่อน',
+                code: 'CONSENT_REQUIRED',
+                purpose: 'notifications'
+            });
+        }
+
         const success = await subscribeUser(userId, subscription);
 
         if (success) {
@@ -51,7 +75,7 @@ router.post('/subscribe', authenticateToken, ensurePatient, async (req, res) =>
 });
 
 // Unsubscribe from push notifications
-router.post('/unsubscribe', authenticateToken, ensurePatient, async (req, res) => {
+router.post('/unsubscribe', authenticateToken, async (req, res) => {
     try {
         const userId = req.user.userId;
         const { endpoint } = req.body;
@@ -87,7 +111,7 @@ router.post('/unsubscribe', authenticateToken, ensurePatient, async (req, res) =
 });
 
 // Get push notification status
-router.get('/status', authenticateToken, ensurePatient, async (req, res) => {
+router.get('/status', authenticateToken, async (req, res) => {
     try {
         const userId = req.user.userId;
 
@@ -111,7 +135,7 @@ router.get('/status', authenticateToken, ensurePatient, async (req, res) => {
 });
 
 // Send test notification (for testing purposes)
-router.post('/test', authenticateToken, ensurePatient, async (req, res) => {
+router.post('/test', authenticateToken, authorize('notifications:read'), async (req, res) => {
     try {
         const userId = req.user.userId;
         const { title = 'ทดสอบการแจ้งเตือน', body = 'นี่คือการแจ้งเตือนทดสอบ' } = req.body;
@@ -132,6 +156,55 @@ router.post('/test', authenticateToken, ensurePatient, async (req, res) => {
     }
 });
 
+// Taken / Snooze / Skip from a reminder push (called by the service worker, no login)
+router.post('/reminder-action', reminderActionLimiter, async (req, res) => {
+    try {
+        const { token, action } = req.body;
+
+        if (!token || !REMINDER_ACTIONS.includes(action)) {
+            return res.status(400).json({
+                message: 'ข้อมูลไม่ครบถ้วนหรือการดำเนินการไม่ถูกต้อง',
+                code: 'INVALID_ACTION',
+                allowed_actions: REMINDER_ACTIONS
+            });
+        }
+
+        const { result, error } = await applyReminderAction(token, action);
+
+        if (error) {
+            return res.status(error.status).json({
+                message: error.message,
+                code: error.code
+            });
+        }
+
+        await logUserAction(result.user_id, 'REMINDER_ACTION', 'Medication_Reminders',
+            result.items.map(item => item.reminder_id).join(','),
+            `Reminder ${action} for patient ${result.patient_id} from push notification`,
+            'success', req.ip, req.headers['user-agent']);
+
+        const messages = {
+            taken: 'บันทึกการหยอดยาสำเร็จ',
+            snooze: 'จะแจ้งเตือนอีกครั้งในภายหลัง',
+            skip: 'บันทึกการข้ามยาแล้ว'
+        };
+
+        res.json({
+            message: messages[action],
+            success: true,
+            action,
+            items: result.items
+        });
+
+    } catch (error) {
+        console.error('Reminder action error:', error);
+        res.status(500).json({
+            message: 'เกิดข้อผิดพลาดของระบบ',
+            code: 'INTERNAL_ERROR'
+        });
+    }
+});
+
 // Get VAPID public key for client
 router.get('/vapid-public-key', (req, res) => {
     res.json({
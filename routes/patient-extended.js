@@ -4,8 +4,16 @@ const multer = require('multer');
 const path = require('path');
 const fs = require('fs').promises;
 const { pool } = require('../config/database');
-const { authenticateToken, ensurePatient } = require('../middleware/auth');
-const { generateId, logUserAction, formatDate } = require('../utils/helpers');
+const { authenticateToken, authorize, requireConsent } = require('../middleware/auth');
+const {
+    generateId, logUserAction, formatDate, validatePhoneNumber, generateOTP, hashOTP, comparePassword
+} = require('../utils/helpers');
+const { sendOTP } = require('../services/otpDelivery');
+const {
+    CAREGIVER_SCOPES, CAREGIVER_INVITE_TTL_HOURS, parseScopes, isValidScopeList
+} = require('../services/caregiver');
+const { collectPatientData, streamExportArchive } = require('../services/dataRights');
+const { isSevereSymptom, raiseSymptomAlert } = require('../services/alertEscalation');
 
 const router = express.Router();
 
@@ -38,7 +46,7 @@ const upload = multer({
 });
 
 // Add family glaucoma history
-router.post('/family-history', authenticateToken, ensurePatient, async (req, res) => {
+router.post('/family-history', authenticateToken, authorize('history:write'), async (req, res) => {
     try {
         const patientId = req.user.patientId;
         const {
@@ -73,7 +81,7 @@ router.post('/family-history', authenticateToken, ensurePatient, async (req, res
 });
 
 // Get family glaucoma history
-router.get('/family-history', authenticateToken, ensurePatient, async (req, res) => {
+router.get('/family-history', authenticateToken, authorize('history:read'), async (req, res) => {
     try {
         const patientId = req.user.patientId;
 
@@ -106,7 +114,7 @@ router.get('/family-history', authenticateToken, ensurePatient, async (req, res)
 });
 
 // Add eye injury history
-router.post('/eye-injury', authenticateToken, ensurePatient, async (req, res) => {
+router.post('/eye-injury', authenticateToken, authorize('history:write'), async (req, res) => {
     try {
         const patientId = req.user.patientId;
         const {
@@ -141,7 +149,7 @@ router.post('/eye-injury', authenticateToken, ensurePatient, async (req, res) =>
 });
 
 // Record symptom report
-router.post('/symptom-report', authenticateToken, ensurePatient, async (req, res) => {
+router.post('/symptom-report', authenticateToken, authorize('history:write'), async (req, res) => {
     try {
         const patientId = req.user.patientId;
         const {
@@ -161,7 +169,8 @@ router.post('/symptom-report', authenticateToken, ensurePatient, async (req, res
         );
 
         // Create alert if severe symptoms
-        if (severity >= 7 || requires_attention) {
+        const severe = isSevereSymptom(severity, requires_attention);
+        if (severe) {
             await createNotification(
                 req.user.userId,
                 'symptom_alert',
@@ -171,11 +180,15 @@ router.post('/symptom-report', authenticateToken, ensurePatient, async (req, res
             );
         }
 
+        // Severe symptoms are escalated to the care team
+        const careTeamAlert = await raiseSymptomAlert(patientId, reportId, symptom_type, severity, requires_attention);
+
         res.json({
             message: 'บันทึกอาการผิดปกติสำเร็จ',
             success: true,
             report_id: reportId,
-            alert_created: severity >= 7 || requires_attention
+            alert_created: severe,
+            care_team_alerted: !!careTeamAlert
         });
 
     } catch (error) {
@@ -188,7 +201,7 @@ router.post('/symptom-report', authenticateToken, ensurePatient, async (req, res
 });
 
 // Get visual field test results
-router.get('/visual-field-tests', authenticateToken, ensurePatient, async (req, res) => {
+router.get('/visual-field-tests', authenticateToken, authorize('tests:read'), async (req, res) => {
     try {
         const patientId = req.user.patientId;
 
@@ -212,7 +225,7 @@ router.get('/visual-field-tests', authenticateToken, ensurePatient, async (req,
 });
 
 // Compare visual field test results
-router.get('/visual-field-comparison', authenticateToken, ensurePatient, async (req, res) => {
+router.get('/visual-field-comparison', authenticateToken, authorize('tests:read'), async (req, res) => {
     try {
         const patientId = req.user.patientId;
         const { test_ids } = req.query;
@@ -265,7 +278,7 @@ router.get('/visual-field-comparison', authenticateToken, ensurePatient, async (
 });
 
 // Get special eye tests (OCT, CTVF, etc.)
-router.get('/special-tests', authenticateToken, ensurePatient, async (req, res) => {
+router.get('/special-tests', authenticateToken, authorize('tests:read'), async (req, res) => {
     try {
         const patientId = req.user.patientId;
         const { test_type } = req.query;
@@ -305,7 +318,7 @@ router.get('/special-tests', authenticateToken, ensurePatient, async (req, res)
 });
 
 // Get OCT results
-router.get('/oct-results', authenticateToken, ensurePatient, async (req, res) => {
+router.get('/oct-results', authenticateToken, authorize('tests:read'), async (req, res) => {
     try {
         const patientId = req.user.patientId;
 
@@ -329,7 +342,7 @@ router.get('/oct-results', authenticateToken, ensurePatient, async (req, res) =>
 });
 
 // Upload medical document
-router.post('/documents', authenticateToken, ensurePatient, upload.single('document'), async (req, res) => {
+router.post('/documents', authenticateToken, authorize('documents:write'), upload.single('document'), async (req, res) => {
     try {
         const patientId = req.user.patientId;
         const {
@@ -372,7 +385,7 @@ router.post('/documents', authenticateToken, ensurePatient, upload.single('docum
 });
 
 // Get medical documents
-router.get('/documents', authenticateToken, ensurePatient, async (req, res) => {
+router.get('/documents', authenticateToken, authorize('documents:read'), async (req, res) => {
     try {
         const patientId = req.user.patientId;
         const { document_type, search } = req.query;
@@ -417,7 +430,7 @@ router.get('/documents', authenticateToken, ensurePatient, async (req, res) => {
 });
 
 // Download medical document
-router.get('/documents/:document_id/download', authenticateToken, ensurePatient, async (req, res) => {
+router.get('/documents/:document_id/download', authenticateToken, authorize('documents:download'), async (req, res) => {
     try {
         const patientId = req.user.patientId;
         const { document_id } = req.params;
@@ -456,7 +469,7 @@ router.get('/documents/:document_id/download', authenticateToken, ensurePatient,
 });
 
 // Get user preferences/settings
-router.get('/settings', authenticateToken, ensurePatient, async (req, res) => {
+router.get('/settings', authenticateToken, authorize('settings:manage'), async (req, res) => {
     try {
         const userId = req.user.userId;
 
@@ -493,7 +506,7 @@ router.get('/settings', authenticateToken, ensurePatient, async (req, res) => {
 });
 
 // Update user settings
-router.put('/settings', authenticateToken, ensurePatient, async (req, res) => {
+router.put('/settings', authenticateToken, authorize('settings:manage'), async (req, res) => {
     try {
         const userId = req.user.userId;
         const {
@@ -535,7 +548,7 @@ router.put('/settings', authenticateToken, ensurePatient, async (req, res) => {
 });
 
 // Get help content (สำหรับผู้สูงอายุ)
-router.get('/help', authenticateToken, ensurePatient, async (req, res) => {
+router.get('/help', authenticateToken, authorize('help:read'), async (req, res) => {
     try {
         const { category } = req.query;
 
@@ -576,7 +589,7 @@ router.get('/help', authenticateToken, ensurePatient, async (req, res) => {
 });
 
 // Get reschedule request status
-router.get('/reschedule-requests', authenticateToken, ensurePatient, async (req, res) => {
+router.get('/reschedule-requests', authenticateToken, authorize('appointments:read'), async (req, res) => {
     try {
         const patientId = req.user.patientId;
 
@@ -606,6 +619,325 @@ router.get('/reschedule-requests', authenticateToken, ensurePatient, async (req,
     }
 });
 
+// Invite a caregiver
+router.post('/caregivers', authenticateToken, authorize('caregivers:manage'), requireConsent('caregiver_sharing'), async (req, res) => {
+    try {
+        const patientId = req.user.patientId;
+        const { phone, relationship, scopes } = req.body;
+
+        if (!phone || !validatePhoneNumber(phone)) {
+            return res.status(400).json({
+                message: 'รูปแบบเบอร์โทรศัพท์ไม่ถูกต้อง',
+                code: 'INVALID_PHONE'
+            });
+        }
+
+        if (!isValidScopeList(scopes)) {
+            return res.status(400).json({
+                message: `กรุณาเลือกสิทธิ์อย่างน้อย 1 รายการจาก ${CAREGIVER_SCOPES.join(', ')}`,
+                code: 'INVALID_SCOPES'
+            });
+        }
+
+        const linkId = Date.now();
+        const inviteCode = generateOTP(8);
+        const expiresAt = new Date(Date.now() + CAREGIVER_INVITE_TTL_HOURS * 60 * 60 * 1000);
+
+        await pool.execute(
+            `INSERT INTO Caregiver_Links 
+             (ID, Patient_ID, Invite_Phone, Invite_Code_Hash, Invite_Expires_At, 
+              Relationship, Scopes, Status, Created_At)
+             VALUES (?, ?, ?, ?, ?, ?, ?, 'Pending', NOW())`,
+            [linkId, patientId, phone, hashOTP(phone, inviteCode), expiresAt,
+             relationship || null, scopes.join(',')]
+        );
+
+        const [patients] = await pool.execute(
+            'SELECT First_Name, Last_Name FROM Users WHERE National_ID = ?',
+            [req.user.userId]
+        );
+
+        await sendOTP(
+            phone,
+            `คุณ${patients[0].First_Name} ${patients[0].Last_Name} เชิญคุณเป็นผู้ดูแลในแอป EyeMate ` +
+            `รหัสคำเชิญ: ${inviteCode} (หมดอายุใน ${CAREGIVER_INVITE_TTL_HOURS} ชั่วโมง)`,
+            'caregiver_invite'
+        );
+
+        await logUserAction(req.user.userId, 'CAREGIVER_INVITED', 'Caregiver_Links', linkId,
+            `Caregiver invited (${scopes.join(',')})`, 'success', req.ip, req.headers['user-agent']);
+
+        res.json({
+            message: 'ส่งคำเชิญผู้ดูแลสำเร็จ',
+            success: true,
+            link_id: linkId,
+            invite_expires_at: expiresAt.toISOString()
+        });
+
+    } catch (error) {
+        console.error('Invite caregiver error:', error);
+        res.status(500).json({
+            message: 'เกิดข้อผิดพลาดในการเชิญผู้ดูแล',
+            code: 'RECORD_ERROR'
+        });
+    }
+});
+
+// Get caregivers and pending invitations
+router.get('/caregivers', authenticateToken, authorize('caregivers:manage'), async (req, res) => {
+    try {
+        const patientId = req.user.patientId;
+
+        const [links] = await pool.execute(
+            `SELECT cl.ID, cl.Caregiver_User_ID, cl.Invite_Phone, cl.Relationship, cl.Scopes,
+                    cl.Status, cl.Invite_Expires_At, cl.Created_At, cl.Accepted_At,
+                    u.First_Name, u.Last_Name
+             FROM Caregiver_Links cl
+             LEFT JOIN Users u ON cl.Caregiver_User_ID = u.National_ID
+             WHERE cl.Patient_ID = ? AND cl.Status IN ('Pending', 'Active')
+             ORDER BY cl.Created_At DESC`,
+            [patientId]
+        );
+
+        res.json({
+            caregivers: links.map(link => ({
+                ...link,
+                Scopes: parseScopes(link.Scopes)
+            })),
+            available_scopes: CAREGIVER_SCOPES
+        });
+
+    } catch (error) {
+        console.error('Get caregivers error:', error);
+        res.status(500).json({
+            message: 'เกิดข้อผิดพลาดของระบบ',
+            code: 'INTERNAL_ERROR'
+        });
+    }
+});
+
+// Change caregiver scopes
+router.put('/caregivers/:link_id', authenticateToken, authorize('caregivers:manage'), async (req, res) => {
+    try {
+        const patientId = req.user.patientId;
+        const { link_id } = req.params;
+        const { scopes } = req.body;
+
+        if (!isValidScopeList(scopes)) {
+            return res.status(400).json({
+                message: `กรุณาเลือกสิทธิ์อย่างน้อย 1 รายการจาก ${CAREGIVER_SCOPES.join(', ')}`,
+                code: 'INVALID_SCOPES'
+            });
+        }
+
+        const [result] = await pool.execute(
+            `UPDATE Caregiver_Links SET Scopes = ?, Updated_At = NOW()
+             WHERE ID = ? AND Patient_ID = ? AND Status IN ('Pending', 'Active')`,
+            [scopes.join(','), link_id, patientId]
+        );
+
+        if (result.affectedRows === 0) {
+            return res.status(404).json({
+                message: 'ไม่พบผู้ดูแลที่ระบุ',
+                code: 'LINK_NOT_FOUND'
+            });
+        }
+
+        await logUserAction(req.user.userId, 'CAREGIVER_SCOPES_CHANGED', 'Caregiver_Links', link_id,
+            `Caregiver scopes set to ${scopes.join(',')}`, 'success', req.ip, req.headers['user-agent']);
+
+        res.json({
+            message: 'อัปเดตสิทธิ์ผู้ดูแลสำเร็จ',
+            success: true
+        });
+
+    } catch (error) {
+        console.error('Update caregiver scopes error:', error);
+        res.status(500).json({
+            message: 'เกิดข้อผิดพลาดในการอัปเดตสิทธิ์ผู้ดูแล',
+            code: 'UPDATE_ERROR'
+        });
+    }
+});
+
+// Revoke a caregiver or cancel an invitation
+router.delete('/caregivers/:link_id', authenticateToken, authorize('caregivers:manage'), async (req, res) => {
+    try {
+        const patientId = req.user.patientId;
+        const { link_id } = req.params;
+
+        const [result] = await pool.execute(
+            `UPDATE Caregiver_Links 
+             SET Status = 'Revoked', Invite_Code_Hash = NULL, Revoked_At = NOW(), Updated_At = NOW()
+             WHERE ID = ? AND Patient_ID = ? AND Status IN ('Pending', 'Active')`,
+            [link_id, patientId]
+        );
+
+        if (result.affectedRows === 0) {
+            return res.status(404).json({
+                message: 'ไม่พบผู้ดูแลที่ระบุ',
+                code: 'LINK_NOT_FOUND'
+            });
+        }
+
+        await logUserAction(req.user.userId, 'CAREGIVER_REVOKED', 'Caregiver_Links', link_id,
+            'Caregiver access revoked', 'success', req.ip, req.headers['user-agent']);
+
+        res.json({
+            message: 'ยกเลิกสิทธิ์ผู้ดูแลสำเร็จ',
+            success: true
+        });
+
+    } catch (error) {
+        console.error('Revoke caregiver error:', error);
+        res.status(500).json({
+            message: 'เกิดข้อผิดพลาดของระบบ',
+            code: 'INTERNAL_ERROR'
+        });
+    }
+});
+
+// Download a copy of all my data (PDPA right of access)
+router.get('/data-export', authenticateToken, authorize('data:export'), async (req, res) => {
+    try {
+        const userId = req.user.userId;
+        const data = await collectPatientData(userId, req.user.patientId);
+
+        await logUserAction(userId, 'DATA_EXPORT', 'Users', userId,
+            `Personal data export with ${data.medical_documents.length} documents`,
+            'success', req.ip, req.headers['user-agent']);
+
+        const hn = data.patient ? data.patient.Medical_Record_Number : req.user.patientId;
+        res.attachment(`eyemate-data-${hn}-${formatDate(new Date())}.zip`);
+        await streamExportArchive(res, data);
+
+    } catch (error) {
+        console.error('Data export error:', error);
+        if (!res.headersSent) {
+            res.status(500).json({
+                message: 'เกิดข้อผิดพลาดในการส่งออกข้อมูล',
+                code: 'EXPORT_ERROR'
+            });
+        }
+    }
+});
+
+// Request erasure of my account (PDPA right to erasure)
+router.post('/erasure-request', authenticateToken, authorize('data:erase'), async (req, res) => {
+    try {
+        const userId = req.user.userId;
+        const { password, reason } = req.body;
+
+        const [users] = await pool.execute(
+            'SELECT Password_Hash FROM Users WHERE National_ID = ?',
+            [userId]
+        );
+
+        if (!password || !(await comparePassword(password, users[0].Password_Hash))) {
+            return res.status(401).json({
+                message: 'รหัสผ่านไม่ถูกต้อง',
+                code: 'INVALID_PASSWORD'
+            });
+        }
+
+        const [pending] = await pool.execute(
+            `SELECT ID FROM Data_Erasure_Requests WHERE User_ID = ? AND Status = 'Pending'`,
+            [userId]
+        );
+
+        if (pending.length > 0) {
+            return res.status(409).json({
+                message: 'มีคำขอลบข้อมูลที่รอดำเนินการอยู่แล้ว',
+                code: 'ERASURE_ALREADY_REQUESTED',
+                request_id: pending[0].ID
+            });
+        }
+
+        const requestId = Date.now();
+
+        await pool.execute(
+            `INSERT INTO Data_Erasure_Requests 
+             (ID, User_ID, Patient_ID, Reason, Status, Requested_At)
+             VALUES (?, ?, ?, ?, 'Pending', NOW())`,
+            [requestId, userId, req.user.patientId, reason || null]
+        );
+
+        await logUserAction(userId, 'ERASURE_REQUESTED', 'Data_Erasure_Requests', requestId,
+            'Account erasure requested', 'success', req.ip, req.headers['user-agent']);
+
+        res.status(201).json({
+            message: 'ส่งคำขอลบข้อมูลสำเร็จ เจ้าหน้าที่จะดำเนินการภายใน 30 วัน',
+            success: true,
+            request_id: requestId
+        });
+
+    } catch (error) {
+        console.error('Erasure request error:', error);
+        res.status(500).json({
+            message: 'เกิดข้อผิดพลาดของระบบ',
+            code: 'INTERNAL_ERROR'
+        });
+    }
+});
+
+// Get my latest erasure request
+router.get('/erasure-request', authenticateToken, authorize('data:erase'), async (req, res) => {
+    try {
+        const [requests] = await pool.execute(
+            `SELECT ID, Reason, Status, Requested_At, Reviewed_At, Review_Note
+             FROM Data_Erasure_Requests
+             WHERE User_ID = ?
+             ORDER BY Requested_At DESC
+             LIMIT 1`,
+            [req.user.userId]
+        );
+
+        res.json({ erasure_request: requests[0] || null });
+
+    } catch (error) {
+        console.error('Get erasure request error:', error);
+        res.status(500).json({
+            message: 'เกิดข้อผิดพลาดของระบบ',
+            code: 'INTERNAL_ERROR'
+        });
+    }
+});
+
+// Cancel my pending erasure request
+router.delete('/erasure-request', authenticateToken, authorize('data:erase'), async (req, res) => {
+    try {
+        const userId = req.user.userId;
+
+        const [result] = await pool.execute(
+            `UPDATE Data_Erasure_Requests SET Status = 'Cancelled', Reviewed_At = NOW()
+             WHERE User_ID = ? AND Status = 'Pending'`,
+            [userId]
+        );
+
+        if (result.affectedRows === 0) {
+            return res.status(404).json({
+                message: 'ไม่พบคำขอลบข้อมูลที่รอดำเนินการ',
+                code: 'ERASURE_REQUEST_NOT_FOUND'
+            });
+        }
+
+        await logUserAction(userId, 'ERASURE_CANCELLED', 'Data_Erasure_Requests', userId,
+            'Account erasure request cancelled', 'success', req.ip, req.headers['user-agent']);
+
+        res.json({
+            message: 'ยกเลิกคำขอลบข้อมูลสำเร็จ',
+            success: true
+        });
+
+    } catch (error) {
+        console.error('Cancel erasure request error:', error);
+        res.status(500).json({
+            message: 'เกิดข้อผิดพลาดของระบบ',
+            code: 'INTERNAL_ERROR'
+        });
+    }
+});
+
 // Helper function for notifications
 async function createNotification(userId, type, title, body, priority = 'Medium') {
     try {
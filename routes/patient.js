@@ -1,13 +1,51 @@
 // routes/patient.js - Patient Routes
 const express = require('express');
+const multer = require('multer');
+const path = require('path');
 const { pool } = require('../config/database');
-const { authenticateToken, ensurePatient } = require('../middleware/auth');
+const { authenticateToken, authorize } = require('../middleware/auth');
 const { generateId, logUserAction, formatDate } = require('../utils/helpers');
+const {
+    MIN_READING_IOP, MAX_READING_IOP, getCurrentTarget, evaluateReading
+} = require('../services/targetIOP');
+const {
+    MAX_ANALYTICS_PERIOD_DAYS, DIURNAL_BUCKET_HOURS, isValidPeriod, getIOPAnalytics, getDiurnalCurve
+} = require('../services/iopAnalytics');
+const { IMPORT_LAYOUTS, importIOPReadings } = require('../services/iopImport');
+const {
+    IOP_EDIT_WINDOW_DAYS, getReading, isWithinEditWindow, amendReading, deleteReading, getAmendments
+} = require('../services/iopAmendments');
+const { raiseIOPAlert, isRecentReading, resolveAlertsForSource } = require('../services/alertEscalation');
 
 const router = express.Router();
 
+// Clock skew allowed between the patient's device and the server
+const MEASURED_AT_FUTURE_TOLERANCE_MS = 5 * 60 * 1000;
+
+// A reading for one eye: null when that eye was not measured, otherwise a plausible tonometer value
+const isValidIOP = (value) => value === null || (
+    value !== '' && !isNaN(Number(value)) &&
+    Number(value) >= MIN_READING_IOP && Number(value) <= MAX_READING_IOP
+);
+
+// Tonometer CSV exports are parsed in memory, never written to disk
+const csvUpload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: 1 * 1024 * 1024 },
+    fileFilter: (req, file, cb) => {
+        const extname = ['.csv', '.txt'].includes(path.extname(file.originalname).toLowerCase());
+        const mimetype = /csv|text\/plain|excel/.test(file.mimetype);
+
+        if (mimetype && extname) {
+            return cb(null, true);
+        } else {
+            cb(new Error('Invalid file type'));
+        }
+    }
+});
+
 // Get patient profile
-router.get('/profile', authenticateToken, ensurePatient, async (req, res) => {
+router.get('/profile', authenticateToken, authorize('profile:read'), async (req, res) => {
     try {
         const userId = req.user.userId;
 
@@ -59,7 +97,7 @@ router.get('/profile', authenticateToken, ensurePatient, async (req, res) => {
 });
 
 // Update patient profile
-router.put('/profile', authenticateToken, ensurePatient, async (req, res) => {
+router.put('/profile', authenticateToken, authorize('profile:write'), async (req, res) => {
     const connection = await pool.getConnection();
     
     try {
@@ -116,41 +154,73 @@ router.put('/profile', authenticateToken, ensurePatient, async (req, res) => {
 });
 
 // Record IOP measurement
-router.post('/iop-measurement', authenticateToken, ensurePatient, async (req, res) => {
+router.post('/iop-measurement', authenticateToken, authorize('iop:write'), async (req, res) => {
     try {
         const patientId = req.user.patientId;
         const {
-            left_eye_iop, right_eye_iop, target_iop_left, target_iop_right,
-            measurement_method, notes
+            left_eye_iop, right_eye_iop, measurement_method, notes, measured_at
         } = req.body;
 
         const measurementId = Date.now(); // Use timestamp as ID
-        const now = new Date();
+
+        const left = left_eye_iop !== undefined ? left_eye_iop : null;
+        const right = right_eye_iop !== undefined ? right_eye_iop : null;
+
+        if (!isValidIOP(left) || !isValidIOP(right) || (left === null && right === null)) {
+            return res.status(400).json({
+                message: `ค่าความดันลูกตาต้องอยู่ระหว่าง ${MIN_READING_IOP}-${MAX_READING_IOP} mmHg`,
+                code: 'INVALID_IOP'
+            });
+        }
+
+        // Home tonometry readings may be entered after they were taken
+        const measuredAt = measured_at ? new Date(measured_at) : new Date();
+
+        if (isNaN(measuredAt.getTime()) || measuredAt.getTime() > Date.now() + MEASURED_AT_FUTURE_TOLERANCE_MS) {
+            return res.status(400).json({
+                message: 'เวลาที่วัดไม่ถูกต้อง',
+                code: 'INVALID_MEASURED_AT'
+            });
+        }
+
+        // Store the doctor's target at the time of the reading
+        const target = await getCurrentTarget(patientId);
 
         await pool.execute(
             `INSERT INTO IOP_Records 
-             (ID, Patient_ID, Measured_Date, Left_Eye_IOP, Right_Eye_IOP, 
+             (ID, Patient_ID, Measured_Date, Measured_At, Left_Eye_IOP, Right_Eye_IOP, 
               Target_IOP_Left, Target_IOP_Right, Measurement_Method, Notes, Created_At)
-             VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, NOW())`,
-            [measurementId, patientId, formatDate(now), left_eye_iop, right_eye_iop,
-             target_iop_left, target_iop_right, measurement_method, notes]
+             VALUES (?, ?, DATE(?), ?, ?, ?, ?, ?, ?, ?, NOW())`,
+            [measurementId, patientId, measuredAt, measuredAt, left, right,
+             target.left, target.right, measurement_method, notes]
         );
 
-        // Check for high IOP alert
-        if ((left_eye_iop && left_eye_iop > 21) || (right_eye_iop && right_eye_iop > 21)) {
+        // Check for high IOP against the patient's target
+        const evaluation = evaluateReading(left, right, target);
+        if (evaluation.above_target) {
             await createNotification(
-                req.user.userId,
+                req.user.patientUserId,
                 'high_iop',
-                'ค่าความดันลูกตาสูง',
-                `ค่าความดันลูกตา: ตาซ้าย ${left_eye_iop} mmHg, ตาขวา ${right_eye_iop} mmHg`,
+                'ค่าความดันลูกตาสูงกว่าเป้าหมาย',
+                `ค่าความดันลูกตา: ตาซ้าย ${left} mmHg (เป้าหมาย ${target.left}), ` +
+                `ตาขวา ${right} mmHg (เป้าหมาย ${target.right})`,
                 'high'
             );
         }
 
+        // Readings well above target are escalated to the care team; backdated ones older than a day are history
+        const alert = isRecentReading(measuredAt)
+            ? await raiseIOPAlert(patientId, measurementId, left, right, target)
+            : null;
+
         res.json({
             message: 'บันทึกค่าความดันลูกตาสำเร็จ',
             success: true,
-            measurement_id: measurementId
+            measurement_id: measurementId,
+            measured_at: measuredAt.toISOString(),
+            target_iop: target,
+            ...evaluation,
+            care_team_alerted: !!alert
         });
 
     } catch (error) {
@@ -162,17 +232,88 @@ router.post('/iop-measurement', authenticateToken, ensurePatient, async (req, re
     }
 });
 
+// Import IOP readings from a home tonometer CSV export (dry_run=true to preview)
+router.post('/iop-import', authenticateToken, authorize('iop:write'), csvUpload.single('file'), async (req, res) => {
+    try {
+        const patientId = req.user.patientId;
+        const dryRun = ['true', '1'].includes(String(req.query.dry_run || req.body.dry_run));
+
+        if (!req.file) {
+            return res.status(400).json({
+                message: 'กรุณาเลือกไฟล์ CSV',
+                code: 'NO_FILE'
+            });
+        }
+
+        const result = await importIOPReadings(patientId, req.file.buffer.toString('utf8'), { dryRun });
+
+        if (result.error) {
+            return res.status(400).json(result.error);
+        }
+
+        if (!dryRun) {
+            await logUserAction(req.user.userId, 'IOP_IMPORT', 'IOP_Records', patientId,
+                `Imported ${result.summary.imported} IOP readings (${result.layout.id}), ` +
+                `${result.summary.duplicates} duplicates, ${result.summary.errors} errors`,
+                'success', req.ip, req.headers['user-agent']);
+
+            // Only readings taken in the last day are escalated; older ones are history
+            const target = result.target_iop;
+            for (const entry of result.report) {
+                if (entry.status === 'imported' && entry.above_target && isRecentReading(entry.measured_at)) {
+                    await raiseIOPAlert(patientId, entry.measurement_id, entry.left_eye_iop, entry.right_eye_iop, target);
+                }
+            }
+
+            if (result.summary.above_target > 0) {
+                await createNotification(
+                    req.user.patientUserId,
+                    'high_iop',
+                    'ค่าความดันลูกตาสูงกว่าเป้าหมาย',
+                    `พบค่าความดันลูกตาสูงกว่าเป้าหมาย ${result.summary.above_target} ครั้งจากไฟล์ที่นำเข้า`,
+                    'high'
+                );
+            }
+        }
+
+        res.json({
+            message: dryRun ? 'ตรวจสอบไฟล์สำเร็จ' : `นำเข้าค่าความดันลูกตา ${result.summary.imported} รายการสำเร็จ`,
+            success: true,
+            ...result
+        });
+
+    } catch (error) {
+        console.error('Import IOP error:', error);
+        res.status(500).json({
+            message: 'เกิดข้อผิดพลาดในการนำเข้าข้อมูล',
+            code: 'IMPORT_ERROR'
+        });
+    }
+});
+
+// Supported CSV layouts for IOP import
+router.get('/iop-import/layouts', authenticateToken, authorize('iop:write'), (req, res) => {
+    res.json({
+        layouts: IMPORT_LAYOUTS.map(layout => ({
+            id: layout.id,
+            name: layout.name,
+            type: layout.type,
+            columns: layout.columns
+        }))
+    });
+});
+
 // Get IOP measurements
-router.get('/iop-measurements', authenticateToken, ensurePatient, async (req, res) => {
+router.get('/iop-measurements', authenticateToken, authorize('iop:read'), async (req, res) => {
     try {
         const patientId = req.user.patientId;
         const { period = '30' } = req.query;
 
         const [measurements] = await pool.execute(
             `SELECT * FROM IOP_Records
-             WHERE Patient_ID = ? 
-             AND Measured_Date >= DATE_SUB(NOW(), INTERVAL ? DAY)
-             ORDER BY Measured_Date DESC, Created_At DESC`,
+             WHERE Patient_ID = ? AND Is_Deleted = 0
+             AND Measured_At >= DATE_SUB(NOW(), INTERVAL ? DAY)
+             ORDER BY Measured_At DESC`,
             [patientId, parseInt(period)]
         );
 
@@ -188,49 +329,203 @@ router.get('/iop-measurements', authenticateToken, ensurePatient, async (req, re
     }
 });
 
-// Get IOP analytics
-router.get('/iop-analytics', authenticateToken, ensurePatient, async (req, res) => {
+// Correct a recent IOP reading (e.g. a typo); the old values are kept in the amendment history
+router.put('/iop-measurements/:measurement_id', authenticateToken, authorize('iop:write'), async (req, res) => {
     try {
         const patientId = req.user.patientId;
-        const { period = '90' } = req.query;
+        const { left_eye_iop, right_eye_iop, measured_at, reason } = req.body;
 
-        const [dailyData] = await pool.execute(
-            `SELECT 
-                Measured_Date,
-                AVG(Left_Eye_IOP) as avg_left_iop,
-                AVG(Right_Eye_IOP) as avg_right_iop,
-                MAX(Left_Eye_IOP) as max_left_iop,
-                MAX(Right_Eye_IOP) as max_right_iop,
-                MIN(Left_Eye_IOP) as min_left_iop,
-                MIN(Right_Eye_IOP) as min_right_iop,
-                COUNT(*) as measurement_count
-             FROM IOP_Records
-             WHERE Patient_ID = ? 
-             AND Measured_Date >= DATE_SUB(NOW(), INTERVAL ? DAY)
-             GROUP BY Measured_Date
-             ORDER BY Measured_Date`,
-            [patientId, parseInt(period)]
-        );
+        const record = await getReading(patientId, req.params.measurement_id);
+        const editError = checkReadingEditable(record, req.user);
+        if (editError) {
+            return res.status(editError.status).json(editError.body);
+        }
+
+        if (!reason || !reason.trim()) {
+            return res.status(400).json({
+                message: 'กรุณาระบุเหตุผลในการแก้ไข',
+                code: 'REASON_REQUIRED'
+            });
+        }
+
+        const left = left_eye_iop !== undefined ? left_eye_iop : record.Left_Eye_IOP;
+        const right = right_eye_iop !== undefined ? right_eye_iop : record.Right_Eye_IOP;
+
+        if (!isValidIOP(left) || !isValidIOP(right) || (left === null && right === null)) {
+            return res.status(400).json({
+                message: `ค่าความดันลูกตาต้องอยู่ระหว่าง ${MIN_READING_IOP}-${MAX_READING_IOP} mmHg`,
+                code: 'INVALID_IOP'
+            });
+        }
+
+        const measuredAt = measured_at ? new Date(measured_at) : new Date(record.Measured_At);
+
+        if (isNaN(measuredAt.getTime()) || measuredAt.getTime() > Date.now() + MEASURED_AT_FUTURE_TOLERANCE_MS) {
+            return res.status(400).json({
+                message: 'เวลาที่วัดไม่ถูกต้อง',
+                code: 'INVALID_MEASURED_AT'
+            });
+        }
+
+        await amendReading(record, { left, right, measuredAt }, reason.trim(), req.user.userId);
+
+        // Alerting only changes with the values; a corrected time alone leaves alerts
+        // (and anyone who already acknowledged them) as they are
+        const sameIOP = (before, after) => (before === null || before === undefined)
+            ? after === null
+            : after !== null && Number(before) === Number(after);
+        const valuesChanged = !sameIOP(record.Left_Eye_IOP, left) || !sameIOP(record.Right_Eye_IOP, right);
+
+        const target = await readingTarget(record);
+        const previous = evaluateReading(record.Left_Eye_IOP, record.Right_Eye_IOP, target);
+        const evaluation = evaluateReading(left, right, target);
+        let alert = null;
+
+        if (valuesChanged) {
+            // Alerts raised from the old values no longer stand
+            await resolveAlertsForSource('IOP_Record', record.ID, req.user.userId, `แก้ไขค่าความดันลูกตา: ${reason.trim()}`);
+
+            // Re-run alerting against the target that applied when the reading was taken
+            alert = isRecentReading(measuredAt)
+                ? await raiseIOPAlert(patientId, record.ID, left, right, target)
+                : null;
+
+            if (evaluation.above_target) {
+                await createNotification(
+                    req.user.patientUserId,
+                    'high_iop',
+                    'ค่าความดันลูกตาที่แก้ไขสูงกว่าเป้าหมาย',
+                    `ค่าความดันลูกตา: ตาซ้าย ${left} mmHg (เป้าหมาย ${target.left}), ` +
+                    `ตาขวา ${right} mmHg (เป้าหมาย ${target.right})`,
+                    'high'
+                );
+            } else if (previous.above_target) {
+                await createNotification(
+                    req.user.patientUserId,
+                    'IOP_Alert',
+                    'ยกเลิกการแจ้งเตือนความดันลูกตาสูง',
+                    'ค่าความดันลูกตาที่แก้ไขแล้วอยู่ในเกณฑ์เป้าหมาย การแจ้งเตือนก่อนหน้าไม่มีผล',
+                    'low'
+                );
+            }
+        }
+
+        await logUserAction(req.user.userId, 'IOP_RECORD_AMENDED', 'IOP_Records', record.ID,
+            `Amended IOP reading: L ${record.Left_Eye_IOP} -> ${left}, R ${record.Right_Eye_IOP} -> ${right}`,
+            'success', req.ip, req.headers['user-agent']);
+
+        res.json({
+            message: 'แก้ไขค่าความดันลูกตาสำเร็จ',
+            success: true,
+            measurement_id: record.ID,
+            measured_at: measuredAt.toISOString(),
+            target_iop: target,
+            ...evaluation,
+            care_team_alerted: !!alert
+        });
+
+    } catch (error) {
+        console.error('Amend IOP error:', error);
+        res.status(500).json({
+            message: 'เกิดข้อผิดพลาดของระบบ',
+            code: 'INTERNAL_ERROR'
+        });
+    }
+});
+
+// Delete a recent IOP reading (soft delete; clinicians still see it in the chart)
+router.delete('/iop-measurements/:measurement_id', authenticateToken, authorize('iop:write'), async (req, res) => {
+    try {
+        const patientId = req.user.patientId;
+        const { reason } = req.body || {};
+
+        const record = await getReading(patientId, req.params.measurement_id);
+        const editError = checkReadingEditable(record, req.user);
+        if (editError) {
+            return res.status(editError.status).json(editError.body);
+        }
+
+        if (!reason || !reason.trim()) {
+            return res.status(400).json({
+                message: 'กรุณาระบุเหตุผลในการลบ',
+                code: 'REASON_REQUIRED'
+            });
+        }
 
-        // Calculate trends
-        let trends = {};
-        if (dailyData.length > 0) {
-            const leftIOPs = dailyData.map(d => d.avg_left_iop).filter(v => v !== null && !isNaN(v));
-            const rightIOPs = dailyData.map(d => d.avg_right_iop).filter(v => v !== null && !isNaN(v));
-            
-            trends = {
-                avg_left_iop: leftIOPs.length > 0 ? leftIOPs.reduce((a, b) => a + b, 0) / leftIOPs.length : null,
-                avg_right_iop: rightIOPs.length > 0 ? rightIOPs.reduce((a, b) => a + b, 0) / rightIOPs.length : null
-            };
+        await deleteReading(record, reason.trim(), req.user.userId);
+        await resolveAlertsForSource('IOP_Record', record.ID, req.user.userId, `ลบค่าความดันลูกตา: ${reason.trim()}`);
+
+        const target = await readingTarget(record);
+        if (evaluateReading(record.Left_Eye_IOP, record.Right_Eye_IOP, target).above_target) {
+            await createNotification(
+                req.user.patientUserId,
+                'IOP_Alert',
+                'ยกเลิกการแจ้งเตือนความดันลูกตาสูง',
+                'ค่าความดันลูกตาที่สูงกว่าเป้าหมายถูกลบแล้ว การแจ้งเตือนก่อนหน้าไม่มีผล',
+                'low'
+            );
         }
 
+        await logUserAction(req.user.userId, 'IOP_RECORD_DELETED', 'IOP_Records', record.ID,
+            `Deleted IOP reading (L ${record.Left_Eye_IOP}, R ${record.Right_Eye_IOP}): ${reason.trim()}`,
+            'success', req.ip, req.headers['user-agent']);
+
         res.json({
-            daily_data: dailyData || [],
-            trends: trends,
-            target_iop: 18,
-            period_days: parseInt(period)
+            message: 'ลบค่าความดันลูกตาสำเร็จ',
+            success: true,
+            measurement_id: record.ID
         });
 
+    } catch (error) {
+        console.error('Delete IOP error:', error);
+        res.status(500).json({
+            message: 'เกิดข้อผิดพลาดของระบบ',
+            code: 'INTERNAL_ERROR'
+        });
+    }
+});
+
+// Amendment history of an IOP reading
+router.get('/iop-measurements/:measurement_id/amendments', authenticateToken, authorize('iop:read'), async (req, res) => {
+    try {
+        const patientId = req.user.patientId;
+
+        const record = await getReading(patientId, req.params.measurement_id);
+        if (!record) {
+            return res.status(404).json({
+                message: 'ไม่พบข้อมูลค่าความดันลูกตา',
+                code: 'MEASUREMENT_NOT_FOUND'
+            });
+        }
+
+        const amendments = await getAmendments(patientId, record.ID);
+        res.json({ measurement: record, amendments });
+
+    } catch (error) {
+        console.error('Get IOP amendments error:', error);
+        res.status(500).json({
+            message: 'เกิดข้อผิดพลาดของระบบ',
+            code: 'INTERNAL_ERROR'
+        });
+    }
+});
+
+// Get IOP analytics
+router.get('/iop-analytics', authenticateToken, authorize('iop:read'), async (req, res) => {
+    try {
+        const { period = '90' } = req.query;
+        const periodDays = parseInt(period);
+
+        if (!isValidPeriod(periodDays)) {
+            return res.status(400).json({
+                message: `ช่วงเวลาต้องอยู่ระหว่าง 1-${MAX_ANALYTICS_PERIOD_DAYS} วัน`,
+                code: 'INVALID_PERIOD'
+            });
+        }
+
+        const analytics = await getIOPAnalytics(req.user.patientId, periodDays);
+        res.json(analytics);
+
     } catch (error) {
         console.error('Get IOP analytics error:', error);
         res.status(500).json({
@@ -242,8 +537,43 @@ router.get('/iop-analytics', authenticateToken, ensurePatient, async (req, res)
     }
 });
 
+// Get diurnal IOP curve (readings grouped by time of day)
+router.get('/iop-diurnal', authenticateToken, authorize('iop:read'), async (req, res) => {
+    try {
+        const { period = '30', bucket_hours = '2' } = req.query;
+        const bucketHours = parseInt(bucket_hours);
+
+        if (!DIURNAL_BUCKET_HOURS.includes(bucketHours)) {
+            return res.status(400).json({
+                message: 'ช่วงเวลาต้องเป็น 1, 2, 3, 4 หรือ 6 ชั่วโมง',
+                code: 'INVALID_BUCKET_HOURS'
+            });
+        }
+
+        const periodDays = parseInt(period);
+
+        if (!isValidPeriod(periodDays)) {
+            return res.status(400).json({
+                message: `ช่วงเวลาต้องอยู่ระหว่าง 1-${MAX_ANALYTICS_PERIOD_DAYS} วัน`,
+                code: 'INVALID_PERIOD'
+            });
+        }
+
+        const curve = await getDiurnalCurve(req.user.patientId, periodDays, bucketHours);
+        res.json(curve);
+
+    } catch (error) {
+        console.error('Get diurnal IOP error:', error);
+        res.status(500).json({
+            message: 'เกิดข้อผิดพลาดของระบบ',
+            code: 'INTERNAL_ERROR',
+            buckets: []
+        });
+    }
+});
+
 // Get appointments
-router.get('/appointments', authenticateToken, ensurePatient, async (req, res) => {
+router.get('/appointments', authenticateToken, authorize('appointments:read'), async (req, res) => {
     try {
         const patientId = req.user.patientId;
         const { status = 'all', upcoming = false } = req.query;
@@ -291,7 +621,7 @@ router.get('/appointments', authenticateToken, ensurePatient, async (req, res) =
 });
 
 // Request appointment reschedule
-router.post('/appointment-reschedule-request', authenticateToken, ensurePatient, async (req, res) => {
+router.post('/appointment-reschedule-request', authenticateToken, authorize('appointments:request'), async (req, res) => {
     try {
         const patientId = req.user.patientId;
         const { appointment_id, preferred_date_1, preferred_date_2, reason } = req.body;
@@ -369,7 +699,7 @@ router.post('/appointment-reschedule-request', authenticateToken, ensurePatient,
 });
 
 // Get dashboard data
-router.get('/dashboard', authenticateToken, ensurePatient, async (req, res) => {
+router.get('/dashboard', authenticateToken, authorize('dashboard:read'), async (req, res) => {
     try {
         const patientId = req.user.patientId;
 
@@ -390,18 +720,28 @@ router.get('/dashboard', authenticateToken, ensurePatient, async (req, res) => {
                     COALESCE(Left_Eye_IOP, 0) as Left_Eye_IOP,
                     COALESCE(Right_Eye_IOP, 0) as Right_Eye_IOP
              FROM IOP_Records
-             WHERE Patient_ID = ?
-             ORDER BY Measured_Date DESC, Created_At DESC
+             WHERE Patient_ID = ? AND Is_Deleted = 0
+             ORDER BY Measured_At DESC
              LIMIT 5`,
             [patientId]
         );
 
+        const target = await getCurrentTarget(patientId);
+        const latestIOP = recentIOP.length > 0 ? recentIOP[0] : null;
+
         res.json({
             upcoming_appointments: appointments || [],
-            recent_iop: recentIOP || [],
+            recent_iop: (recentIOP || []).map(record => ({
+                ...record,
+                ...evaluateReading(record.Left_Eye_IOP, record.Right_Eye_IOP, target)
+            })),
+            target_iop: target,
             summary: {
                 next_appointment: appointments.length > 0 ? appointments[0] : null,
-                latest_iop: recentIOP.length > 0 ? recentIOP[0] : null,
+                latest_iop: latestIOP,
+                latest_iop_status: latestIOP
+                    ? evaluateReading(latestIOP.Left_Eye_IOP, latestIOP.Right_Eye_IOP, target)
+                    : null,
                 total_appointments: appointments.length,
                 iop_measurements_count: recentIOP.length
             }
@@ -417,6 +757,39 @@ router.get('/dashboard', authenticateToken, ensurePatient, async (req, res) => {
     }
 });
 
+// Patients may only change their own readings that are still inside the edit window;
+// the care team can correct any reading
+function checkReadingEditable(record, user) {
+    if (!record || record.Is_Deleted) {
+        return {
+            status: 404,
+            body: { message: 'ไม่พบข้อมูลค่าความดันลูกตา', code: 'MEASUREMENT_NOT_FOUND' }
+        };
+    }
+
+    if (user.actingAs !== 'care_team' && !isWithinEditWindow(record)) {
+        return {
+            status: 403,
+            body: {
+                message: `แก้ไขหรือลบได้เฉพาะค่าที่บันทึกภายใน ${IOP_EDIT_WINDOW_DAYS} วัน`,
+                code: 'EDIT_WINDOW_EXPIRED'
+            }
+        };
+    }
+
+    return null;
+}
+
+// Target stored with the reading, falling back to the current target
+async function readingTarget(record) {
+    const current = await getCurrentTarget(record.Patient_ID);
+    return {
+        ...current,
+        left: record.Target_IOP_Left !== null ? Number(record.Target_IOP_Left) : current.left,
+        right: record.Target_IOP_Right !== null ? Number(record.Target_IOP_Right) : current.right
+    };
+}
+
 // Notification helper function
 async function createNotification(userId, type, title, body, priority = 'medium') {
     try {
@@ -434,7 +807,7 @@ async function createNotification(userId, type, title, body, priority = 'medium'
 }
 
 // Get notifications
-router.get('/notifications', authenticateToken, ensurePatient, async (req, res) => {
+router.get('/notifications', authenticateToken, authorize('notifications:read'), async (req, res) => {
     try {
         const userId = req.user.userId;
         const { unread_only = 'false', limit = '50' } = req.query;
@@ -476,7 +849,7 @@ router.get('/notifications', authenticateToken, ensurePatient, async (req, res)
 });
 
 // Mark notification as read
-router.put('/notifications/:notification_id/read', authenticateToken, ensurePatient, async (req, res) => {
+router.put('/notifications/:notification_id/read', authenticateToken, authorize('notifications:read'), async (req, res) => {
     try {
         const userId = req.user.userId;
         const { notification_id } = req.params;
@@ -0,0 +1,128 @@
+// services/accountLockout.js - Progressive Account Lockout Service
+const { pool } = require('../config/database');
+const { sendPushNotification } = require('./pushNotification');
+
+// Failures allowed before the first lock; each further failure doubles the lock
+const LOCKOUT_THRESHOLD = parseInt(process.env.LOCKOUT_THRESHOLD) || 5;
+const LOCKOUT_BASE_MINUTES = parseInt(process.env.LOCKOUT_BASE_MINUTES) || 5;
+const LOCKOUT_MAX_MINUTES = parseInt(process.env.LOCKOUT_MAX_MINUTES) || 24 * 60;
+// Counters older than this start again from zero
+const LOCKOUT_RESET_HOURS = parseInt(process.env.LOCKOUT_RESET_HOURS) || 24;
+
+const getLockDurationMinutes = (failedCount) => {
+    if (failedCount < LOCKOUT_THRESHOLD) return 0;
+    const minutes = LOCKOUT_BASE_MINUTES * 2 ** (failedCount - LOCKOUT_THRESHOLD);
+    return Math.min(minutes, LOCKOUT_MAX_MINUTES);
+};
+
+// Returns { locked, lockedUntil, retryAfterSeconds, failedCount }
+const getLockoutStatus = async (userId) => {
+    const [rows] = await pool.execute(
+        'SELECT * FROM Account_Lockouts WHERE National_ID = ?',
+        [userId]
+    );
+
+    if (rows.length === 0) {
+        return { locked: false, lockedUntil: null, retryAfterSeconds: 0, failedCount: 0 };
+    }
+
+    const lockout = rows[0];
+    const lockedUntil = lockout.Locked_Until ? new Date(lockout.Locked_Until) : null;
+    const locked = !!lockedUntil && lockedUntil > new Date();
+
+    return {
+        locked,
+        lockedUntil: locked ? lockedUntil : null,
+        retryAfterSeconds: locked ? Math.ceil((lockedUntil - Date.now()) / 1000) : 0,
+        failedCount: lockout.Failed_Count
+    };
+};
+
+// Record a failed login and apply a lock once the threshold is reached
+const recordFailedLogin = async (userId, ipAddress) => {
+    await pool.execute(
+        `INSERT INTO Account_Lockouts (National_ID, Failed_Count, Last_Failed_At, Last_Failed_IP, Updated_At)
+         VALUES (?, 1, NOW(), ?, NOW())
+         ON DUPLICATE KEY UPDATE
+         Failed_Count = IF(Last_Failed_At < DATE_SUB(NOW(), INTERVAL ? HOUR), 1, Failed_Count + 1),
+         Last_Failed_At = NOW(),
+         Last_Failed_IP = VALUES(Last_Failed_IP),
+         Updated_At = NOW()`,
+        [userId, ipAddress, LOCKOUT_RESET_HOURS]
+    );
+
+    const [rows] = await pool.execute(
+        'SELECT Failed_Count FROM Account_Lockouts WHERE National_ID = ?',
+        [userId]
+    );
+    const failedCount = rows[0].Failed_Count;
+    const lockMinutes = getLockDurationMinutes(failedCount);
+
+    if (lockMinutes === 0) {
+        return {
+            locked: false,
+            failedCount,
+            attemptsRemaining: LOCKOUT_THRESHOLD - failedCount
+        };
+    }
+
+    const lockedUntil = new Date(Date.now() + lockMinutes * 60 * 1000);
+    await pool.execute(
+        'UPDATE Account_Lockouts SET Locked_Until = ? WHERE National_ID = ?',
+        [lockedUntil, userId]
+    );
+
+    await notifySuspiciousAttempts(userId, failedCount, ipAddress, lockMinutes);
+
+    return {
+        locked: true,
+        failedCount,
+        lockedUntil,
+        retryAfterSeconds: lockMinutes * 60,
+        attemptsRemaining: 0
+    };
+};
+
+const clearFailedLogins = async (userId) => {
+    await pool.execute(
+        'DELETE FROM Account_Lockouts WHERE National_ID = ?',
+        [userId]
+    );
+};
+
+// Admin unlock resets the counter as well as the lock
+const unlockAccount = async (userId) => {
+    await clearFailedLogins(userId);
+};
+
+// Tell the account owner that someone is guessing their password
+const notifySuspiciousAttempts = async (userId, failedCount, ipAddress, lockMinutes) => {
+    try {
+        const title = 'มีการพยายามเข้าสู่ระบบที่ไม่สำเร็จ';
+        const message = `มีการใส่รหัสผ่านผิด ${failedCount} ครั้ง (IP: ${ipAddress}) ` +
+            `บัญชีถูกล็อกชั่วคราว ${lockMinutes} นาที หากไม่ใช่คุณ กรุณาเปลี่ยนรหัสผ่านหรือติดต่อเจ้าหน้าที่`;
+
+        const notificationId = Date.now() + Math.random() * 1000;
+        await pool.execute(
+            `INSERT INTO Notifications 
+             (ID, Recipient_ID, Type, Title, Message, Priority, Status, Sent_At)
+             VALUES (?, ?, 'security_alert', ?, ?, 'high', 'Unread', NOW())`,
+            [notificationId, userId, title, message]
+        );
+
+        await sendPushNotification(userId, title, message, {
+            type: 'security_alert',
+            url: '/settings'
+        });
+    } catch (error) {
+        console.error('Notify suspicious login attempts error:', error);
+    }
+};
+
+module.exports = {
+    LOCKOUT_THRESHOLD,
+    getLockoutStatus,
+    recordFailedLogin,
+    clearFailedLogins,
+    unlockAccount
+};
@@ -0,0 +1,101 @@
+// services/actionTokens.js - Signed Single-use Tokens for Notification Actions
+const crypto = require('crypto');
+const { pool } = require('../config/database');
+const { hashToken, JWT_SECRET } = require('../utils/helpers');
+
+// Long enough to act on a reminder from the lock screen later in the day
+const ACTION_TOKEN_TTL_HOURS = parseInt(process.env.ACTION_TOKEN_TTL_HOURS) || 12;
+const SNOOZE_MINUTES = parseInt(process.env.REMINDER_SNOOZE_MINUTES) || 10;
+
+const REMINDER_ACTIONS = ['taken', 'snooze', 'skip'];
+
+const sign = (value) => crypto.createHmac('sha256', JWT_SECRET).update(value).digest('base64url');
+
+// items: [{ reminder_id, patient_medication_id, scheduled_time }]
+const createActionToken = async (patientId, recipientUserId, items) => {
+    const expiresAt = new Date(Date.now() + ACTION_TOKEN_TTL_HOURS * 60 * 60 * 1000);
+    const payload = Buffer.from(JSON.stringify({
+        n: crypto.randomBytes(16).toString('hex'),
+        exp: expiresAt.getTime()
+    })).toString('base64url');
+    const token = `${payload}.${sign(payload)}`;
+
+    await pool.execute(
+        `INSERT INTO Reminder_Action_Tokens
+         (ID, Token_Hash, Patient_ID, Recipient_User_ID, Items, Expires_At, Created_At)
+         VALUES (?, ?, ?, ?, ?, ?, NOW())`,
+        [Date.now() + Math.floor(Math.random() * 1000), hashToken(token), patientId, recipientUserId,
+         JSON.stringify(items), expiresAt]
+    );
+
+    return token;
+};
+
+// Push notification action buttons (shown by the service worker)
+const buildReminderActions = () => ([
+    { action: 'taken', title: 'หยอดแล้ว' },
+    { action: 'snooze', title: `เตือนอีก ${SNOOZE_MINUTES} นาที` },
+    { action: 'skip', title: 'ข้าม' }
+]);
+
+// Check signature, expiry and that the token was not used yet.
+// Returns { record } or { error: { status, message, code } }.
+const verifyActionToken = async (token) => {
+    const invalid = { error: { status: 401, message: 'ลิงก์การแจ้งเตือนไม่ถูกต้อง', code: 'INVALID_ACTION_TOKEN' } };
+
+    const [payload, signature] = String(token || '').split('.');
+    if (!payload || !signature) return invalid;
+
+    const expected = Buffer.from(sign(payload));
+    const actual = Buffer.from(signature);
+    if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) return invalid;
+
+    let claims;
+    try {
+        claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+    } catch (error) {
+        return invalid;
+    }
+
+    if (!claims.exp || claims.exp < Date.now()) {
+        return { error: { status: 410, message: 'การแจ้งเตือนนี้หมดอายุแล้ว', code: 'ACTION_TOKEN_EXPIRED' } };
+    }
+
+    const [records] = await pool.execute(
+        'SELECT * FROM Reminder_Action_Tokens WHERE Token_Hash = ?',
+        [hashToken(token)]
+    );
+
+    if (records.length === 0) return invalid;
+
+    if (records[0].Used_At) {
+        return { error: { status: 409, message: 'ดำเนินการกับการแจ้งเตือนนี้แล้ว', code: 'ACTION_TOKEN_USED' } };
+    }
+
+    return {
+        record: {
+            ...records[0],
+            items: JSON.parse(records[0].Items)
+        }
+    };
+};
+
+// Mark the token used; false when another request used it first
+const consumeActionToken = async (tokenId, action) => {
+    const [result] = await pool.execute(
+        `UPDATE Reminder_Action_Tokens SET Used_At = NOW(), Used_Action = ?
+         WHERE ID = ? AND Used_At IS NULL`,
+        [action, tokenId]
+    );
+    return result.affectedRows > 0;
+};
+
+module.exports = {
+    ACTION_TOKEN_TTL_HOURS,
+    SNOOZE_MINUTES,
+    REMINDER_ACTIONS,
+    createActionToken,
+    buildReminderActions,
+    verifyActionToken,
+    consumeActionToken
+};
@@ -0,0 +1,252 @@
+// services/alertEscalation.js - Clinical Alert Escalation to the Care Team
+const cron = require('node-cron');
+const { pool } = require('../config/database');
+const { sendPushNotification, sendHighIOPAlert } = require('./pushNotification');
+
+// A reading must exceed the target by at least this much (mmHg) to alert the care team
+const IOP_ALERT_MARGIN = parseFloat(process.env.IOP_ALERT_MARGIN) || 3;
+// Symptom reports at or above this severity (0-10) alert the care team
+const SEVERE_SYMPTOM_SEVERITY = parseInt(process.env.SEVERE_SYMPTOM_SEVERITY) || 7;
+// Open alerts nobody acknowledged are escalated again after this many minutes
+const ALERT_ACK_TIMEOUT_MINUTES = parseInt(process.env.ALERT_ACK_TIMEOUT_MINUTES) || 60;
+const MAX_ESCALATION_LEVEL = parseInt(process.env.ALERT_MAX_ESCALATION_LEVEL) || 3;
+// Imported readings older than this are history, not something to act on now
+const ALERT_RECENT_READING_HOURS = 24;
+
+const ALERT_TITLES = {
+    High_IOP: 'ผู้ป่วยมีค่าความดันลูกตาสูงกว่าเป้าหมาย',
+    Severe_Symptom: 'ผู้ป่วยรายงานอาการรุนแรง'
+};
+
+// Active care team of a patient; the first notification goes to the primary
+// clinicians only, escalations go to the whole team
+const getAlertRecipients = async (patientId, escalationLevel) => {
+    const [members] = await pool.execute(
+        `SELECT Member_User_ID, Is_Primary
+         FROM Patient_Care_Team
+         WHERE Patient_ID = ? AND Is_Active = 1`,
+        [patientId]
+    );
+
+    const primary = members.filter(member => member.Is_Primary);
+    const recipients = escalationLevel === 0 && primary.length > 0 ? primary : members;
+    return recipients.map(member => member.Member_User_ID);
+};
+
+const getPatientName = async (patientId) => {
+    const [patients] = await pool.execute(
+        `SELECT u.First_Name, u.Last_Name
+         FROM Patients p
+         JOIN Users u ON p.User_ID = u.National_ID
+         WHERE p.Patient_ID = ?`,
+        [patientId]
+    );
+    return patients.length > 0 ? `${patients[0].First_Name} ${patients[0].Last_Name}` : `ผู้ป่วย ${patientId}`;
+};
+
+// Notify the care team about an alert (notification row + push)
+const notifyCareTeam = async (alert, escalationLevel) => {
+    const recipients = await getAlertRecipients(alert.Patient_ID, escalationLevel);
+    const patientName = await getPatientName(alert.Patient_ID);
+
+    const title = escalationLevel > 0
+        ? `[ยังไม่มีผู้รับทราบ] ${ALERT_TITLES[alert.Alert_Type]}`
+        : ALERT_TITLES[alert.Alert_Type];
+    const message = `${patientName}: ${alert.Details}`;
+
+    for (const userId of recipients) {
+        try {
+            await pool.execute(
+                `INSERT INTO Notifications
+                 (ID, Recipient_ID, Type, Title, Message, Priority, Status, Sent_At)
+                 VALUES (?, ?, 'clinical_alert', ?, ?, 'high', 'Unread', NOW())`,
+                [Date.now() + Math.floor(Math.random() * 1000), userId, title, message]
+            );
+
+            await sendPushNotification(userId, title, message, {
+                type: 'clinical_alert',
+                alertId: alert.ID,
+                patientId: alert.Patient_ID,
+                escalationLevel,
+                url: `/doctor/alerts/${alert.ID}`
+            });
+        } catch (error) {
+            console.error(`Notify care team member ${userId} error:`, error);
+        }
+    }
+
+    await pool.execute(
+        'UPDATE Clinical_Alerts SET Escalation_Level = ?, Last_Notified_At = NOW() WHERE ID = ?',
+        [escalationLevel, alert.ID]
+    );
+
+    return recipients.length;
+};
+
+const raiseAlert = async (patientId, alertType, sourceType, sourceId, details) => {
+    const alertId = Date.now() + Math.floor(Math.random() * 1000); // Avoid ID collision in bulk imports
+
+    await pool.execute(
+        `INSERT INTO Clinical_Alerts
+         (ID, Patient_ID, Alert_Type, Source_Type, Source_ID, Details, Status, Escalation_Level, Created_At)
+         VALUES (?, ?, ?, ?, ?, ?, 'Open', 0, NOW())`,
+        [alertId, patientId, alertType, sourceType, sourceId, details]
+    );
+
+    const alert = {
+        ID: alertId, Patient_ID: patientId, Alert_Type: alertType,
+        Source_Type: sourceType, Source_ID: sourceId, Details: details
+    };
+    const notified = await notifyCareTeam(alert, 0);
+
+    return { alert_id: alertId, care_team_notified: notified };
+};
+
+// Raise a High_IOP alert when either eye exceeds its target by the configured margin
+const raiseIOPAlert = async (patientId, recordId, leftIOP, rightIOP, target) => {
+    const exceeds = (value, eyeTarget) => (
+        value !== null && value !== undefined && Number(value) >= eyeTarget + IOP_ALERT_MARGIN
+    );
+
+    const eyes = [];
+    if (exceeds(leftIOP, target.left)) eyes.push(`ตาซ้าย ${leftIOP} mmHg (เป้าหมาย ${target.left})`);
+    if (exceeds(rightIOP, target.right)) eyes.push(`ตาขวา ${rightIOP} mmHg (เป้าหมาย ${target.right})`);
+
+    if (eyes.length === 0) return null;
+
+    await sendHighIOPAlert(patientId, leftIOP, rightIOP);
+
+    return raiseAlert(patientId, 'High_IOP', 'IOP_Record', recordId, `ค่าความดันลูกตา ${eyes.join(', ')}`);
+};
+
+const isSevereSymptom = (severity, requiresAttention) => {
+    return Number(severity) >= SEVERE_SYMPTOM_SEVERITY || !!requiresAttention;
+};
+
+const raiseSymptomAlert = async (patientId, reportId, symptomType, severity, requiresAttention) => {
+    if (!isSevereSymptom(severity, requiresAttention)) return null;
+
+    return raiseAlert(patientId, 'Severe_Symptom', 'Symptom_Report', reportId,
+        `รายงานอาการ ${symptomType} ระดับความรุนแรง ${severity}/10`);
+};
+
+const isRecentReading = (measuredAt) => {
+    return Date.now() - new Date(measuredAt).getTime() <= ALERT_RECENT_READING_HOURS * 60 * 60 * 1000;
+};
+
+// Close open alerts raised from a source that no longer stands (e.g. a corrected typo)
+const resolveAlertsForSource = async (sourceType, sourceId, resolvedBy, note) => {
+    const [result] = await pool.execute(
+        `UPDATE Clinical_Alerts
+         SET Status = 'Resolved', Resolved_By = ?, Resolved_At = NOW(), Resolution_Note = ?
+         WHERE Source_Type = ? AND Source_ID = ? AND Status <> 'Resolved'`,
+        [resolvedBy, note, sourceType, sourceId]
+    );
+    return result.affectedRows;
+};
+
+const getAlert = async (alertId) => {
+    const [alerts] = await pool.execute('SELECT * FROM Clinical_Alerts WHERE ID = ?', [alertId]);
+    return alerts[0] || null;
+};
+
+const isOnCareTeam = async (patientId, userId) => {
+    const [members] = await pool.execute(
+        `SELECT 1 FROM Patient_Care_Team
+         WHERE Patient_ID = ? AND Member_User_ID = ? AND Is_Active = 1`,
+        [patientId, userId]
+    );
+    return members.length > 0;
+};
+
+// Alerts for patients on the clinician's care team
+const getCareTeamAlerts = async (userId, status = null) => {
+    let query = `SELECT ca.*, u.First_Name, u.Last_Name, p.Patient_ID
+                 FROM Clinical_Alerts ca
+                 JOIN Patient_Care_Team ct ON ct.Patient_ID = ca.Patient_ID
+                     AND ct.Member_User_ID = ? AND ct.Is_Active = 1
+                 JOIN Patients p ON ca.Patient_ID = p.Patient_ID
+                 JOIN Users u ON p.User_ID = u.National_ID`;
+    const params = [userId];
+
+    if (status) {
+        query += ' WHERE ca.Status = ?';
+        params.push(status);
+    }
+
+    query += ` ORDER BY FIELD(ca.Status, 'Open', 'Acknowledged', 'Resolved'), ca.Created_At DESC LIMIT 200`;
+
+    const [alerts] = await pool.execute(query, params);
+    return alerts;
+};
+
+const acknowledgeAlert = async (alertId, userId) => {
+    const [result] = await pool.execute(
+        `UPDATE Clinical_Alerts
+         SET Status = 'Acknowledged', Acknowledged_By = ?, Acknowledged_At = NOW()
+         WHERE ID = ? AND Status = 'Open'`,
+        [userId, alertId]
+    );
+    return result.affectedRows > 0;
+};
+
+const resolveAlert = async (alertId, userId, note) => {
+    const [result] = await pool.execute(
+        `UPDATE Clinical_Alerts
+         SET Status = 'Resolved', Resolved_By = ?, Resolved_At = NOW(), Resolution_Note = ?,
+             Acknowledged_By = COALESCE(Acknowledged_By, ?), Acknowledged_At = COALESCE(Acknowledged_At, NOW())
+         WHERE ID = ? AND Status <> 'Resolved'`,
+        [userId, note || null, userId, alertId]
+    );
+    return result.affectedRows > 0;
+};
+
+// Re-notify the care team for open alerts nobody acknowledged in time
+const escalateUnacknowledgedAlerts = async () => {
+    try {
+        const [alerts] = await pool.execute(
+            `SELECT * FROM Clinical_Alerts
+             WHERE Status = 'Open'
+             AND Escalation_Level < ?
+             AND Last_Notified_At <= DATE_SUB(NOW(), INTERVAL ? MINUTE)`,
+            [MAX_ESCALATION_LEVEL, ALERT_ACK_TIMEOUT_MINUTES]
+        );
+
+        for (const alert of alerts) {
+            const notified = await notifyCareTeam(alert, alert.Escalation_Level + 1);
+            console.log(`🚨 Escalated alert ${alert.ID} to level ${alert.Escalation_Level + 1} (${notified} recipients)`);
+        }
+
+    } catch (error) {
+        console.error('Escalate alerts error:', error);
+    }
+};
+
+const startAlertEscalationScheduler = () => {
+    console.log('🚨 Starting clinical alert escalation scheduler...');
+
+    cron.schedule('*/5 * * * *', escalateUnacknowledgedAlerts, {
+        timezone: "Asia/Bangkok"
+    });
+
+    console.log('✅ Alert escalation scheduler started');
+};
+
+module.exports = {
+    IOP_ALERT_MARGIN,
+    SEVERE_SYMPTOM_SEVERITY,
+    ALERT_ACK_TIMEOUT_MINUTES,
+    MAX_ESCALATION_LEVEL,
+    raiseIOPAlert,
+    raiseSymptomAlert,
+    isSevereSymptom,
+    isRecentReading,
+    resolveAlertsForSource,
+    getAlert,
+    isOnCareTeam,
+    getCareTeamAlerts,
+    acknowledgeAlert,
+    resolveAlert,
+    escalateUnacknowledgedAlerts,
+    startAlertEscalationScheduler
+};
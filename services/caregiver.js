@@ -0,0 +1,61 @@
+// services/caregiver.js - Caregiver Delegated Access Service
+const { pool } = require('../config/database');
+const { hasConsent } = require('./consent');
+
+// What a patient can delegate to a caregiver
+const CAREGIVER_SCOPES = ['view_iop', 'log_doses', 'receive_reminders', 'manage_appointments'];
+const CAREGIVER_INVITE_TTL_HOURS = parseInt(process.env.CAREGIVER_INVITE_TTL_HOURS) || 72;
+
+const parseScopes = (value) => {
+    return value ? value.split(',').map(scope => scope.trim()).filter(Boolean) : [];
+};
+
+const isValidScopeList = (scopes) => {
+    return Array.isArray(scopes) && scopes.length > 0 &&
+        scopes.every(scope => CAREGIVER_SCOPES.includes(scope));
+};
+
+// Active link between a caregiver and a patient, or null
+const getActiveLink = async (caregiverUserId, patientId) => {
+    const [links] = await pool.execute(
+        `SELECT cl.*, p.User_ID as Patient_User_ID
+         FROM Caregiver_Links cl
+         JOIN Patients p ON cl.Patient_ID = p.Patient_ID
+         WHERE cl.Caregiver_User_ID = ? AND cl.Patient_ID = ? AND cl.Status = 'Active'`,
+        [caregiverUserId, patientId]
+    );
+
+    if (links.length === 0) return null;
+
+    return {
+        ...links[0],
+        scopes: parseScopes(links[0].Scopes)
+    };
+};
+
+// User IDs of caregivers holding a scope for a patient; none while the
+// patient has not consented to caregiver sharing
+const getCaregiverUserIds = async (patientId, scope) => {
+    const [links] = await pool.execute(
+        `SELECT cl.Caregiver_User_ID, p.User_ID as Patient_User_ID
+         FROM Caregiver_Links cl
+         JOIN Patients p ON cl.Patient_ID = p.Patient_ID
+         WHERE cl.Patient_ID = ? AND cl.Status = 'Active' AND FIND_IN_SET(?, cl.Scopes)`,
+        [patientId, scope]
+    );
+
+    if (links.length === 0 || !(await hasConsent(links[0].Patient_User_ID, 'caregiver_sharing'))) {
+        return [];
+    }
+
+    return links.map(link => link.Caregiver_User_ID);
+};
+
+module.exports = {
+    CAREGIVER_SCOPES,
+    CAREGIVER_INVITE_TTL_HOURS,
+    parseScopes,
+    isValidScopeList,
+    getActiveLink,
+    getCaregiverUserIds
+};
@@ -0,0 +1,117 @@
+// services/consent.js - PDPA Consent Management Service
+const { pool } = require('../config/database');
+
+const CONSENT_PURPOSES = ['treatment', 'research', 'notifications', 'caregiver_sharing'];
+// Registration cannot complete without these
+const REQUIRED_CONSENTS = ['treatment'];
+
+const getCurrentDocuments = async () => {
+    const [documents] = await pool.execute(
+        `SELECT ID, Purpose, Version, Title, Content, Effective_Date
+         FROM Consent_Documents
+         WHERE Is_Current = 1
+         ORDER BY ID`
+    );
+    return documents;
+};
+
+const getCurrentDocument = async (purpose, db = pool) => {
+    const [documents] = await db.execute(
+        'SELECT * FROM Consent_Documents WHERE Purpose = ? AND Is_Current = 1',
+        [purpose]
+    );
+    return documents[0] || null;
+};
+
+// Latest consent record per purpose, with whether a newer document awaits review
+const getUserConsents = async (userId) => {
+    const documents = await getCurrentDocuments();
+
+    const [records] = await pool.execute(
+        `SELECT * FROM User_Consents
+         WHERE User_ID = ?
+         ORDER BY Granted_At DESC, ID DESC`,
+        [userId]
+    );
+
+    return CONSENT_PURPOSES.map(purpose => {
+        const document = documents.find(doc => doc.Purpose === purpose) || null;
+        const latest = records.find(record => record.Purpose === purpose) || null;
+        const granted = !!latest && latest.Status === 'Granted';
+
+        return {
+            purpose,
+            granted,
+            granted_version: latest ? latest.Document_Version : null,
+            granted_at: latest ? latest.Granted_At : null,
+            withdrawn_at: latest ? latest.Withdrawn_At : null,
+            current_version: document ? document.Version : null,
+            needs_review: granted && !!document && latest.Document_Version !== document.Version
+        };
+    });
+};
+
+const hasConsent = async (userId, purpose) => {
+    const [records] = await pool.execute(
+        `SELECT Status FROM User_Consents
+         WHERE User_ID = ? AND Purpose = ?
+         ORDER BY Granted_At DESC, ID DESC
+         LIMIT 1`,
+        [userId, purpose]
+    );
+    return records.length > 0 && records[0].Status === 'Granted';
+};
+
+// Record consent to the current document of a purpose
+const grantConsent = async (userId, purpose, ipAddress, userAgent, db = pool) => {
+    const document = await getCurrentDocument(purpose, db);
+    if (!document) {
+        throw new Error(`No current consent document for purpose: ${purpose}`);
+    }
+
+    const consentId = Date.now() + Math.floor(Math.random() * 1000);
+    await db.execute(
+        `INSERT INTO User_Consents
+         (ID, User_ID, Purpose, Document_ID, Document_Version, Status, Granted_At, IP_Address, User_Agent)
+         VALUES (?, ?, ?, ?, ?, 'Granted', NOW(), ?, ?)`,
+        [consentId, userId, purpose, document.ID, document.Version, ipAddress, userAgent]
+    );
+
+    if (purpose === 'treatment') {
+        await db.execute('UPDATE Users SET Data_Consent = 1 WHERE National_ID = ?', [userId]);
+    }
+
+    return { consentId, version: document.Version };
+};
+
+// Withdraw the active consent for a purpose; returns false if none was granted
+const withdrawConsent = async (userId, purpose) => {
+    const [result] = await pool.execute(
+        `UPDATE User_Consents SET Status = 'Withdrawn', Withdrawn_At = NOW()
+         WHERE User_ID = ? AND Purpose = ? AND Status = 'Granted'`,
+        [userId, purpose]
+    );
+
+    if (result.affectedRows === 0) return false;
+
+    if (purpose === 'treatment') {
+        await pool.execute('UPDATE Users SET Data_Consent = 0 WHERE National_ID = ?', [userId]);
+    }
+
+    if (purpose === 'notifications') {
+        await pool.execute('UPDATE Push_Subscriptions SET Is_Active = 0 WHERE User_ID = ?', [userId]);
+    }
+
+    return true;
+};
+
+module.exports = {
+    CONSENT_PURPOSES,
+    REQUIRED_CONSENTS,
+    getCurrentDocuments,
+    getCurrentDocument,
+    getUserConsents,
+    hasConsent,
+    grantConsent,
+    withdrawConsent
+};
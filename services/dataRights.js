@@ -0,0 +1,205 @@
+// services/dataRights.js - PDPA Data Subject Rights (access and erasure)
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const archiver = require('archiver');
+const { pool } = require('../config/database');
+const { hashPassword } = require('../utils/helpers');
+
+// Clinical records are kept for this long after erasure; set it to the retention period that applies
+const CLINICAL_RETENTION_YEARS = parseInt(process.env.CLINICAL_RETENTION_YEARS) || 10;
+
+// Everything exported for a patient: [section, query, key column ('user' or 'patient')]
+const EXPORT_SECTIONS = [
+    ['user', `SELECT National_ID, First_Name, Last_Name, Date_Of_Birth, Gender, Phone_Number, Address,
+                     Role, Account_Status, Created_At, Updated_At
+              FROM Users WHERE National_ID = ?`, 'user'],
+    ['patient', 'SELECT * FROM Patients WHERE Patient_ID = ?', 'patient'],
+    ['iop_records', 'SELECT * FROM IOP_Records WHERE Patient_ID = ? ORDER BY Measured_At', 'patient'],
+    ['medications', `SELECT pm.*, m.Name, m.Active_Ingredient
+                     FROM Patient_Medications pm
+                     LEFT JOIN Medications m ON pm.Medication_ID = m.Medication_ID
+                     WHERE pm.Patient_ID = ?`, 'patient'],
+    ['medication_reminders', 'SELECT * FROM Medication_Reminders WHERE Patient_ID = ?', 'patient'],
+    ['medication_doses', `SELECT md.* FROM Medication_Doses md
+                          JOIN Patient_Medications pm ON md.Patient_Medication_ID = pm.ID
+                          WHERE pm.Patient_ID = ? ORDER BY md.Scheduled_Time`, 'patient'],
+    ['appointments', 'SELECT * FROM Appointments WHERE Patient_ID = ? ORDER BY Appointment_Date', 'patient'],
+    ['reschedule_requests', 'SELECT * FROM Appointment_Reschedule_Requests WHERE Patient_ID = ?', 'patient'],
+    ['medical_history', 'SELECT * FROM Patient_Medical_History WHERE Patient_ID = ?', 'patient'],
+    ['symptom_reports', 'SELECT * FROM Symptom_Reports WHERE Patient_ID = ?', 'patient'],
+    ['visual_field_tests', 'SELECT * FROM Visual_Field_Tests WHERE Patient_ID = ?', 'patient'],
+    ['oct_scans', 'SELECT * FROM OCT_Scans WHERE Patient_ID = ?', 'patient'],
+    ['medical_documents', 'SELECT * FROM Medical_Documents WHERE Patient_ID = ?', 'patient'],
+    ['notifications', 'SELECT * FROM Notifications WHERE Recipient_ID = ? ORDER BY Sent_At', 'user'],
+    ['preferences', 'SELECT * FROM User_Preferences WHERE User_ID = ?', 'user'],
+    ['consents', 'SELECT * FROM User_Consents WHERE User_ID = ? ORDER BY Granted_At', 'user'],
+    ['caregivers', `SELECT ID, Caregiver_User_ID, Relationship, Scopes, Status, Created_At, Accepted_At, Revoked_At
+                    FROM Caregiver_Links WHERE Patient_ID = ?`, 'patient'],
+    ['sessions', `SELECT Session_ID, Device_ID, IP_Address, Session_Status, Created_At, Last_Activity_At
+                  FROM Sessions WHERE National_ID = ?`, 'user'],
+    ['activity_log', 'SELECT * FROM System_Logs WHERE User_ID = ? ORDER BY Created_At', 'user']
+];
+
+// Collect all stored data tied to the patient
+const collectPatientData = async (userId, patientId) => {
+    const data = {};
+
+    for (const [section, sql, key] of EXPORT_SECTIONS) {
+        const [rows] = await pool.execute(sql, [key === 'user' ? userId : patientId]);
+        data[section] = (section === 'user' || section === 'patient') ? rows[0] || null : rows;
+    }
+
+    return data;
+};
+
+// Stream a zip with data.json and the patient's uploaded files
+const streamExportArchive = (res, data) => {
+    const archive = archiver('zip', { zlib: { level: 9 } });
+
+    archive.on('warning', (error) => console.error('Data export archive warning:', error));
+    archive.on('error', (error) => {
+        console.error('Data export archive error:', error);
+        res.destroy(error);
+    });
+
+    archive.pipe(res);
+    archive.append(JSON.stringify({ exported_at: new Date().toISOString(), ...data }, null, 2), {
+        name: 'data.json'
+    });
+
+    for (const document of data.medical_documents) {
+        const filePath = path.join(__dirname, '..', document.File_Path);
+
+        if (fs.existsSync(filePath)) {
+            archive.file(filePath, { name: `medical-docs/${document.ID}-${path.basename(filePath)}` });
+        }
+    }
+
+    return archive.finalize();
+};
+
+// Columns that keep pointing at the erased user; they are moved to the surrogate ID
+const USER_REFERENCES = [
+    ['Patients', 'User_ID'],
+    ['User_Consents', 'User_ID'],
+    ['Data_Erasure_Requests', 'User_ID'],
+    ['Sessions', 'National_ID'],
+    ['Refresh_Tokens', 'National_ID'],
+    ['System_Logs', 'User_ID'],
+    ['Caregiver_Links', 'Caregiver_User_ID'],
+    ['IOP_Records', 'Deleted_By'],
+    ['IOP_Record_Amendments', 'Amended_By'],
+    ['Reminder_Action_Tokens', 'Recipient_User_ID'],
+    ['Medication_Reminder_Snoozes', 'Snoozed_By']
+];
+
+// Random stand-in for the citizen ID; the leading letter keeps it apart from real 13-digit IDs
+const generateSurrogateId = () => `E${crypto.randomBytes(6).toString('hex').toUpperCase()}`;
+
+// Remove identity and non-clinical data; clinical records stay under the
+// Patient_ID for the retention period. The account is re-keyed from the
+// citizen ID to a random surrogate, and the birth date is cut to the year.
+// Uploaded documents (scans and letters that show the patient's name and ID)
+// are deleted; their files are returned for removeDocumentFiles() once the
+// caller's transaction has committed.
+// Runs inside the caller's transaction.
+const anonymizePatient = async (userId, patientId, connection) => {
+    const surrogateId = generateSurrogateId();
+    const pseudonym = `ERASED-${crypto.randomBytes(5).toString('hex')}`;
+    const unusablePassword = await hashPassword(crypto.randomBytes(32).toString('hex'));
+
+    const userScoped = [
+        'DELETE FROM Notifications WHERE Recipient_ID = ?',
+        'DELETE FROM Push_Subscriptions WHERE User_ID = ?',
+        'DELETE FROM User_Preferences WHERE User_ID = ?',
+        'DELETE FROM User_MFA WHERE National_ID = ?',
+        'DELETE FROM MFA_Backup_Codes WHERE National_ID = ?',
+        'DELETE FROM MFA_Challenges WHERE National_ID = ?',
+        'DELETE FROM Password_History WHERE National_ID = ?',
+        'DELETE FROM Password_Reset_OTPs WHERE National_ID = ?',
+        'DELETE FROM Account_Lockouts WHERE National_ID = ?',
+        `UPDATE Sessions SET Session_Status = 'Expired' WHERE National_ID = ?`,
+        'UPDATE Refresh_Tokens SET Revoked_At = NOW() WHERE National_ID = ? AND Revoked_At IS NULL',
+        `UPDATE User_Consents SET Status = 'Withdrawn', Withdrawn_At = NOW()
+         WHERE User_ID = ? AND Status = 'Granted'`
+    ];
+
+    for (const sql of userScoped) {
+        await connection.execute(sql, [userId]);
+    }
+
+    let documentFiles = [];
+    if (patientId) {
+        const [documents] = await connection.execute(
+            'SELECT File_Path FROM Medical_Documents WHERE Patient_ID = ?',
+            [patientId]
+        );
+        documentFiles = documents.map(document => document.File_Path).filter(Boolean);
+        await connection.execute('DELETE FROM Medical_Documents WHERE Patient_ID = ?', [patientId]);
+
+        await connection.execute(
+            `DELETE FROM Medication_Reminders WHERE Patient_ID = ? AND Status = 'Pending'`,
+            [patientId]
+        );
+        await connection.execute(
+            `UPDATE Caregiver_Links SET Status = 'Revoked', Invite_Code_Hash = NULL, Revoked_At = NOW(), Updated_At = NOW()
+             WHERE Patient_ID = ? AND Status != 'Revoked'`,
+            [patientId]
+        );
+    }
+
+    // Parent and child keys change together, so foreign keys are checked again once all are moved
+    await connection.query('SET FOREIGN_KEY_CHECKS = 0');
+    try {
+        await connection.execute(
+            `UPDATE Users SET
+             National_ID = ?, First_Name = ?, Last_Name = '', Phone_Number = NULL, Address = NULL,
+             Date_Of_Birth = MAKEDATE(YEAR(Date_Of_Birth), 1),
+             Password_Hash = ?, Account_Status = 'Inactive', Data_Consent = 0, Updated_At = NOW()
+             WHERE National_ID = ?`,
+            [surrogateId, pseudonym, unusablePassword, userId]
+        );
+
+        for (const [table, column] of USER_REFERENCES) {
+            await connection.execute(
+                `UPDATE ${table} SET ${column} = ? WHERE ${column} = ?`,
+                [surrogateId, userId]
+            );
+        }
+
+        // Log messages name the account by citizen ID (logins, admin actions on it)
+        await connection.execute(
+            `UPDATE System_Logs SET Message = REPLACE(Message, ?, ?)
+             WHERE Message LIKE CONCAT('%', ?, '%')`,
+            [userId, surrogateId, userId]
+        );
+    } finally {
+        await connection.query('SET FOREIGN_KEY_CHECKS = 1');
+    }
+
+    const retentionUntil = new Date();
+    retentionUntil.setFullYear(retentionUntil.getFullYear() + CLINICAL_RETENTION_YEARS);
+    return { surrogateId, retentionUntil, documentFiles };
+};
+
+// Delete uploaded files left behind by anonymizePatient; a missing file is already gone
+const removeDocumentFiles = async (filePaths) => {
+    for (const filePath of filePaths) {
+        try {
+            await fs.promises.unlink(path.join(__dirname, '..', filePath));
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                console.error('Remove erased document error:', error);
+            }
+        }
+    }
+};
+
+module.exports = {
+    CLINICAL_RETENTION_YEARS,
+    collectPatientData,
+    streamExportArchive,
+    anonymizePatient,
+    removeDocumentFiles
+};
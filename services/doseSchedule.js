@@ -0,0 +1,268 @@
+// services/doseSchedule.js - Expected Doses and Schedule-based Adherence
+const { pool } = require('../config/database');
+const { getOccurrences, dateKey } = require('../utils/reminderSchedule');
+const { parseFrequency } = require('../utils/medicationFrequency');
+const { round } = require('../utils/iopStatistics');
+
+// A dose logged within this many minutes of its scheduled time is on time
+const ON_TIME_WINDOW_MINUTES = parseInt(process.env.DOSE_ON_TIME_WINDOW_MINUTES) || 60;
+// Later than on time but within this many minutes (and before the next dose) is late
+const LATE_WINDOW_MINUTES = parseInt(process.env.DOSE_LATE_WINDOW_MINUTES) || 240;
+// Doses are not counted against the patient until this long after they are due
+const DUE_GRACE_MINUTES = 15;
+
+const MINUTE_MS = 60 * 1000;
+const TAKEN_STATUSES = ['Taken', 'Late'];
+
+const sameMinute = (a, b) => Math.floor(new Date(a).getTime() / MINUTE_MS) === Math.floor(new Date(b).getTime() / MINUTE_MS);
+
+// Active medications with the schedules their expected doses come from: the
+// patient's reminders when there are any, otherwise the prescribed frequency
+const getMedicationSchedules = async (patientId, patientMedicationId = null) => {
+    let query = `SELECT pm.*, m.Name as medication_name, m.Dosage_Form
+                 FROM Patient_Medications pm
+                 LEFT JOIN Medications m ON pm.Medication_ID = m.Medication_ID
+                 WHERE pm.Patient_ID = ? AND pm.Status = 'Active'`;
+    const params = [patientId];
+
+    if (patientMedicationId) {
+        query += ' AND pm.ID = ?';
+        params.push(patientMedicationId);
+    }
+
+    const [medications] = await pool.execute(query, params);
+
+    const [reminders] = await pool.execute(
+        `SELECT * FROM Medication_Reminders WHERE Patient_ID = ? AND Status = 'Pending'`,
+        [patientId]
+    );
+
+    return medications.map(medication => {
+        const own = reminders.filter(r => String(r.Patient_Medication_ID) === String(medication.ID));
+        if (own.length > 0) {
+            return { medication, source: 'reminder', schedules: own };
+        }
+
+        const frequency = parseFrequency(medication.Frequency);
+        if (!frequency || frequency.as_needed) {
+            return { medication, source: frequency ? 'as_needed' : 'unknown', schedules: [] };
+        }
+
+        const startDate = medication.Created_At ? dateKey(medication.Created_At) : null;
+        return {
+            medication,
+            source: 'frequency',
+            schedules: frequency.times.map(time => ({
+                ID: null,
+                Reminder_Time: time,
+                Interval_Hours: frequency.interval_hours,
+                Start_Date: startDate
+            }))
+        };
+    });
+};
+
+// Expected doses between `from` and `to`, sorted by time
+const getExpectedDoses = async (patientId, from, to, patientMedicationId = null) => {
+    const medicationSchedules = await getMedicationSchedules(patientId, patientMedicationId);
+    const expected = [];
+
+    for (const { medication, source, schedules } of medicationSchedules) {
+        const prescribedAt = medication.Created_At ? new Date(medication.Created_At).getTime() : null;
+        const doses = [];
+
+        for (const schedule of schedules) {
+            for (const occurrence of getOccurrences(schedule, from, to)) {
+                if (prescribedAt && occurrence.getTime() < prescribedAt) continue;
+                if (doses.some(dose => sameMinute(dose.scheduled_time, occurrence))) continue;
+
+                doses.push({
+                    patient_medication_id: medication.ID,
+                    medication_name: medication.medication_name,
+                    dosage_form: medication.Dosage_Form,
+                    eye: schedule.Eye || medication.eye,
+                    dosage: medication.Dosage,
+                    reminder_id: schedule.ID,
+                    source,
+                    scheduled_time: occurrence
+                });
+            }
+        }
+
+        expected.push(...doses);
+    }
+
+    return expected.sort((a, b) => a.scheduled_time - b.scheduled_time);
+};
+
+const getRecordedDoses = async (patientId, from, to) => {
+    const [doses] = await pool.execute(
+        `SELECT md.*
+         FROM Medication_Doses md
+         JOIN Patient_Medications pm ON md.Patient_Medication_ID = pm.ID
+         WHERE pm.Patient_ID = ?
+         AND COALESCE(md.Actual_Time, md.Scheduled_Time) BETWEEN ? AND ?`,
+        [patientId,
+         new Date(new Date(from).getTime() - ON_TIME_WINDOW_MINUTES * MINUTE_MS),
+         new Date(new Date(to).getTime() + LATE_WINDOW_MINUTES * MINUTE_MS)]
+    );
+    return doses;
+};
+
+// Match recorded doses to expected ones. Each expected dose becomes
+// taken_on_time, late, missed, unlogged (past due, nothing recorded) or upcoming.
+const classifyDoses = (expected, doses, now = new Date()) => {
+    const used = new Set();
+    const results = [];
+
+    const byMedication = {};
+    for (const dose of expected) {
+        (byMedication[dose.patient_medication_id] = byMedication[dose.patient_medication_id] || []).push(dose);
+    }
+
+    for (const slots of Object.values(byMedication)) {
+        slots.forEach((slot, index) => {
+            const time = slot.scheduled_time.getTime();
+            const next = slots[index + 1];
+            const windowStart = time - ON_TIME_WINDOW_MINUTES * MINUTE_MS;
+            const lateEnd = Math.min(
+                time + LATE_WINDOW_MINUTES * MINUTE_MS,
+                next ? next.scheduled_time.getTime() : Infinity
+            );
+
+            const candidates = doses.filter(dose => (
+                !used.has(dose.ID) && String(dose.Patient_Medication_ID) === String(slot.patient_medication_id)
+            ));
+
+            // Prefer a dose logged against this exact slot, then the closest one in the window
+            const taken = candidates.find(dose => (
+                TAKEN_STATUSES.includes(dose.Status) && sameMinute(dose.Scheduled_Time, slot.scheduled_time)
+            )) || candidates
+                .filter(dose => TAKEN_STATUSES.includes(dose.Status) && dose.Actual_Time)
+                .filter(dose => {
+                    const actual = new Date(dose.Actual_Time).getTime();
+                    return actual >= windowStart && actual < lateEnd;
+                })
+                .sort((a, b) => Math.abs(new Date(a.Actual_Time) - time) - Math.abs(new Date(b.Actual_Time) - time))[0];
+
+            if (taken) {
+                used.add(taken.ID);
+                const actual = new Date(taken.Actual_Time || taken.Scheduled_Time).getTime();
+                const onTime = taken.Status !== 'Late' && Math.abs(actual - time) <= ON_TIME_WINDOW_MINUTES * MINUTE_MS;
+                results.push({ ...slot, status: onTime ? 'taken_on_time' : 'late', dose_id: taken.ID, actual_time: taken.Actual_Time });
+                return;
+            }
+
+            const recorded = candidates.find(dose => sameMinute(dose.Scheduled_Time, slot.scheduled_time));
+            if (recorded) {
+                used.add(recorded.ID);
+                results.push({ ...slot, status: 'missed', dose_id: recorded.ID, actual_time: null });
+                return;
+            }
+
+            const due = time + DUE_GRACE_MINUTES * MINUTE_MS <= now.getTime();
+            results.push({ ...slot, status: due ? 'unlogged' : 'upcoming', dose_id: null, actual_time: null });
+        });
+    }
+
+    return results.sort((a, b) => a.scheduled_time - b.scheduled_time);
+};
+
+const summarize = (slots) => {
+    const count = (status) => slots.filter(slot => slot.status === status).length;
+    const takenOnTime = count('taken_on_time');
+    const late = count('late');
+    const due = slots.length - count('upcoming');
+
+    return {
+        expected: due,
+        taken_on_time: takenOnTime,
+        late,
+        missed: count('missed'),
+        unlogged: count('unlogged'),
+        upcoming: count('upcoming'),
+        adherence_rate: due > 0 ? round((takenOnTime + late) / due * 100) : null,
+        on_time_rate: due > 0 ? round(takenOnTime / due * 100) : null
+    };
+};
+
+// Adherence over the last `periodDays` days (including today), overall, per medication and per day
+const getAdherence = async (patientId, periodDays = 30) => {
+    const to = new Date();
+    const from = new Date(to);
+    from.setDate(from.getDate() - (periodDays - 1));
+    from.setHours(0, 0, 0, 0);
+
+    const medicationSchedules = await getMedicationSchedules(patientId);
+    const expected = await getExpectedDoses(patientId, from, to);
+    const doses = await getRecordedDoses(patientId, from, to);
+    const slots = classifyDoses(expected, doses, to);
+
+    const byMedication = medicationSchedules
+        .filter(({ schedules }) => schedules.length > 0)
+        .map(({ medication, source }) => ({
+            patient_medication_id: medication.ID,
+            medication_name: medication.medication_name,
+            schedule_source: source,
+            frequency: medication.Frequency || null,
+            ...summarize(slots.filter(slot => String(slot.patient_medication_id) === String(medication.ID)))
+        }));
+
+    const byDay = [];
+    for (const day = new Date(from); day <= to; day.setDate(day.getDate() + 1)) {
+        const key = dateKey(day);
+        byDay.push({ date: key, ...summarize(slots.filter(slot => dateKey(slot.scheduled_time) === key)) });
+    }
+
+    return {
+        period_days: periodDays,
+        from,
+        to,
+        summary: summarize(slots),
+        by_medication: byMedication,
+        by_day: byDay,
+        // As-needed or unparseable frequency without reminders: no expected doses
+        unscheduled_medications: medicationSchedules
+            .filter(({ schedules }) => schedules.length === 0)
+            .map(({ medication, source }) => ({
+                patient_medication_id: medication.ID,
+                medication_name: medication.medication_name,
+                frequency: medication.Frequency || null,
+                reason: source
+            })),
+        doses: slots
+    };
+};
+
+// Scheduled time of the expected dose a logged dose belongs to (null if none is near)
+const findScheduledTime = async (patientId, patientMedicationId, actualTime, reminderId = null) => {
+    const actual = new Date(actualTime).getTime();
+    const from = new Date(actual - LATE_WINDOW_MINUTES * MINUTE_MS);
+    const to = new Date(actual + ON_TIME_WINDOW_MINUTES * MINUTE_MS);
+
+    const nearby = await getExpectedDoses(patientId, from, to, patientMedicationId);
+    const fromReminder = nearby.filter(dose => reminderId && String(dose.reminder_id) === String(reminderId));
+    const expected = fromReminder.length > 0 ? fromReminder : nearby;
+
+    if (expected.length === 0) return null;
+
+    return expected.reduce((closest, dose) => (
+        Math.abs(dose.scheduled_time - actual) < Math.abs(closest.scheduled_time - actual) ? dose : closest
+    )).scheduled_time;
+};
+
+// Taken more than the on-time window after the scheduled time counts as late
+const isLateDose = (scheduledTime, actualTime) => {
+    return new Date(actualTime).getTime() - new Date(scheduledTime).getTime() > ON_TIME_WINDOW_MINUTES * MINUTE_MS;
+};
+
+module.exports = {
+    ON_TIME_WINDOW_MINUTES,
+    LATE_WINDOW_MINUTES,
+    getMedicationSchedules,
+    getExpectedDoses,
+    classifyDoses,
+    getAdherence,
+    findScheduledTime,
+    isLateDose
+};
@@ -0,0 +1,109 @@
+// services/dropSequencer.js - Guided Sequence for Several Eye Drops Due Together
+const { getExpectedDoses } = require('./doseSchedule');
+const { dateKey } = require('../utils/reminderSchedule');
+
+// Wait between two drops so the first is not washed out by the second
+const DROP_WAIT_MINUTES = parseInt(process.env.DROP_WAIT_MINUTES) || 5;
+// Gels and ointments go last and need a longer wait before them
+const VISCOUS_WAIT_MINUTES = parseInt(process.env.VISCOUS_WAIT_MINUTES) || 10;
+
+// Thinnest first: solutions, then suspensions/emulsions, then gels, ointments last.
+// Matched most viscous first, since form names like "Eye drops, suspension" or
+// "ยาหยอดตาชนิดเจล" also say drop; anything unmatched counts as a solution.
+const DOSAGE_FORM_ORDER = [
+    { rank: 4, pattern: /ointment|ขี้ผึ้ง/i },
+    { rank: 3, pattern: /gel|เจล/i },
+    { rank: 2, pattern: /suspension|emulsion|แขวนตะกอน|อิมัลชัน/i },
+    { rank: 1, pattern: /solution|สารละลาย/i }
+];
+const VISCOUS_RANK = 3;
+
+const formRank = (dosageForm) => {
+    const form = DOSAGE_FORM_ORDER.find(({ pattern }) => pattern.test(dosageForm || ''));
+    return form ? form.rank : 1;
+};
+
+// Order the drops due at one time; medications of the same form keep their given order
+const orderDrops = (items) => {
+    return items
+        .map((item, index) => ({ item, index, rank: formRank(item.dosage_form) }))
+        .sort((a, b) => a.rank - b.rank || a.index - b.index)
+        .map(({ item }) => item);
+};
+
+// items: [{ patient_medication_id, reminder_id, medication_name, dosage_form, eye, dosage }]
+// Returns the ordered steps with the wait before each one and its offset from the start.
+const buildSequence = (items) => {
+    const unique = items.filter((item, index) => (
+        items.findIndex(other => String(other.patient_medication_id) === String(item.patient_medication_id)) === index
+    ));
+
+    let offset = 0;
+    const steps = orderDrops(unique).map((item, index) => {
+        const waitBefore = index === 0
+            ? 0
+            : (formRank(item.dosage_form) >= VISCOUS_RANK ? VISCOUS_WAIT_MINUTES : DROP_WAIT_MINUTES);
+        offset += waitBefore;
+
+        return {
+            step: index + 1,
+            patient_medication_id: item.patient_medication_id,
+            reminder_id: item.reminder_id || null,
+            medication_name: item.medication_name,
+            dosage_form: item.dosage_form || null,
+            eye: item.eye || null,
+            dosage: item.dosage || null,
+            wait_before_minutes: waitBefore,
+            start_offset_minutes: offset
+        };
+    });
+
+    return {
+        steps,
+        total_minutes: offset
+    };
+};
+
+// Sequences for every dose time on a day (from the expected dose schedule)
+const getDailySequences = async (patientId, date = new Date()) => {
+    const from = new Date(date);
+    from.setHours(0, 0, 0, 0);
+    const to = new Date(from);
+    to.setHours(23, 59, 59, 999);
+
+    const expected = await getExpectedDoses(patientId, from, to);
+
+    const groups = [];
+    for (const dose of expected) {
+        const group = groups.find(g => g.scheduled_time.getTime() === dose.scheduled_time.getTime());
+        if (group) {
+            group.items.push(dose);
+        } else {
+            groups.push({ scheduled_time: dose.scheduled_time, items: [dose] });
+        }
+    }
+
+    return {
+        date: dateKey(from),
+        sequences: groups.map(group => ({
+            scheduled_time: group.scheduled_time,
+            ...buildSequence(group.items)
+        }))
+    };
+};
+
+// One-line summary for a push notification: "1) A → รอ 5 นาที → 2) B"
+const describeSequence = (sequence) => {
+    return sequence.steps.map(step => (
+        `${step.wait_before_minutes > 0 ? `รอ ${step.wait_before_minutes} นาที → ` : ''}${step.step}) ${step.medication_name}`
+    )).join(' → ');
+};
+
+module.exports = {
+    DROP_WAIT_MINUTES,
+    VISCOUS_WAIT_MINUTES,
+    orderDrops,
+    buildSequence,
+    getDailySequences,
+    describeSequence
+};
@@ -0,0 +1,109 @@
+// services/iopAmendments.js - Corrections to Recorded IOP Readings
+const { pool } = require('../config/database');
+
+// Patients may correct or delete a reading for this many days after entering it
+const IOP_EDIT_WINDOW_DAYS = parseInt(process.env.IOP_EDIT_WINDOW_DAYS) || 7;
+
+const getReading = async (patientId, recordId) => {
+    const [records] = await pool.execute(
+        'SELECT * FROM IOP_Records WHERE ID = ? AND Patient_ID = ?',
+        [recordId, patientId]
+    );
+    return records[0] || null;
+};
+
+const isWithinEditWindow = (record) => {
+    const enteredAt = new Date(record.Created_At).getTime();
+    return Date.now() - enteredAt <= IOP_EDIT_WINDOW_DAYS * 24 * 60 * 60 * 1000;
+};
+
+const insertAmendment = async (connection, record, action, changes, reason, amendedBy) => {
+    await connection.execute(
+        `INSERT INTO IOP_Record_Amendments
+         (ID, IOP_Record_ID, Patient_ID, Action, Old_Left_Eye_IOP, Old_Right_Eye_IOP, Old_Measured_At,
+          New_Left_Eye_IOP, New_Right_Eye_IOP, New_Measured_At, Reason, Amended_By, Amended_At)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, NOW())`,
+        [Date.now(), record.ID, record.Patient_ID, action,
+         record.Left_Eye_IOP, record.Right_Eye_IOP, record.Measured_At,
+         changes ? changes.left : null, changes ? changes.right : null, changes ? changes.measuredAt : null,
+         reason, amendedBy]
+    );
+};
+
+// Replace the reading's values, keeping the old ones in the amendment history
+const amendReading = async (record, { left, right, measuredAt }, reason, amendedBy) => {
+    const connection = await pool.getConnection();
+
+    try {
+        await connection.beginTransaction();
+
+        await insertAmendment(connection, record, 'Update', { left, right, measuredAt }, reason, amendedBy);
+
+        await connection.execute(
+            `UPDATE IOP_Records
+             SET Left_Eye_IOP = ?, Right_Eye_IOP = ?, Measured_Date = DATE(?), Measured_At = ?, Updated_At = NOW()
+             WHERE ID = ?`,
+            [left, right, measuredAt, measuredAt, record.ID]
+        );
+
+        await connection.commit();
+    } catch (error) {
+        await connection.rollback();
+        throw error;
+    } finally {
+        connection.release();
+    }
+};
+
+// Soft delete: the reading stays in the clinical record but leaves patient views and analytics
+const deleteReading = async (record, reason, deletedBy) => {
+    const connection = await pool.getConnection();
+
+    try {
+        await connection.beginTransaction();
+
+        await insertAmendment(connection, record, 'Delete', null, reason, deletedBy);
+
+        await connection.execute(
+            `UPDATE IOP_Records
+             SET Is_Deleted = 1, Deleted_At = NOW(), Deleted_By = ?, Updated_At = NOW()
+             WHERE ID = ?`,
+            [deletedBy, record.ID]
+        );
+
+        await connection.commit();
+    } catch (error) {
+        await connection.rollback();
+        throw error;
+    } finally {
+        connection.release();
+    }
+};
+
+// Amendment history for a patient, optionally for a single reading
+const getAmendments = async (patientId, recordId = null) => {
+    let query = `SELECT a.*, u.First_Name, u.Last_Name, u.Role
+                 FROM IOP_Record_Amendments a
+                 LEFT JOIN Users u ON a.Amended_By = u.National_ID
+                 WHERE a.Patient_ID = ?`;
+    const params = [patientId];
+
+    if (recordId) {
+        query += ' AND a.IOP_Record_ID = ?';
+        params.push(recordId);
+    }
+
+    query += ' ORDER BY a.Amended_At DESC';
+
+    const [amendments] = await pool.execute(query, params);
+    return amendments;
+};
+
+module.exports = {
+    IOP_EDIT_WINDOW_DAYS,
+    getReading,
+    isWithinEditWindow,
+    amendReading,
+    deleteReading,
+    getAmendments
+};
@@ -0,0 +1,260 @@
+// services/iopAnalytics.js - IOP Analytics Service (shared by patient and clinic views)
+const { pool } = require('../config/database');
+const { getCurrentTarget, getCurrentTargets } = require('./targetIOP');
+const {
+    round, mean, standardDeviation, monthlyTrend, percentAbove, interEyeDifference
+} = require('../utils/iopStatistics');
+
+// A significant rise of at least this much (mmHg/month) flags the patient for early review
+const RISING_TREND_THRESHOLD = parseFloat(process.env.IOP_RISING_TREND_THRESHOLD) || 0.5;
+const MAX_ANALYTICS_PERIOD_DAYS = 365;
+// Diurnal bucket sizes that divide the day evenly
+const DIURNAL_BUCKET_HOURS = [1, 2, 3, 4, 6];
+const MIN_READINGS_FOR_TREND = 5;
+
+const eyeStatistics = (readings, target) => {
+    const values = readings.map(r => r.value);
+
+    if (values.length === 0) {
+        return { readings: 0, mean: null, sd: null, peak: null, peak_date: null, min: null,
+                 percent_above_target: null, trend: null };
+    }
+
+    const peak = readings.reduce((max, r) => (r.value > max.value ? r : max), readings[0]);
+
+    return {
+        readings: values.length,
+        mean: round(mean(values)),
+        sd: round(standardDeviation(values)),
+        peak: peak.value,
+        peak_date: peak.date,
+        min: Math.min(...values),
+        percent_above_target: percentAbove(values, target),
+        trend: values.length >= MIN_READINGS_FOR_TREND ? monthlyTrend(readings) : null
+    };
+};
+
+const isRising = (stats) => {
+    return !!(stats.trend && stats.trend.significant_rise && stats.trend.slope_per_month >= RISING_TREND_THRESHOLD);
+};
+
+const readingsFor = (records, column) => records
+    .filter(r => r[column] !== null && r[column] !== undefined)
+    .map(r => ({ date: r.Measured_At, value: Number(r[column]) }));
+
+const trendFlags = (left, right) => {
+    const flags = {
+        rising_left: isRising(left),
+        rising_right: isRising(right)
+    };
+    flags.needs_early_review = flags.rising_left || flags.rising_right;
+    return flags;
+};
+
+// Daily aggregates plus per-eye statistics over the last `periodDays`
+const getIOPAnalytics = async (patientId, periodDays = 90) => {
+    const [dailyData] = await pool.execute(
+        `SELECT
+            Measured_Date,
+            AVG(Left_Eye_IOP) as avg_left_iop,
+            AVG(Right_Eye_IOP) as avg_right_iop,
+            MAX(Left_Eye_IOP) as max_left_iop,
+            MAX(Right_Eye_IOP) as max_right_iop,
+            MIN(Left_Eye_IOP) as min_left_iop,
+            MIN(Right_Eye_IOP) as min_right_iop,
+            COUNT(*) as measurement_count
+         FROM IOP_Records
+         WHERE Patient_ID = ? AND Is_Deleted = 0
+         AND Measured_Date >= DATE_SUB(NOW(), INTERVAL ? DAY)
+         GROUP BY Measured_Date
+         ORDER BY Measured_Date`,
+        [patientId, periodDays]
+    );
+
+    const [records] = await pool.execute(
+        `SELECT Measured_At, Left_Eye_IOP, Right_Eye_IOP
+         FROM IOP_Records
+         WHERE Patient_ID = ? AND Is_Deleted = 0
+         AND Measured_At >= DATE_SUB(NOW(), INTERVAL ? DAY)
+         ORDER BY Measured_At`,
+        [patientId, periodDays]
+    );
+
+    const target = await getCurrentTarget(patientId);
+
+    const toNumber = (value) => (value === null || value === undefined ? null : Number(value));
+
+    const left = eyeStatistics(readingsFor(records, 'Left_Eye_IOP'), target.left);
+    const right = eyeStatistics(readingsFor(records, 'Right_Eye_IOP'), target.right);
+
+    // Kept for existing clients of /iop-analytics
+    let trends = {};
+    if (dailyData.length > 0) {
+        const leftIOPs = dailyData.map(d => toNumber(d.avg_left_iop)).filter(v => v !== null && !isNaN(v));
+        const rightIOPs = dailyData.map(d => toNumber(d.avg_right_iop)).filter(v => v !== null && !isNaN(v));
+
+        trends = {
+            avg_left_iop: mean(leftIOPs),
+            avg_right_iop: mean(rightIOPs),
+            days_left_above_target: dailyData.filter(d => d.max_left_iop !== null && Number(d.max_left_iop) > target.left).length,
+            days_right_above_target: dailyData.filter(d => d.max_right_iop !== null && Number(d.max_right_iop) > target.right).length
+        };
+    }
+
+    const flags = trendFlags(left, right);
+
+    return {
+        daily_data: dailyData,
+        trends,
+        statistics: {
+            left,
+            right,
+            inter_eye: interEyeDifference(records.map(r => ({
+                left: toNumber(r.Left_Eye_IOP),
+                right: toNumber(r.Right_Eye_IOP)
+            })))
+        },
+        flags,
+        target_iop: target,
+        period_days: periodDays
+    };
+};
+
+// Trend flags for a whole roster from one readings query and one targets query,
+// keyed by Patient_ID: { flags, left_trend, right_trend, target_iop }
+const getRisingIOPFlags = async (patientIds, periodDays = 180) => {
+    if (patientIds.length === 0) return {};
+
+    const [records] = await pool.execute(
+        `SELECT Patient_ID, Measured_At, Left_Eye_IOP, Right_Eye_IOP
+         FROM IOP_Records
+         WHERE Patient_ID IN (${patientIds.map(() => '?').join(',')}) AND Is_Deleted = 0
+         AND Measured_At >= DATE_SUB(NOW(), INTERVAL ? DAY)
+         ORDER BY Patient_ID, Measured_At`,
+        [...patientIds, periodDays]
+    );
+    const targets = await getCurrentTargets(patientIds);
+
+    const results = {};
+    for (const patientId of patientIds) {
+        const own = records.filter(r => String(r.Patient_ID) === String(patientId));
+        const target = targets[patientId];
+        const left = eyeStatistics(readingsFor(own, 'Left_Eye_IOP'), target.left);
+        const right = eyeStatistics(readingsFor(own, 'Right_Eye_IOP'), target.right);
+
+        results[patientId] = {
+            flags: trendFlags(left, right),
+            left_trend: left.trend,
+            right_trend: right.trend,
+            target_iop: target
+        };
+    }
+    return results;
+};
+
+// A peak bucket starting in this window (hour of day) is reported as a morning peak
+const MORNING_START_HOUR = 4;
+const MORNING_END_HOUR = 11;
+
+const summarize = (values) => ({
+    mean: round(mean(values)),
+    sd: round(standardDeviation(values)),
+    readings: values.length
+});
+
+// Hour bucket with the highest mean for one eye
+const findPeak = (buckets, eye) => {
+    const candidates = buckets.filter(bucket => bucket[eye].readings > 0);
+    if (candidates.length === 0) return null;
+
+    const peak = candidates.reduce((max, bucket) => (bucket[eye].mean > max[eye].mean ? bucket : max));
+    return {
+        hour_start: peak.hour_start,
+        hour_end: peak.hour_end,
+        mean: peak[eye].mean,
+        is_morning: peak.hour_start >= MORNING_START_HOUR && peak.hour_start <= MORNING_END_HOUR
+    };
+};
+
+// Per-day max-min for days with at least two readings of the eye
+const dailyRanges = (days, eye) => {
+    const ranges = Object.values(days)
+        .map(day => day[eye])
+        .filter(values => values.length >= 2)
+        .map(values => Math.max(...values) - Math.min(...values));
+
+    return {
+        mean_range: round(mean(ranges)),
+        max_range: ranges.length > 0 ? round(Math.max(...ranges)) : null,
+        days: ranges.length
+    };
+};
+
+// Diurnal curve: mean IOP per hour-of-day bucket, peak timing and daily range
+const getDiurnalCurve = async (patientId, periodDays = 30, bucketHours = 2) => {
+    if (!DIURNAL_BUCKET_HOURS.includes(bucketHours)) {
+        throw new Error(`Invalid diurnal bucket size: ${bucketHours}`);
+    }
+
+    const [records] = await pool.execute(
+        `SELECT HOUR(Measured_At) as hour, DATE_FORMAT(Measured_At, '%Y-%m-%d') as day,
+                Left_Eye_IOP, Right_Eye_IOP
+         FROM IOP_Records
+         WHERE Patient_ID = ? AND Is_Deleted = 0
+         AND Measured_At >= DATE_SUB(NOW(), INTERVAL ? DAY)
+         ORDER BY Measured_At`,
+        [patientId, periodDays]
+    );
+
+    const valuesOf = (rows, column) => rows
+        .filter(r => r[column] !== null && r[column] !== undefined)
+        .map(r => Number(r[column]));
+
+    const buckets = [];
+    for (let start = 0; start < 24; start += bucketHours) {
+        const rows = records.filter(r => r.hour >= start && r.hour < start + bucketHours);
+        buckets.push({
+            hour_start: start,
+            hour_end: Math.min(start + bucketHours, 24),
+            left: summarize(valuesOf(rows, 'Left_Eye_IOP')),
+            right: summarize(valuesOf(rows, 'Right_Eye_IOP'))
+        });
+    }
+
+    const days = {};
+    for (const record of records) {
+        days[record.day] = days[record.day] || { left: [], right: [] };
+        if (record.Left_Eye_IOP !== null) days[record.day].left.push(Number(record.Left_Eye_IOP));
+        if (record.Right_Eye_IOP !== null) days[record.day].right.push(Number(record.Right_Eye_IOP));
+    }
+
+    return {
+        buckets,
+        peak: {
+            left: findPeak(buckets, 'left'),
+            right: findPeak(buckets, 'right')
+        },
+        daily_range: {
+            left: dailyRanges(days, 'left'),
+            right: dailyRanges(days, 'right')
+        },
+        target_iop: await getCurrentTarget(patientId),
+        readings: records.length,
+        days_measured: Object.keys(days).length,
+        bucket_hours: bucketHours,
+        period_days: periodDays
+    };
+};
+
+// Period accepted by the analytics endpoints, in days
+const isValidPeriod = (days) => Number.isInteger(days) && days >= 1 && days <= MAX_ANALYTICS_PERIOD_DAYS;
+
+module.exports = {
+    RISING_TREND_THRESHOLD,
+    MAX_ANALYTICS_PERIOD_DAYS,
+    DIURNAL_BUCKET_HOURS,
+    isValidPeriod,
+    getIOPAnalytics,
+    getRisingIOPFlags,
+    getDiurnalCurve
+};
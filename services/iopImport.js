@@ -0,0 +1,319 @@
+// services/iopImport.js - Bulk IOP Import from Home Tonometer CSV Exports
+const { pool } = require('../config/database');
+const { parseCSV } = require('../utils/csv');
+const { generateRecordId } = require('../utils/helpers');
+const { MIN_READING_IOP, MAX_READING_IOP, getCurrentTarget, evaluateReading } = require('./targetIOP');
+
+const IMPORT_MAX_ROWS = 2000;
+const IMPORT_MEASUREMENT_METHOD = 'Home_Tonometry';
+
+const normalizeHeader = (header) => header.toLowerCase().replace(/[^a-z0-9]/g, '');
+
+// Supported layouts, matched on their (normalized) header columns.
+// 'per_eye' layouts have one row per eye; 'paired' layouts have both eyes in one row.
+const IMPORT_LAYOUTS = [
+    {
+        id: 'icare_home',
+        name: 'iCare HOME / iCare CLINIC export',
+        type: 'per_eye',
+        columns: { date: ['date', 'measurementdate'], time: ['time', 'measurementtime'],
+                   eye: ['eye', 'side'], iop: ['iop', 'iopmmhg', 'pressure'] }
+    },
+    {
+        id: 'eyemate',
+        name: 'EyeMate template',
+        type: 'paired',
+        columns: { datetime: ['measuredat'], left: ['lefteyeiop', 'left'], right: ['righteyeiop', 'right'],
+                   notes: ['notes'] }
+    },
+    {
+        id: 'generic_paired',
+        name: 'Date, time, OD, OS',
+        type: 'paired',
+        columns: { date: ['date'], time: ['time'], right: ['od', 'iopod', 'righteye'],
+                   left: ['os', 'iopos', 'lefteye'] }
+    }
+];
+
+const REQUIRED_COLUMNS = {
+    per_eye: ['date', 'eye', 'iop'],
+    paired: []
+};
+
+// Map each layout field to its column index; null when the headers do not fit the layout
+const matchLayout = (headers) => {
+    const normalized = headers.map(normalizeHeader);
+
+    for (const layout of IMPORT_LAYOUTS) {
+        const indexes = {};
+        for (const [field, aliases] of Object.entries(layout.columns)) {
+            const index = normalized.findIndex(header => aliases.includes(header));
+            if (index !== -1) indexes[field] = index;
+        }
+
+        const hasTimestamp = indexes.datetime !== undefined || indexes.date !== undefined;
+        const hasValues = layout.type === 'per_eye' || indexes.left !== undefined || indexes.right !== undefined;
+        const hasRequired = REQUIRED_COLUMNS[layout.type].every(field => indexes[field] !== undefined);
+
+        if (hasTimestamp && hasValues && hasRequired) {
+            return { layout, indexes };
+        }
+    }
+
+    return null;
+};
+
+// Accepts YYYY-MM-DD, DD/MM/YYYY, DD.MM.YYYY and DD-MM-YYYY, plus an optional HH:MM[:SS] time
+const parseTimestamp = (dateValue, timeValue = '') => {
+    const text = `${dateValue || ''} ${timeValue || ''}`.trim();
+
+    const iso = text.match(/^(\d{4})-(\d{2})-(\d{2})(?:[ T](\d{1,2}):(\d{2})(?::(\d{2}))?)?/);
+    const dayFirst = text.match(/^(\d{1,2})[./-](\d{1,2})[./-](\d{4})(?:\s+(\d{1,2}):(\d{2})(?::(\d{2}))?)?/);
+    const match = iso || dayFirst;
+
+    if (!match) return null;
+
+    const [year, month, day] = iso
+        ? [match[1], match[2], match[3]]
+        : [match[3], match[2], match[1]];
+
+    const date = new Date(
+        Number(year), Number(month) - 1, Number(day),
+        Number(match[4] || 0), Number(match[5] || 0), Number(match[6] || 0)
+    );
+
+    // Reject dates that rolled over (e.g. 31/02)
+    if (isNaN(date.getTime()) || date.getDate() !== Number(day) || date.getMonth() !== Number(month) - 1) {
+        return null;
+    }
+
+    return date;
+};
+
+const parseEye = (value) => {
+    const raw = (value || '').trim();
+    const eye = normalizeHeader(raw);
+    if (['od', 'r', 'right', 'righteye'].includes(eye) || raw === 'ขวา') return 'right';
+    if (['os', 'l', 'left', 'lefteye'].includes(eye) || raw === 'ซ้าย') return 'left';
+    return null;
+};
+
+// Returns { value } or { error }; blank cells are allowed (value null)
+const parseIOP = (value, label) => {
+    if (value === undefined || value === null || value === '') return { value: null };
+
+    const number = Number(String(value).replace(',', '.'));
+    if (isNaN(number)) return { error: `${label}: ค่าความดันลูกตาไม่ใช่ตัวเลข` };
+    if (number < MIN_READING_IOP || number > MAX_READING_IOP) {
+        return { error: `${label}: ค่าความดันลูกตาต้องอยู่ระหว่าง ${MIN_READING_IOP}-${MAX_READING_IOP} mmHg` };
+    }
+    return { value: number };
+};
+
+const minuteKey = (date) => Math.floor(date.getTime() / 60000);
+
+// Turn CSV rows into readings ({ rows, measuredAt, left, right, notes, errors })
+const rowsToReadings = (dataRows, layout, indexes) => {
+    const cell = (row, field) => (indexes[field] !== undefined ? row[indexes[field]] : undefined);
+    const readings = [];
+    const byMinute = new Map();
+
+    dataRows.forEach((row, i) => {
+        const rowNumber = i + 2; // 1-based, after the header row
+        const errors = [];
+
+        const measuredAt = indexes.datetime !== undefined
+            ? parseTimestamp(cell(row, 'datetime'))
+            : parseTimestamp(cell(row, 'date'), cell(row, 'time'));
+
+        if (!measuredAt) {
+            errors.push('วันที่หรือเวลาไม่ถูกต้อง');
+        } else if (measuredAt.getTime() > Date.now()) {
+            errors.push('วันที่วัดอยู่ในอนาคต');
+        }
+
+        if (layout.type === 'per_eye') {
+            const eye = parseEye(cell(row, 'eye'));
+            const iop = parseIOP(cell(row, 'iop'), 'IOP');
+
+            if (!eye) errors.push('ไม่ทราบว่าเป็นตาข้างใด (ต้องเป็น OD/OS หรือ R/L)');
+            if (iop.error) errors.push(iop.error);
+            if (!iop.error && iop.value === null) errors.push('ไม่มีค่าความดันลูกตา');
+
+            if (errors.length > 0) {
+                readings.push({ rows: [rowNumber], measuredAt, left: null, right: null, errors });
+                return;
+            }
+
+            // Left and right readings taken in the same minute become one record
+            const key = minuteKey(measuredAt);
+            const existing = byMinute.get(key);
+
+            if (existing && existing[eye] === null) {
+                existing[eye] = iop.value;
+                existing.rows.push(rowNumber);
+                return;
+            }
+
+            const reading = { rows: [rowNumber], measuredAt, left: null, right: null, errors: [] };
+            reading[eye] = iop.value;
+            readings.push(reading);
+            byMinute.set(key, reading);
+            return;
+        }
+
+        const left = parseIOP(cell(row, 'left'), 'ตาซ้าย');
+        const right = parseIOP(cell(row, 'right'), 'ตาขวา');
+
+        if (left.error) errors.push(left.error);
+        if (right.error) errors.push(right.error);
+        if (!left.error && !right.error && left.value === null && right.value === null) {
+            errors.push('ไม่มีค่าความดันลูกตา');
+        }
+
+        readings.push({
+            rows: [rowNumber],
+            measuredAt,
+            left: left.value === undefined ? null : left.value,
+            right: right.value === undefined ? null : right.value,
+            notes: cell(row, 'notes') || null,
+            errors
+        });
+    });
+
+    return readings;
+};
+
+const sameValue = (a, b) => (a === null || a === undefined ? b === null || b === undefined : Number(a) === Number(b));
+
+// Parse, validate and (unless dryRun) insert readings; returns the per-row import report
+const importIOPReadings = async (patientId, csvText, { dryRun = false } = {}) => {
+    const rows = parseCSV(csvText);
+
+    if (rows.length < 2) {
+        return { error: { code: 'EMPTY_FILE', message: 'ไม่พบข้อมูลในไฟล์' } };
+    }
+
+    if (rows.length - 1 > IMPORT_MAX_ROWS) {
+        return { error: { code: 'TOO_MANY_ROWS', message: `นำเข้าได้ไม่เกิน ${IMPORT_MAX_ROWS} แถวต่อครั้ง` } };
+    }
+
+    const matched = matchLayout(rows[0]);
+
+    if (!matched) {
+        return {
+            error: {
+                code: 'UNSUPPORTED_LAYOUT',
+                message: 'ไม่รองรับรูปแบบไฟล์นี้',
+                supported_layouts: IMPORT_LAYOUTS.map(layout => ({ id: layout.id, name: layout.name }))
+            }
+        };
+    }
+
+    const { layout, indexes } = matched;
+    const readings = rowsToReadings(rows.slice(1), layout, indexes);
+    const valid = readings.filter(r => r.errors.length === 0);
+
+    // Existing readings in the file's time span, for duplicate detection
+    let existing = [];
+    if (valid.length > 0) {
+        const times = valid.map(r => r.measuredAt.getTime());
+        const [records] = await pool.execute(
+            `SELECT Measured_At, Left_Eye_IOP, Right_Eye_IOP FROM IOP_Records
+             WHERE Patient_ID = ? AND Measured_At BETWEEN ? AND ?`,
+            [patientId, new Date(Math.min(...times) - 60000), new Date(Math.max(...times) + 60000)]
+        );
+        existing = records;
+    }
+
+    const isDuplicateOf = (reading, record) => (
+        minuteKey(new Date(record.Measured_At)) === minuteKey(reading.measuredAt) &&
+        sameValue(record.Left_Eye_IOP, reading.left) &&
+        sameValue(record.Right_Eye_IOP, reading.right)
+    );
+
+    const target = await getCurrentTarget(patientId);
+    const seen = [];
+    const toInsert = [];
+    const report = [];
+
+    for (const reading of readings) {
+        const entry = {
+            rows: reading.rows,
+            measured_at: reading.measuredAt ? reading.measuredAt.toISOString() : null,
+            left_eye_iop: reading.left,
+            right_eye_iop: reading.right
+        };
+
+        if (reading.errors.length > 0) {
+            report.push({ ...entry, status: 'error', errors: reading.errors });
+        } else if (existing.some(record => isDuplicateOf(reading, record))) {
+            report.push({ ...entry, status: 'duplicate', errors: ['มีค่านี้ในระบบแล้ว'] });
+        } else if (seen.some(other => isDuplicateOf(reading, {
+            Measured_At: other.measuredAt, Left_Eye_IOP: other.left, Right_Eye_IOP: other.right
+        }))) {
+            report.push({ ...entry, status: 'duplicate', errors: ['ซ้ำกับแถวอื่นในไฟล์'] });
+        } else {
+            seen.push(reading);
+            toInsert.push({ ...reading, id: generateRecordId() });
+            report.push({
+                ...entry,
+                status: dryRun ? 'ready' : 'imported',
+                measurement_id: dryRun ? null : toInsert[toInsert.length - 1].id,
+                ...evaluateReading(reading.left, reading.right, target)
+            });
+        }
+    }
+
+    if (!dryRun && toInsert.length > 0) {
+        const connection = await pool.getConnection();
+
+        try {
+            await connection.beginTransaction();
+
+            for (const reading of toInsert) {
+                await connection.execute(
+                    `INSERT INTO IOP_Records
+                     (ID, Patient_ID, Measured_Date, Measured_At, Left_Eye_IOP, Right_Eye_IOP,
+                      Target_IOP_Left, Target_IOP_Right, Measurement_Method, Notes, Created_At)
+                     VALUES (?, ?, DATE(?), ?, ?, ?, ?, ?, ?, ?, NOW())`,
+                    [reading.id, patientId, reading.measuredAt, reading.measuredAt, reading.left, reading.right,
+                     target.left, target.right, IMPORT_MEASUREMENT_METHOD, reading.notes || null]
+                );
+            }
+
+            await connection.commit();
+        } catch (error) {
+            await connection.rollback();
+            throw error;
+        } finally {
+            connection.release();
+        }
+    }
+
+    const count = (status) => report.filter(entry => entry.status === status).length;
+
+    return {
+        layout: { id: layout.id, name: layout.name },
+        dry_run: dryRun,
+        summary: {
+            rows: rows.length - 1,
+            readings: report.length,
+            imported: dryRun ? 0 : toInsert.length,
+            ready: dryRun ? toInsert.length : 0,
+            duplicates: count('duplicate'),
+            errors: count('error'),
+            above_target: report.filter(entry => entry.above_target).length
+        },
+        target_iop: target,
+        report
+    };
+};
+
+module.exports = {
+    IMPORT_LAYOUTS,
+    IMPORT_MAX_ROWS,
+    matchLayout,
+    parseTimestamp,
+    importIOPReadings
+};
@@ -0,0 +1,327 @@
+// services/medicationInventory.js - Eye-drop Bottle Inventory and Refill Prediction
+const cron = require('node-cron');
+const { pool } = require('../config/database');
+const { sendPushNotification } = require('./pushNotification');
+const { getCaregiverUserIds } = require('./caregiver');
+const { getExpectedDoses } = require('./doseSchedule');
+const { dateKey } = require('../utils/reminderSchedule');
+const { round } = require('../utils/iopStatistics');
+
+// Remind the patient this many days before the predicted run-out date
+const REFILL_REMINDER_DAYS = parseInt(process.env.REFILL_REMINDER_DAYS) || 7;
+const DEFAULT_DROPS_PER_ML = 20;
+// Most multi-dose eye drops must be discarded four weeks after opening
+const DEFAULT_DISCARD_AFTER_DAYS = 28;
+// Usage rate is taken from the schedule over this window, or observed doses for as-needed drops
+const USAGE_WINDOW_DAYS = 14;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Drops used per dose: the prescribed drops per eye ("0.5% 2 drops" -> 2, "ครั้งละ 2 หยด" -> 2,
+// default 1), doubled for both eyes. Only a number next to drop/หยด counts, not a strength.
+const dropsPerDose = (medication) => {
+    const match = /(\d+)\s*(?:drops?\b|หยด)/i.exec(medication.Dosage || '');
+    const perEye = match ? Math.max(1, parseInt(match[1])) : 1;
+    return (medication.eye || medication.Eye) === 'both' ? perEye * 2 : perEye;
+};
+
+const bottleCapacity = (bottle) => Math.floor(Number(bottle.Volume_ML) * Number(bottle.Drops_Per_ML));
+
+const bottleRemaining = (bottle) => Math.max(0, bottleCapacity(bottle) - bottle.Drops_Used);
+
+const discardDate = (bottle) => {
+    if (!bottle.Opened_Date) return null;
+    const date = new Date(bottle.Opened_Date);
+    date.setDate(date.getDate() + bottle.Discard_After_Days);
+    return date;
+};
+
+const getMedication = async (patientId, patientMedicationId) => {
+    const [medications] = await pool.execute(
+        `SELECT pm.*, m.Name as medication_name
+         FROM Patient_Medications pm
+         LEFT JOIN Medications m ON pm.Medication_ID = m.Medication_ID
+         WHERE pm.ID = ? AND pm.Patient_ID = ?`,
+        [patientMedicationId, patientId]
+    );
+    return medications[0] || null;
+};
+
+const getBottle = async (patientId, bottleId) => {
+    const [bottles] = await pool.execute(
+        'SELECT * FROM Medication_Bottles WHERE ID = ? AND Patient_ID = ?',
+        [bottleId, patientId]
+    );
+    return bottles[0] || null;
+};
+
+// Bottles still holding drops, the one in use first, then unopened in dispensing order
+const getAvailableBottles = async (patientMedicationId) => {
+    const [bottles] = await pool.execute(
+        `SELECT * FROM Medication_Bottles
+         WHERE Patient_Medication_ID = ? AND Status IN ('In_Use', 'Unopened')
+         ORDER BY FIELD(Status, 'In_Use', 'Unopened'), Opened_Date, Dispensed_Date, Created_At`,
+        [patientMedicationId]
+    );
+    return bottles;
+};
+
+const addBottle = async (patientId, patientMedicationId, {
+    volume_ml, drops_per_ml, discard_after_days, dispensed_date, opened_date
+}) => {
+    const bottleId = Date.now();
+
+    await pool.execute(
+        `INSERT INTO Medication_Bottles
+         (ID, Patient_ID, Patient_Medication_ID, Volume_ML, Drops_Per_ML, Drops_Used,
+          Dispensed_Date, Opened_Date, Discard_After_Days, Status, Created_At)
+         VALUES (?, ?, ?, ?, ?, 0, ?, ?, ?, ?, NOW())`,
+        [bottleId, patientId, patientMedicationId, volume_ml, drops_per_ml || DEFAULT_DROPS_PER_ML,
+         dispensed_date || dateKey(new Date()), opened_date || null,
+         discard_after_days || DEFAULT_DISCARD_AFTER_DAYS, opened_date ? 'In_Use' : 'Unopened']
+    );
+
+    return bottleId;
+};
+
+// Start a bottle; any other bottle of the same medication in use is finished
+const openBottle = async (bottle, openedDate = new Date()) => {
+    await pool.execute(
+        `UPDATE Medication_Bottles SET Status = 'Empty', Updated_At = NOW()
+         WHERE Patient_Medication_ID = ? AND Status = 'In_Use' AND ID <> ?`,
+        [bottle.Patient_Medication_ID, bottle.ID]
+    );
+
+    await pool.execute(
+        `UPDATE Medication_Bottles SET Status = 'In_Use', Opened_Date = ?, Updated_At = NOW()
+         WHERE ID = ?`,
+        [dateKey(openedDate), bottle.ID]
+    );
+};
+
+const discardBottle = async (bottle) => {
+    await pool.execute(
+        `UPDATE Medication_Bottles SET Status = 'Discarded', Updated_At = NOW() WHERE ID = ?`,
+        [bottle.ID]
+    );
+};
+
+// Deduct a logged dose from the bottle in use (opening the next one when needed).
+// Returns the bottle used, or null when no bottle is tracked for the medication.
+const deductDose = async (patientId, patientMedicationId) => {
+    const medication = await getMedication(patientId, patientMedicationId);
+    if (!medication) return null;
+
+    const bottles = await getAvailableBottles(patientMedicationId);
+    if (bottles.length === 0) return null;
+
+    let bottle = bottles[0];
+    if (bottle.Status === 'Unopened') {
+        await openBottle(bottle);
+        bottle = { ...bottle, Status: 'In_Use', Opened_Date: dateKey(new Date()) };
+    }
+
+    // One statement so doses logged at the same time (a push action and the app) both count;
+    // Status is set first so it is computed from the count before this dose
+    const capacity = bottleCapacity(bottle);
+    const drops = dropsPerDose(medication);
+
+    await pool.execute(
+        `UPDATE Medication_Bottles
+         SET Status = IF(Drops_Used + ? >= ?, 'Empty', 'In_Use'),
+             Drops_Used = LEAST(?, Drops_Used + ?),
+             Updated_At = NOW()
+         WHERE ID = ?`,
+        [drops, capacity, capacity, drops, bottle.ID]
+    );
+
+    const [rows] = await pool.execute(
+        'SELECT Drops_Used, Status FROM Medication_Bottles WHERE ID = ?',
+        [bottle.ID]
+    );
+    const updated = { ...bottle, Drops_Used: rows[0].Drops_Used, Status: rows[0].Status };
+
+    return { ...updated, remaining_drops: bottleRemaining(updated) };
+};
+
+// Drops per day: from the expected schedule, or observed doses for as-needed medications
+const getDailyUsage = async (patientId, medication) => {
+    const now = new Date();
+    const expected = await getExpectedDoses(patientId, now, new Date(now.getTime() + USAGE_WINDOW_DAYS * DAY_MS), medication.ID);
+
+    let dosesPerDay = expected.length / USAGE_WINDOW_DAYS;
+    if (expected.length === 0) {
+        const [rows] = await pool.execute(
+            `SELECT COUNT(*) as doses FROM Medication_Doses
+             WHERE Patient_Medication_ID = ? AND Status IN ('Taken', 'Late')
+             AND Actual_Time >= DATE_SUB(NOW(), INTERVAL ? DAY)`,
+            [medication.ID, USAGE_WINDOW_DAYS]
+        );
+        dosesPerDay = Number(rows[0].doses) / USAGE_WINDOW_DAYS;
+    }
+
+    return dosesPerDay * dropsPerDose(medication);
+};
+
+const formatBottle = (bottle) => ({
+    bottle_id: bottle.ID,
+    status: bottle.Status,
+    volume_ml: Number(bottle.Volume_ML),
+    drops_per_ml: Number(bottle.Drops_Per_ML),
+    capacity_drops: bottleCapacity(bottle),
+    drops_used: bottle.Drops_Used,
+    remaining_drops: bottleRemaining(bottle),
+    dispensed_date: bottle.Dispensed_Date,
+    opened_date: bottle.Opened_Date,
+    discard_after_days: bottle.Discard_After_Days,
+    discard_date: discardDate(bottle),
+    discard_overdue: !!discardDate(bottle) && discardDate(bottle) <= new Date()
+});
+
+// Remaining supply and predicted run-out date for one medication
+const getMedicationInventory = async (patientId, medication) => {
+    const bottles = await getAvailableBottles(medication.ID);
+    const remaining = bottles.reduce((sum, bottle) => sum + bottleRemaining(bottle), 0);
+    const dropsPerDay = await getDailyUsage(patientId, medication);
+
+    // The bottle in use must be thrown away at its discard date even if drops remain
+    const inUse = bottles.find(bottle => bottle.Status === 'In_Use');
+    const daysRemaining = dropsPerDay > 0 ? Math.floor(remaining / dropsPerDay) : null;
+    let runOutDate = daysRemaining !== null ? new Date(Date.now() + daysRemaining * DAY_MS) : null;
+    if (inUse && bottles.length === 1 && discardDate(inUse) && (!runOutDate || discardDate(inUse) < runOutDate)) {
+        runOutDate = discardDate(inUse);
+    }
+
+    const daysUntilRunOut = runOutDate ? Math.max(0, Math.floor((runOutDate - Date.now()) / DAY_MS)) : null;
+
+    return {
+        patient_medication_id: medication.ID,
+        medication_name: medication.medication_name,
+        drops_per_dose: dropsPerDose(medication),
+        drops_per_day: round(dropsPerDay),
+        remaining_drops: remaining,
+        predicted_run_out_date: runOutDate ? dateKey(runOutDate) : null,
+        days_until_run_out: daysUntilRunOut,
+        refill_due: bottles.length === 0 || (daysUntilRunOut !== null && daysUntilRunOut <= REFILL_REMINDER_DAYS),
+        bottles: bottles.map(formatBottle)
+    };
+};
+
+const getInventory = async (patientId) => {
+    const [medications] = await pool.execute(
+        `SELECT pm.*, m.Name as medication_name
+         FROM Patient_Medications pm
+         LEFT JOIN Medications m ON pm.Medication_ID = m.Medication_ID
+         WHERE pm.Patient_ID = ? AND pm.Status = 'Active'
+         AND EXISTS (SELECT 1 FROM Medication_Bottles b WHERE b.Patient_Medication_ID = pm.ID)`,
+        [patientId]
+    );
+
+    const inventory = [];
+    for (const medication of medications) {
+        inventory.push(await getMedicationInventory(patientId, medication));
+    }
+
+    return {
+        refill_reminder_days: REFILL_REMINDER_DAYS,
+        medications: inventory
+    };
+};
+
+// Notification row + push to the patient and caregivers who receive reminders
+const notifyPatient = async (patientId, userId, type, title, message) => {
+    await pool.execute(
+        `INSERT INTO Notifications
+         (ID, Recipient_ID, Type, Title, Message, Priority, Status, Sent_At)
+         VALUES (?, ?, ?, ?, ?, 'high', 'Unread', NOW())`,
+        [Date.now() + Math.floor(Math.random() * 1000), userId, type, title, message]
+    );
+
+    const recipients = [userId, ...await getCaregiverUserIds(patientId, 'receive_reminders')];
+    for (const recipient of recipients) {
+        await sendPushNotification(recipient, title, message, { type, patientId, url: '/medications/inventory' });
+    }
+};
+
+// Daily: refill reminders ahead of the run-out date and warnings for bottles past their discard date
+const checkMedicationInventory = async () => {
+    try {
+        console.log('💧 Checking eye-drop inventory...');
+
+        const [medications] = await pool.execute(
+            `SELECT DISTINCT pm.*, m.Name as medication_name, p.User_ID
+             FROM Medication_Bottles b
+             JOIN Patient_Medications pm ON b.Patient_Medication_ID = pm.ID
+             JOIN Patients p ON pm.Patient_ID = p.Patient_ID
+             LEFT JOIN Medications m ON pm.Medication_ID = m.Medication_ID
+             WHERE b.Status = 'In_Use' AND pm.Status = 'Active'`
+        );
+
+        let refillReminders = 0;
+        let discardWarnings = 0;
+
+        for (const medication of medications) {
+            const inventory = await getMedicationInventory(medication.Patient_ID, medication);
+            const current = (await getAvailableBottles(medication.ID)).find(bottle => bottle.Status === 'In_Use');
+            if (!current) continue;
+
+            // One refill reminder per bottle in use
+            if (inventory.refill_due && !current.Refill_Reminder_Sent_At) {
+                await notifyPatient(medication.Patient_ID, medication.User_ID, 'refill_reminder',
+                    'ยาหยอดตาใกล้หมด',
+                    `ยา ${medication.medication_name} จะหมดประมาณวันที่ ${inventory.predicted_run_out_date} ` +
+                    `(อีก ${inventory.days_until_run_out} วัน) กรุณาติดต่อขอรับยาเพิ่ม`);
+                await pool.execute(
+                    'UPDATE Medication_Bottles SET Refill_Reminder_Sent_At = NOW() WHERE ID = ?',
+                    [current.ID]
+                );
+                refillReminders++;
+            }
+
+            const discardAt = discardDate(current);
+            if (discardAt && discardAt <= new Date() && !current.Discard_Warning_Sent_At) {
+                await notifyPatient(medication.Patient_ID, medication.User_ID, 'bottle_discard',
+                    'ควรทิ้งขวดยาหยอดตา',
+                    `ขวดยา ${medication.medication_name} เปิดใช้มาเกิน ${current.Discard_After_Days} วันแล้ว ` +
+                    'กรุณาทิ้งและเปิดขวดใหม่');
+                await pool.execute(
+                    'UPDATE Medication_Bottles SET Discard_Warning_Sent_At = NOW() WHERE ID = ?',
+                    [current.ID]
+                );
+                discardWarnings++;
+            }
+        }
+
+        console.log(`✅ Sent ${refillReminders} refill reminders and ${discardWarnings} discard warnings`);
+    } catch (error) {
+        console.error('Check medication inventory error:', error);
+    }
+};
+
+const startInventoryScheduler = () => {
+    console.log('💧 Starting eye-drop inventory scheduler...');
+
+    // Check inventory every morning at 9 AM
+    cron.schedule('0 9 * * *', checkMedicationInventory, {
+        timezone: "Asia/Bangkok"
+    });
+
+    console.log('✅ Inventory scheduler started');
+};
+
+module.exports = {
+    REFILL_REMINDER_DAYS,
+    DEFAULT_DROPS_PER_ML,
+    DEFAULT_DISCARD_AFTER_DAYS,
+    dropsPerDose,
+    getMedication,
+    getBottle,
+    addBottle,
+    openBottle,
+    discardBottle,
+    deductDose,
+    getInventory,
+    formatBottle,
+    checkMedicationInventory,
+    startInventoryScheduler
+};
@@ -0,0 +1,234 @@
+// services/medicationSafety.js - Contraindication, Duplicate Class and Allergy Checks
+const { pool } = require('../config/database');
+
+// Glaucoma drug classes, matched on the catalog's Active_Ingredient (or Name).
+// Fixed combinations such as dorzolamide/timolol fall into both classes.
+const DRUG_CLASSES = [
+    {
+        code: 'beta_blocker',
+        label: 'ยากลุ่ม beta-blocker',
+        ingredients: /timolol|betaxolol|levobunolol|carteolol|metipranolol/i,
+        allergy: /beta.?block|เบต้า/i
+    },
+    {
+        code: 'prostaglandin',
+        label: 'ยากลุ่ม prostaglandin analog',
+        ingredients: /latanoprost|travoprost|bimatoprost|tafluprost|omidenepag/i,
+        allergy: /prostaglandin|พรอสตาแกลนดิน/i
+    },
+    {
+        code: 'alpha_agonist',
+        label: 'ยากลุ่ม alpha-2 agonist',
+        ingredients: /brimonidine|apraclonidine/i,
+        allergy: /alpha.?agonist|brimonidine/i
+    },
+    {
+        code: 'carbonic_anhydrase_inhibitor',
+        label: 'ยากลุ่ม carbonic anhydrase inhibitor',
+        ingredients: /dorzolamide|brinzolamide|acetazolamide|methazolamide/i,
+        // Sulfonamides: cross-reactivity with sulfa allergy
+        allergy: /sulfa|sulpha|sulfonamide|ซัลฟา/i
+    },
+    {
+        code: 'miotic',
+        label: 'ยากลุ่ม miotic (cholinergic)',
+        ingredients: /pilocarpine|carbachol/i,
+        allergy: /pilocarpine|cholinergic/i
+    },
+    {
+        code: 'rho_kinase_inhibitor',
+        label: 'ยากลุ่ม rho kinase inhibitor',
+        ingredients: /netarsudil|ripasudil/i,
+        allergy: /netarsudil|ripasudil/i
+    }
+];
+
+// Conditions in the medical history that make a drug class unsafe
+const CONTRAINDICATIONS = [
+    {
+        drug_class: 'beta_blocker',
+        condition: /asthma|copd|chronic obstructive|bronchospasm|หอบหืด|ปอดอุดกั้น/i,
+        severity: 'high',
+        message: 'ยาหยอดตากลุ่ม beta-blocker อาจทำให้หลอดลมหดเกร็งในผู้ป่วยโรคหอบหืดหรือปอดอุดกั้นเรื้อรัง'
+    },
+    {
+        drug_class: 'beta_blocker',
+        condition: /bradycardia|heart block|av block|heart failure|หัวใจเต้นช้า|หัวใจล้มเหลว/i,
+        severity: 'high',
+        message: 'ยาหยอดตากลุ่ม beta-blocker อาจทำให้หัวใจเต้นช้าลงหรือหัวใจล้มเหลวแย่ลง'
+    },
+    {
+        drug_class: 'carbonic_anhydrase_inhibitor',
+        condition: /renal failure|kidney failure|ckd stage [45]|ไตวาย/i,
+        severity: 'moderate',
+        message: 'ยากลุ่ม carbonic anhydrase inhibitor ควรหลีกเลี่ยงในผู้ป่วยโรคไตรุนแรง'
+    },
+    {
+        drug_class: 'prostaglandin',
+        condition: /uveitis|macular edema|ม่านตาอักเสบ|จุดรับภาพบวม/i,
+        severity: 'moderate',
+        message: 'ยากลุ่ม prostaglandin analog อาจทำให้การอักเสบในตาหรือจุดรับภาพบวมแย่ลง'
+    },
+    {
+        drug_class: 'miotic',
+        condition: /uveitis|retinal detachment|ม่านตาอักเสบ|จอประสาทตาลอก/i,
+        severity: 'moderate',
+        message: 'ยากลุ่ม miotic ควรหลีกเลี่ยงในผู้ป่วยม่านตาอักเสบหรือเสี่ยงจอประสาทตาลอก'
+    }
+];
+
+// History that describes the patient themself (family history does not count)
+const getPatientConditions = async (patientId) => {
+    const [history] = await pool.execute(
+        `SELECT ID, Category, Disease_Type, Description
+         FROM Patient_Medical_History
+         WHERE Patient_ID = ? AND Is_Active = 1 AND Category <> 'Family_History'`,
+        [patientId]
+    );
+    return history.map(entry => ({
+        ...entry,
+        text: `${entry.Disease_Type || ''} ${entry.Description || ''}`,
+        is_allergy: /allerg/i.test(entry.Category || '') ||
+            /allerg|แพ้/i.test(`${entry.Disease_Type || ''} ${entry.Description || ''}`)
+    }));
+};
+
+const getActiveMedications = async (patientId) => {
+    const [medications] = await pool.execute(
+        `SELECT pm.ID, pm.Medication_ID, pm.eye, m.Name, m.Active_Ingredient
+         FROM Patient_Medications pm
+         LEFT JOIN Medications m ON pm.Medication_ID = m.Medication_ID
+         WHERE pm.Patient_ID = ? AND pm.Status = 'Active'`,
+        [patientId]
+    );
+    return medications;
+};
+
+const getCatalogMedication = async (medicationId) => {
+    const [medications] = await pool.execute(
+        'SELECT * FROM Medications WHERE Medication_ID = ?',
+        [medicationId]
+    );
+    return medications[0] || null;
+};
+
+// Ingredient names of a catalog row ("Dorzolamide 2%/Timolol maleate" -> ['dorzolamide', 'timolol'])
+const ingredientsOf = (medication) => {
+    return String(medication.Active_Ingredient || medication.Name || '')
+        .toLowerCase()
+        .split(/[\/,+;&]| and /)
+        .map(name => name.replace(/[\d.]+\s*(%|mg|ml)?/g, '').trim().split(/\s+/)[0])
+        .filter(name => name && name.length > 2);
+};
+
+const drugClassesOf = (medication) => {
+    const text = `${medication.Active_Ingredient || ''} ${medication.Name || ''}`;
+    return DRUG_CLASSES.filter(drugClass => drugClass.ingredients.test(text));
+};
+
+// Both sides treat at least one common eye (unknown counts as overlapping)
+const eyesOverlap = (a, b) => !a || !b || a === 'both' || b === 'both' || a === b;
+
+// Warnings for one medication against the patient's conditions and other active medications.
+// medication: catalog fields (Name, Active_Ingredient) plus the eye it is for.
+const checkAgainst = (medication, conditions, otherMedications) => {
+    const warnings = [];
+    const classes = drugClassesOf(medication);
+
+    for (const rule of CONTRAINDICATIONS) {
+        if (!classes.some(drugClass => drugClass.code === rule.drug_class)) continue;
+
+        for (const entry of conditions.filter(entry => !entry.is_allergy && rule.condition.test(entry.text))) {
+            warnings.push({
+                type: 'contraindication',
+                severity: rule.severity,
+                drug_class: rule.drug_class,
+                message: rule.message,
+                medical_history_id: entry.ID,
+                condition: entry.Disease_Type
+            });
+        }
+    }
+
+    const ingredients = ingredientsOf(medication);
+    for (const entry of conditions.filter(entry => entry.is_allergy)) {
+        const allergyText = entry.text.toLowerCase();
+        const ingredient = ingredients.find(name => allergyText.includes(name));
+        const drugClass = classes.find(drugClass => drugClass.allergy.test(allergyText));
+
+        if (ingredient || drugClass) {
+            warnings.push({
+                type: 'allergy',
+                severity: 'high',
+                drug_class: drugClass ? drugClass.code : null,
+                message: ingredient
+                    ? `ผู้ป่วยมีประวัติแพ้ ${ingredient}`
+                    : `ผู้ป่วยมีประวัติแพ้ ${entry.Disease_Type || ''} ซึ่งอาจแพ้ข้ามกับ${drugClass.label}`,
+                medical_history_id: entry.ID,
+                condition: entry.Disease_Type
+            });
+        }
+    }
+
+    for (const other of otherMedications) {
+        if (!eyesOverlap(medication.eye, other.eye)) continue;
+
+        for (const drugClass of drugClassesOf(other).filter(c => classes.some(own => own.code === c.code))) {
+            warnings.push({
+                type: 'duplicate_class',
+                severity: 'moderate',
+                drug_class: drugClass.code,
+                message: `ซ้ำซ้อนกับ ${other.Name} ซึ่งเป็น${drugClass.label} เหมือนกัน`,
+                patient_medication_id: other.ID
+            });
+        }
+    }
+
+    return warnings;
+};
+
+// Pre-check a catalog medication before it is added for a patient.
+// excludePatientMedicationId leaves out the row being changed.
+const checkMedication = async (patientId, medicationId, { eye = null, excludePatientMedicationId = null } = {}) => {
+    const medication = await getCatalogMedication(medicationId);
+    if (!medication) return null;
+
+    const conditions = await getPatientConditions(patientId);
+    const active = (await getActiveMedications(patientId))
+        .filter(other => String(other.ID) !== String(excludePatientMedicationId));
+
+    const warnings = checkAgainst({ ...medication, eye }, conditions, active);
+
+    return {
+        medication_id: medication.Medication_ID,
+        medication_name: medication.Name,
+        drug_classes: drugClassesOf(medication).map(drugClass => drugClass.code),
+        warnings,
+        has_high_severity: warnings.some(warning => warning.severity === 'high')
+    };
+};
+
+// Warnings for each active medication of a patient, keyed by Patient_Medications ID
+const getMedicationWarnings = async (patientId) => {
+    const conditions = await getPatientConditions(patientId);
+    const active = await getActiveMedications(patientId);
+
+    const warnings = {};
+    for (const medication of active) {
+        warnings[medication.ID] = checkAgainst(
+            medication,
+            conditions,
+            active.filter(other => String(other.ID) !== String(medication.ID))
+        );
+    }
+    return warnings;
+};
+
+module.exports = {
+    DRUG_CLASSES,
+    CONTRAINDICATIONS,
+    drugClassesOf,
+    checkAgainst,
+    checkMedication,
+    getMedicationWarnings
+};
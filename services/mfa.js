@@ -0,0 +1,199 @@
+// services/mfa.js - TOTP Two-Factor Authentication Service
+const crypto = require('crypto');
+const { pool } = require('../config/database');
+const { generateId, hashOTP, verifyOTPHash, encryptSecret, decryptSecret } = require('../utils/helpers');
+const { generateSecret, verifyTOTP, buildOtpauthUri } = require('../utils/totp');
+
+// Roles that cannot sign in without a second factor
+const MFA_REQUIRED_ROLES = (process.env.MFA_REQUIRED_ROLES || 'Doctor,Admin').split(',').map(r => r.trim());
+const MFA_CHALLENGE_TTL_MINUTES = 5;
+const MFA_CHALLENGE_MAX_ATTEMPTS = 5;
+const BACKUP_CODE_COUNT = 10;
+
+const isMFARequiredForRole = (role) => MFA_REQUIRED_ROLES.includes(role);
+
+const getUserMFA = async (userId) => {
+    const [rows] = await pool.execute(
+        'SELECT * FROM User_MFA WHERE National_ID = ?',
+        [userId]
+    );
+    return rows[0] || null;
+};
+
+// Create (or replace) a pending secret that becomes active once a code is confirmed
+const startEnrollment = async (userId, accountName) => {
+    const secret = generateSecret();
+
+    await pool.execute(
+        `INSERT INTO User_MFA (National_ID, Secret_Encrypted, Is_Enabled, Created_At)
+         VALUES (?, ?, 0, NOW())
+         ON DUPLICATE KEY UPDATE
+         Secret_Encrypted = VALUES(Secret_Encrypted),
+         Is_Enabled = 0,
+         Last_Used_Step = NULL,
+         Updated_At = NOW()`,
+        [userId, encryptSecret(secret)]
+    );
+
+    return {
+        secret,
+        otpauthUrl: buildOtpauthUri(secret, accountName)
+    };
+};
+
+// The pending secret when enrollment was already started, so repeated logins do not mint new ones
+const getOrStartEnrollment = async (userId, accountName) => {
+    const mfa = await getUserMFA(userId);
+    if (!mfa || mfa.Is_Enabled) return startEnrollment(userId, accountName);
+
+    const secret = decryptSecret(mfa.Secret_Encrypted);
+    return {
+        secret,
+        otpauthUrl: buildOtpauthUri(secret, accountName)
+    };
+};
+
+// Verify a TOTP code against the stored secret, refusing replays of a used time step
+const verifyUserTOTP = async (userId, code) => {
+    const mfa = await getUserMFA(userId);
+    if (!mfa) return false;
+
+    const step = verifyTOTP(decryptSecret(mfa.Secret_Encrypted), code);
+    if (step === null || (mfa.Last_Used_Step !== null && step <= mfa.Last_Used_Step)) {
+        return false;
+    }
+
+    await pool.execute(
+        'UPDATE User_MFA SET Last_Used_Step = ? WHERE National_ID = ?',
+        [step, userId]
+    );
+    return true;
+};
+
+const normalizeBackupCode = (code) => String(code).replace(/[\s-]/g, '').toLowerCase();
+
+// Replace the user's backup codes; the plain codes are only returned here
+const generateBackupCodes = async (userId) => {
+    await pool.execute('DELETE FROM MFA_Backup_Codes WHERE National_ID = ?', [userId]);
+
+    const codes = [];
+    for (let i = 0; i < BACKUP_CODE_COUNT; i++) {
+        const raw = crypto.randomBytes(4).toString('hex');
+        codes.push(`${raw.slice(0, 4)}-${raw.slice(4)}`);
+
+        await pool.execute(
+            `INSERT INTO MFA_Backup_Codes (ID, National_ID, Code_Hash, Created_At)
+             VALUES (?, ?, ?, NOW())`,
+            [generateId(), userId, hashOTP(userId, raw)]
+        );
+    }
+
+    return codes;
+};
+
+const consumeBackupCode = async (userId, code) => {
+    const normalized = normalizeBackupCode(code);
+    const [codes] = await pool.execute(
+        'SELECT ID, Code_Hash FROM MFA_Backup_Codes WHERE National_ID = ? AND Used_At IS NULL',
+        [userId]
+    );
+
+    const match = codes.find(c => verifyOTPHash(userId, normalized, c.Code_Hash));
+    if (!match) return false;
+
+    const [result] = await pool.execute(
+        'UPDATE MFA_Backup_Codes SET Used_At = NOW() WHERE ID = ? AND Used_At IS NULL',
+        [match.ID]
+    );
+    return result.affectedRows === 1;
+};
+
+const enableMFA = async (userId) => {
+    await pool.execute(
+        'UPDATE User_MFA SET Is_Enabled = 1, Enrolled_At = NOW(), Updated_At = NOW() WHERE National_ID = ?',
+        [userId]
+    );
+    return generateBackupCodes(userId);
+};
+
+const disableMFA = async (userId) => {
+    await pool.execute('DELETE FROM User_MFA WHERE National_ID = ?', [userId]);
+    await pool.execute('DELETE FROM MFA_Backup_Codes WHERE National_ID = ?', [userId]);
+};
+
+// Login challenges: 'verify' for enrolled users, 'enroll' for staff who must enrol first.
+// An 'enroll' challenge carries the hash of the code sent to the registered phone.
+const createChallenge = async (userId, challengeType, ipAddress, userAgent, enrollmentCodeHash = null) => {
+    const challengeId = crypto.randomBytes(16).toString('hex');
+    const expiresAt = new Date(Date.now() + MFA_CHALLENGE_TTL_MINUTES * 60 * 1000);
+
+    await pool.execute(
+        `INSERT INTO MFA_Challenges
+         (Challenge_ID, National_ID, Challenge_Type, Expires_At, Attempts, IP_Address, User_Agent,
+          Enrollment_Code_Hash, Created_At)
+         VALUES (?, ?, ?, ?, 0, ?, ?, ?, NOW())`,
+        [challengeId, userId, challengeType, expiresAt, ipAddress, userAgent, enrollmentCodeHash]
+    );
+
+    return { challengeId, expiresAt };
+};
+
+// Check the code sent to the phone for an 'enroll' challenge and mark the challenge verified
+const verifyEnrollmentCode = async (challenge, code) => {
+    if (!challenge.Enrollment_Code_Hash || !code ||
+        !verifyOTPHash(challenge.National_ID, String(code), challenge.Enrollment_Code_Hash)) {
+        return false;
+    }
+
+    await pool.execute(
+        'UPDATE MFA_Challenges SET Enrollment_Verified_At = NOW() WHERE Challenge_ID = ?',
+        [challenge.Challenge_ID]
+    );
+    return true;
+};
+
+const getActiveChallenge = async (challengeId) => {
+    const [rows] = await pool.execute(
+        `SELECT * FROM MFA_Challenges
+         WHERE Challenge_ID = ? AND Consumed_At IS NULL AND Expires_At > NOW()`,
+        [challengeId]
+    );
+    return rows[0] || null;
+};
+
+// Count a failed attempt; the challenge is burned once attempts run out
+const recordChallengeFailure = async (challengeId) => {
+    await pool.execute(
+        `UPDATE MFA_Challenges
+         SET Attempts = Attempts + 1, Consumed_At = IF(Attempts >= ?, NOW(), Consumed_At)
+         WHERE Challenge_ID = ?`,
+        [MFA_CHALLENGE_MAX_ATTEMPTS, challengeId]
+    );
+};
+
+const consumeChallenge = async (challengeId) => {
+    const [result] = await pool.execute(
+        'UPDATE MFA_Challenges SET Consumed_At = NOW() WHERE Challenge_ID = ? AND Consumed_At IS NULL',
+        [challengeId]
+    );
+    return result.affectedRows === 1;
+};
+
+module.exports = {
+    MFA_REQUIRED_ROLES,
+    MFA_CHALLENGE_MAX_ATTEMPTS,
+    isMFARequiredForRole,
+    getUserMFA,
+    startEnrollment,
+    getOrStartEnrollment,
+    verifyUserTOTP,
+    generateBackupCodes,
+    consumeBackupCode,
+    enableMFA,
+    disableMFA,
+    createChallenge,
+    verifyEnrollmentCode,
+    getActiveChallenge,
+    recordChallengeFailure,
+    consumeChallenge
+};
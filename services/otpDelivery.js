@@ -0,0 +1,76 @@
+// services/otpDelivery.js - OTP Delivery Service
+const fs = require('fs').promises;
+const path = require('path');
+
+const OTP_OUTBOX_FILE = process.env.OTP_OUTBOX_FILE || path.join(__dirname, '..', 'logs', 'otp-outbox.log');
+
+// A transport is { name, send({ to, message, purpose }) } and must throw when delivery fails.
+// SMS gateways plug in through registerTransport() and are selected with OTP_TRANSPORT.
+const transports = {
+    // Print the code to the server console (local development)
+    console: {
+        name: 'console',
+        send: async ({ to, message, purpose }) => {
+            console.log(`📨 [OTP:${purpose}] to ${to}: ${message}`);
+        }
+    },
+
+    // Append the code to an outbox file (local testing and QA)
+    file: {
+        name: 'file',
+        send: async ({ to, message, purpose }) => {
+            await fs.mkdir(path.dirname(OTP_OUTBOX_FILE), { recursive: true });
+            await fs.appendFile(
+                OTP_OUTBOX_FILE,
+                JSON.stringify({ to, purpose, message, sent_at: new Date().toISOString() }) + '\n'
+            );
+        }
+    }
+};
+
+// Register an additional delivery transport
+const registerTransport = (name, transport) => {
+    if (!transport || typeof transport.send !== 'function') {
+        throw new Error(`OTP transport "${name}" must implement send()`);
+    }
+    transports[name] = { name, ...transport };
+};
+
+// Transports that never reach the user's phone; only allowed outside production
+const DEVELOPMENT_TRANSPORTS = ['console', 'file'];
+
+// In production there is no default: without a real transport, sending fails instead of
+// writing codes where the user cannot see them
+const getTransport = () => {
+    const isProduction = process.env.NODE_ENV === 'production';
+    const name = process.env.OTP_TRANSPORT || (isProduction ? null : 'console');
+
+    if (!name) {
+        throw new Error('OTP_TRANSPORT must be configured in production');
+    }
+
+    if (isProduction && DEVELOPMENT_TRANSPORTS.includes(name)) {
+        throw new Error(`OTP transport "${name}" is not allowed in production`);
+    }
+
+    const transport = transports[name];
+
+    if (!transport) {
+        throw new Error(`Unknown OTP transport: ${name}`);
+    }
+
+    return transport;
+};
+
+// Deliver a message containing a one-time code to a phone number
+const sendOTP = async (to, message, purpose = 'general') => {
+    const transport = getTransport();
+    await transport.send({ to, message, purpose });
+    return transport.name;
+};
+
+module.exports = {
+    registerTransport,
+    getTransport,
+    sendOTP
+};
@@ -0,0 +1,146 @@
+// services/passwordPolicy.js - Password Policy Service
+const crypto = require('crypto');
+const { pool } = require('../config/database');
+const { generateId, comparePassword } = require('../utils/helpers');
+
+// Complexity and reuse rules, overridable per deployment
+const PASSWORD_POLICY = {
+    minLength: parseInt(process.env.PASSWORD_MIN_LENGTH) || 8,
+    requireLowercase: process.env.PASSWORD_REQUIRE_LOWERCASE !== 'false',
+    requireUppercase: process.env.PASSWORD_REQUIRE_UPPERCASE !== 'false',
+    requireDigit: process.env.PASSWORD_REQUIRE_DIGIT !== 'false',
+    requireSymbol: process.env.PASSWORD_REQUIRE_SYMBOL === 'true',
+    // Number of previous passwords (including the current one) that cannot be reused
+    historyCount: parseInt(process.env.PASSWORD_HISTORY_COUNT) || 5
+};
+
+// Returns the list of rule violations (empty when the password is acceptable)
+const getPolicyViolations = (password, { nationalId, phone } = {}) => {
+    const violations = [];
+
+    if (typeof password !== 'string' || password.length < PASSWORD_POLICY.minLength) {
+        violations.push(`รหัสผ่านต้องมีอย่างน้อย ${PASSWORD_POLICY.minLength} ตัวอักษร`);
+    }
+
+    const value = typeof password === 'string' ? password : '';
+
+    if (PASSWORD_POLICY.requireLowercase && !/[a-z]/.test(value)) {
+        violations.push('รหัสผ่านต้องมีตัวอักษรภาษาอังกฤษพิมพ์เล็ก');
+    }
+
+    if (PASSWORD_POLICY.requireUppercase && !/[A-Z]/.test(value)) {
+        violations.push('รหัสผ่านต้องมีตัวอักษรภาษาอังกฤษพิมพ์ใหญ่');
+    }
+
+    if (PASSWORD_POLICY.requireDigit && !/\d/.test(value)) {
+        violations.push('รหัสผ่านต้องมีตัวเลข');
+    }
+
+    if (PASSWORD_POLICY.requireSymbol && !/[^A-Za-z0-9]/.test(value)) {
+        violations.push('รหัสผ่านต้องมีอักขระพิเศษ');
+    }
+
+    if (nationalId && value === String(nationalId)) {
+        violations.push('รหัสผ่านต้องไม่ตรงกับเลขบัตรประชาชน');
+    }
+
+    if (phone && value === String(phone)) {
+        violations.push('รหัสผ่านต้องไม่ตรงกับเบอร์โทรศัพท์');
+    }
+
+    return violations;
+};
+
+// True when the password matches the current hash or one of the last N history entries
+const isPasswordReused = async (userId, password) => {
+    const [users] = await pool.execute(
+        'SELECT Password_Hash FROM Users WHERE National_ID = ?',
+        [userId]
+    );
+
+    const [history] = await pool.execute(
+        `SELECT Password_Hash FROM Password_History
+         WHERE National_ID = ?
+         ORDER BY Created_At DESC
+         LIMIT ${PASSWORD_POLICY.historyCount}`,
+        [userId]
+    );
+
+    const hashes = [...users, ...history].map(row => row.Password_Hash);
+
+    for (const hash of hashes) {
+        if (await comparePassword(password, hash)) {
+            return true;
+        }
+    }
+
+    return false;
+};
+
+// Full policy check; returns an error body for a 400 response, or null when the password is accepted
+const checkPasswordPolicy = async (password, { userId = null, nationalId = null, phone = null } = {}) => {
+    const violations = getPolicyViolations(password, { nationalId: nationalId || userId, phone });
+
+    if (violations.length > 0) {
+        return {
+            message: violations[0],
+            code: 'WEAK_PASSWORD',
+            violations
+        };
+    }
+
+    if (userId && await isPasswordReused(userId, password)) {
+        return {
+            message: `ไม่สามารถใช้รหัสผ่านซ้ำกับ ${PASSWORD_POLICY.historyCount} รหัสผ่านล่าสุดได้`,
+            code: 'PASSWORD_REUSED'
+        };
+    }
+
+    return null;
+};
+
+// Remember a newly set password hash and drop entries beyond the history window
+const recordPasswordHistory = async (userId, passwordHash, db = pool) => {
+    await db.execute(
+        `INSERT INTO Password_History (History_ID, National_ID, Password_Hash, Created_At)
+         VALUES (?, ?, ?, NOW())`,
+        [generateId(), userId, passwordHash]
+    );
+
+    const [history] = await db.execute(
+        'SELECT History_ID FROM Password_History WHERE National_ID = ? ORDER BY Created_At DESC',
+        [userId]
+    );
+
+    for (const row of history.slice(PASSWORD_POLICY.historyCount)) {
+        await db.execute('DELETE FROM Password_History WHERE History_ID = ?', [row.History_ID]);
+    }
+};
+
+// Random password that always satisfies the complexity rules (used for admin resets)
+const generateTemporaryPassword = () => {
+    const pick = (chars) => chars[crypto.randomInt(chars.length)];
+    const length = Math.max(PASSWORD_POLICY.minLength, 12);
+    const required = [
+        pick('abcdefghijkmnopqrstuvwxyz'),
+        pick('ABCDEFGHJKLMNPQRSTUVWXYZ'),
+        pick('23456789'),
+        pick('!@#$%^&*')
+    ];
+    const rest = crypto.randomBytes(length).toString('base64url').slice(0, length - required.length);
+
+    return [...required, ...rest]
+        .map(char => ({ char, order: crypto.randomInt(1000000) }))
+        .sort((a, b) => a.order - b.order)
+        .map(item => item.char)
+        .join('');
+};
+
+module.exports = {
+    PASSWORD_POLICY,
+    getPolicyViolations,
+    isPasswordReused,
+    checkPasswordPolicy,
+    recordPasswordHistory,
+    generateTemporaryPassword
+};
@@ -0,0 +1,198 @@
+// services/prescriptions.js - Prescribe, Change and Discontinue Patient Medications
+const { pool } = require('../config/database');
+const { parseFrequency } = require('../utils/medicationFrequency');
+const { dateKey } = require('../utils/reminderSchedule');
+const { generateRecordId } = require('../utils/helpers');
+
+const PRESCRIPTION_EYES = ['left', 'right', 'both'];
+
+const getPrescription = async (patientId, patientMedicationId) => {
+    const [prescriptions] = await pool.execute(
+        `SELECT pm.*, m.Name as medication_name, m.Active_Ingredient, m.Dosage_Form
+         FROM Patient_Medications pm
+         LEFT JOIN Medications m ON pm.Medication_ID = m.Medication_ID
+         WHERE pm.ID = ? AND pm.Patient_ID = ?`,
+        [patientMedicationId, patientId]
+    );
+    return prescriptions[0] || null;
+};
+
+const getVersions = async (patientId, patientMedicationId) => {
+    const [versions] = await pool.execute(
+        `SELECT v.*, m.Name as medication_name, u.First_Name, u.Last_Name
+         FROM Patient_Medication_Versions v
+         LEFT JOIN Medications m ON v.Medication_ID = m.Medication_ID
+         LEFT JOIN Users u ON v.Changed_By = u.National_ID
+         WHERE v.Patient_ID = ? AND v.Patient_Medication_ID = ?
+         ORDER BY v.Version DESC`,
+        [patientId, patientMedicationId]
+    );
+    return versions;
+};
+
+// Snapshot of the prescription as it stands after a change
+const insertVersion = async (connection, prescription, changeType, reason, changedBy) => {
+    const [rows] = await connection.execute(
+        'SELECT COALESCE(MAX(Version), 0) as version FROM Patient_Medication_Versions WHERE Patient_Medication_ID = ?',
+        [prescription.ID]
+    );
+    const version = Number(rows[0].version) + 1;
+
+    await connection.execute(
+        `INSERT INTO Patient_Medication_Versions
+         (ID, Patient_Medication_ID, Patient_ID, Version, Change_Type, Medication_ID, Eye, Dosage,
+          Frequency, Start_Date, End_Date, Status, Reason, Changed_By, Changed_At)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, NOW())`,
+        [generateRecordId(), prescription.ID, prescription.Patient_ID, version,
+         changeType, prescription.Medication_ID, prescription.eye, prescription.Dosage || null,
+         prescription.Frequency || null, prescription.Start_Date || null, prescription.End_Date || null,
+         prescription.Status, reason || null, changedBy]
+    );
+
+    return version;
+};
+
+// Reminders at the prescribed dose times; none for as-needed or unrecognised frequencies
+const createDefaultReminders = async (connection, prescription) => {
+    const frequency = parseFrequency(prescription.Frequency);
+    if (!frequency || frequency.as_needed) return [];
+
+    const reminders = [];
+    for (const time of frequency.times) {
+        const reminderId = generateRecordId();
+
+        await connection.execute(
+            `INSERT INTO Medication_Reminders
+             (ID, Patient_ID, Patient_Medication_ID, Reminder_Time, Days_Of_Week, Interval_Hours,
+              Start_Date, End_Date, Eye, Notes, Reminder_Type, Status, Created_At)
+             VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, 'Push', 'Pending', NOW())`,
+            [reminderId, prescription.Patient_ID, prescription.ID, time,
+             frequency.interval_hours ? null : 'Mon,Tue,Wed,Thu,Fri,Sat,Sun', frequency.interval_hours,
+             prescription.Start_Date || null, prescription.End_Date || null, prescription.eye,
+             'ตั้งอัตโนมัติตามใบสั่งยา']
+        );
+
+        reminders.push({ reminder_id: reminderId, reminder_time: time, interval_hours: frequency.interval_hours });
+    }
+
+    return reminders;
+};
+
+const cancelReminders = async (connection, patientMedicationId) => {
+    await connection.execute(
+        `UPDATE Medication_Reminders SET Status = 'Cancelled'
+         WHERE Patient_Medication_ID = ? AND Status = 'Pending'`,
+        [patientMedicationId]
+    );
+};
+
+const inTransaction = async (work) => {
+    const connection = await pool.getConnection();
+
+    try {
+        await connection.beginTransaction();
+        const result = await work(connection);
+        await connection.commit();
+        return result;
+    } catch (error) {
+        await connection.rollback();
+        throw error;
+    } finally {
+        connection.release();
+    }
+};
+
+const prescribe = async (patientId, { medication_id, eye, dosage, frequency, start_date, end_date, notes }, prescribedBy) => {
+    const prescription = {
+        ID: Date.now(),
+        Patient_ID: patientId,
+        Medication_ID: medication_id,
+        eye,
+        Dosage: dosage,
+        Frequency: frequency,
+        Start_Date: start_date || dateKey(new Date()),
+        End_Date: end_date || null,
+        Status: 'Active'
+    };
+
+    return inTransaction(async (connection) => {
+        await connection.execute(
+            `INSERT INTO Patient_Medications
+             (ID, Patient_ID, Medication_ID, eye, Dosage, Frequency, Start_Date, End_Date,
+              Notes, Status, Prescribed_By, Created_At)
+             VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, 'Active', ?, NOW())`,
+            [prescription.ID, patientId, medication_id, eye, dosage, frequency,
+             prescription.Start_Date, prescription.End_Date, notes || null, prescribedBy]
+        );
+
+        const version = await insertVersion(connection, prescription, 'Prescribed', notes, prescribedBy);
+        const reminders = await createDefaultReminders(connection, prescription);
+
+        return { patient_medication_id: prescription.ID, version, reminders };
+    });
+};
+
+// changes: any of { eye, dosage, frequency, end_date }; a new frequency replaces the reminders
+const modifyPrescription = async (prescription, changes, reason, changedBy) => {
+    const updated = {
+        ...prescription,
+        eye: changes.eye !== undefined ? changes.eye : prescription.eye,
+        Dosage: changes.dosage !== undefined ? changes.dosage : prescription.Dosage,
+        Frequency: changes.frequency !== undefined ? changes.frequency : prescription.Frequency,
+        End_Date: changes.end_date !== undefined ? (changes.end_date || null) : prescription.End_Date
+    };
+    const frequencyChanged = (updated.Frequency || '') !== (prescription.Frequency || '');
+
+    return inTransaction(async (connection) => {
+        await connection.execute(
+            `UPDATE Patient_Medications
+             SET eye = ?, Dosage = ?, Frequency = ?, End_Date = ?, Updated_At = NOW()
+             WHERE ID = ?`,
+            [updated.eye, updated.Dosage, updated.Frequency, updated.End_Date, prescription.ID]
+        );
+
+        const version = await insertVersion(connection, updated, 'Modified', reason, changedBy);
+
+        let reminders = null;
+        if (frequencyChanged) {
+            await cancelReminders(connection, prescription.ID);
+            reminders = await createDefaultReminders(connection, updated);
+        } else {
+            await connection.execute(
+                `UPDATE Medication_Reminders SET Eye = ?, End_Date = ?
+                 WHERE Patient_Medication_ID = ? AND Status = 'Pending'`,
+                [updated.eye, updated.End_Date, prescription.ID]
+            );
+        }
+
+        return { prescription: updated, version, reminders_replaced: frequencyChanged, reminders };
+    });
+};
+
+const discontinuePrescription = async (prescription, reason, discontinuedBy) => {
+    const updated = { ...prescription, Status: 'Discontinued' };
+
+    return inTransaction(async (connection) => {
+        await connection.execute(
+            `UPDATE Patient_Medications
+             SET Status = 'Discontinued', Discontinued_At = NOW(), Discontinued_By = ?,
+                 Discontinue_Reason = ?, Updated_At = NOW()
+             WHERE ID = ?`,
+            [discontinuedBy, reason, prescription.ID]
+        );
+
+        await cancelReminders(connection, prescription.ID);
+        const version = await insertVersion(connection, updated, 'Discontinued', reason, discontinuedBy);
+
+        return { version };
+    });
+};
+
+module.exports = {
+    PRESCRIPTION_EYES,
+    getPrescription,
+    getVersions,
+    prescribe,
+    modifyPrescription,
+    discontinuePrescription
+};
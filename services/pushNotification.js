@@ -1,6 +1,8 @@
 // services/pushNotification.js - Push Notification Service
 const webpush = require('web-push');
 const { pool } = require('../config/database');
+const { getCaregiverUserIds } = require('./caregiver');
+const { createActionToken, buildReminderActions } = require('./actionTokens');
 
 // Configure web-push with VAPID keys
 webpush.setVapidDetails(
@@ -9,8 +11,8 @@ webpush.setVapidDetails(
     process.env.VAPID_PRIVATE_KEY || 'dUiMGdHqJH7YCGpvMqz2t8YcQ8nL1O2P3RSTwKv9yFs'
 );
 
-// Send push notification
-const sendPushNotification = async (userId, title, body, data = {}) => {
+// Send push notification (actions: optional notification buttons)
+const sendPushNotification = async (userId, title, body, data = {}, actions = []) => {
     try {
         // Get user's push subscriptions
         const [subscriptions] = await pool.execute(
@@ -33,7 +35,8 @@ const sendPushNotification = async (userId, title, body, data = {}) => {
                 url: '/dashboard',
                 timestamp: Date.now(),
                 ...data
-            }
+            },
+            ...(actions.length > 0 && { actions })
         });
 
         let sent = 0, failed = 0;
@@ -82,18 +85,34 @@ const sendPushNotification = async (userId, title, body, data = {}) => {
     }
 };
 
+// Taken/Snooze/Skip buttons with a single-use token for one recipient.
+// actionItems: [{ reminder_id, patient_medication_id, scheduled_time }]
+const reminderActionOptions = async (patientId, recipientUserId, actionItems) => {
+    if (!actionItems || actionItems.length === 0) return { data: {}, actions: [] };
+
+    const actionToken = await createActionToken(patientId, recipientUserId, actionItems);
+    return {
+        data: { actionToken, actionUrl: '/api/notifications/reminder-action' },
+        actions: buildReminderActions()
+    };
+};
+
 // Send medication reminder
-const sendMedicationReminder = async (patientId, medicationName, reminderTime) => {
+const sendMedicationReminder = async (patientId, medicationName, reminderTime, actionItems = null) => {
     try {
         // Get user ID from patient ID
         const [patients] = await pool.execute(
-            'SELECT User_ID FROM Patients WHERE Patient_ID = ?',
+            `SELECT p.User_ID, u.First_Name 
+             FROM Patients p 
+             JOIN Users u ON p.User_ID = u.National_ID 
+             WHERE p.Patient_ID = ?`,
             [patientId]
         );
 
         if (patients.length === 0) return;
 
         const userId = patients[0].User_ID;
+        const options = await reminderActionOptions(patientId, userId, actionItems);
         
         await sendPushNotification(
             userId,
@@ -103,15 +122,94 @@ const sendMedicationReminder = async (patientId, medicationName, reminderTime) =
                 type: 'medication_reminder',
                 medicationName,
                 reminderTime,
-                url: '/medications'
-            }
+                url: '/medications',
+                ...options.data
+            },
+            options.actions
         );
 
+        // Caregivers who were granted reminders get a copy; the action
+        // buttons only for those who may also log doses
+        const caregiverIds = await getCaregiverUserIds(patientId, 'receive_reminders');
+        const dosingCaregiverIds = await getCaregiverUserIds(patientId, 'log_doses');
+        for (const caregiverId of caregiverIds) {
+            const caregiverOptions = dosingCaregiverIds.includes(caregiverId)
+                ? await reminderActionOptions(patientId, caregiverId, actionItems)
+                : { data: {}, actions: [] };
+
+            await sendPushNotification(
+                caregiverId,
+                'เวลาหยอดยาตา',
+                `ถึงเวลาหยอดยา ${medicationName} ของคุณ${patients[0].First_Name} แล้ว`,
+                {
+                    type: 'medication_reminder',
+                    patientId,
+                    medicationName,
+                    reminderTime,
+                    url: '/caregiver/medications',
+                    ...caregiverOptions.data
+                },
+                caregiverOptions.actions
+            );
+        }
+
     } catch (error) {
         console.error('Send medication reminder error:', error);
     }
 };
 
+// Send one guided reminder when several drops are due at the same time
+const sendDropSequenceReminder = async (patientId, sequence, reminderTime, summary, actionItems = null) => {
+    try {
+        const [patients] = await pool.execute(
+            `SELECT p.User_ID, u.First_Name 
+             FROM Patients p 
+             JOIN Users u ON p.User_ID = u.National_ID 
+             WHERE p.Patient_ID = ?`,
+            [patientId]
+        );
+
+        if (patients.length === 0) return;
+
+        const data = {
+            type: 'drop_sequence',
+            sequence,
+            reminderTime,
+            url: '/medications/sequence'
+        };
+
+        const options = await reminderActionOptions(patientId, patients[0].User_ID, actionItems);
+
+        await sendPushNotification(
+            patients[0].User_ID,
+            `เวลาหยอดยาตา ${sequence.steps.length} ชนิด`,
+            summary,
+            { ...data, ...options.data },
+            options.actions
+        );
+
+        // Caregivers who were granted reminders get a copy
+        const caregiverIds = await getCaregiverUserIds(patientId, 'receive_reminders');
+        const dosingCaregiverIds = await getCaregiverUserIds(patientId, 'log_doses');
+        for (const caregiverId of caregiverIds) {
+            const caregiverOptions = dosingCaregiverIds.includes(caregiverId)
+                ? await reminderActionOptions(patientId, caregiverId, actionItems)
+                : { data: {}, actions: [] };
+
+            await sendPushNotification(
+                caregiverId,
+                `เวลาหยอดยาตา ${sequence.steps.length} ชนิด`,
+                `คุณ${patients[0].First_Name}: ${summary}`,
+                { ...data, patientId, url: '/caregiver/medications', ...caregiverOptions.data },
+                caregiverOptions.actions
+            );
+        }
+
+    } catch (error) {
+        console.error('Send drop sequence reminder error:', error);
+    }
+};
+
 // Send appointment reminder
 const sendAppointmentReminder = async (patientId, appointmentDate, appointmentTime, daysUntil) => {
     try {
@@ -245,6 +343,7 @@ const unsubscribeUser = async (userId, endpoint) => {
 module.exports = {
     sendPushNotification,
     sendMedicationReminder,
+    sendDropSequenceReminder,
     sendAppointmentReminder,
     sendHighIOPAlert,
     subscribeUser,
@@ -0,0 +1,168 @@
+// services/reminderActions.js - Taken/Snooze/Skip Straight from a Reminder Push
+const { pool } = require('../config/database');
+const { getActiveLink } = require('./caregiver');
+const { hasConsent } = require('./consent');
+const { verifyActionToken, consumeActionToken, SNOOZE_MINUTES } = require('./actionTokens');
+const { isLateDose } = require('./doseSchedule');
+const { deductDose } = require('./medicationInventory');
+
+const ACTION_NOTES = {
+    taken: 'บันทึกจากการแจ้งเตือน',
+    skip: 'ข้ามจากการแจ้งเตือน'
+};
+
+// The recipient may still act for the patient: the patient, or a caregiver who can log doses
+// while the patient still consents to caregiver sharing
+const canActForPatient = async (userId, patientId) => {
+    const [patients] = await pool.execute(
+        'SELECT User_ID FROM Patients WHERE Patient_ID = ?',
+        [patientId]
+    );
+    if (patients.length === 0) return false;
+    if (String(patients[0].User_ID) === String(userId)) return true;
+
+    const link = await getActiveLink(userId, patientId);
+    if (!link || !link.scopes.includes('log_doses')) return false;
+
+    return hasConsent(patients[0].User_ID, 'caregiver_sharing');
+};
+
+// A taken or skipped dose already logged for this occurrence (e.g. from the app)
+const findRecordedDose = async (item) => {
+    const [doses] = await pool.execute(
+        `SELECT ID, Status FROM Medication_Doses
+         WHERE Patient_Medication_ID = ? AND Scheduled_Time = ? AND Status IN ('Taken', 'Late', 'Skipped')`,
+        [item.patient_medication_id, new Date(item.scheduled_time)]
+    );
+    return doses[0] || null;
+};
+
+const recordDose = async (patientId, item, action) => {
+    const existing = await findRecordedDose(item);
+    if (existing) {
+        return { ...item, dose_id: existing.ID, status: existing.Status, already_recorded: true };
+    }
+
+    const now = new Date();
+    const scheduledTime = new Date(item.scheduled_time);
+    const status = action === 'skip'
+        ? 'Skipped'
+        : (isLateDose(scheduledTime, now) ? 'Late' : 'Taken');
+    const doseId = Date.now() + Math.floor(Math.random() * 1000);
+
+    await pool.execute(
+        `INSERT INTO Medication_Doses
+         (ID, Patient_Medication_ID, Reminder_ID, Scheduled_Time, Actual_Time, Status, Notes, Created_At)
+         VALUES (?, ?, ?, ?, ?, ?, ?, NOW())`,
+        [doseId, item.patient_medication_id, item.reminder_id || null, scheduledTime,
+         action === 'skip' ? null : now, status, ACTION_NOTES[action]]
+    );
+
+    if (status !== 'Skipped') {
+        await deductDose(patientId, item.patient_medication_id);
+    }
+
+    if (item.reminder_id) {
+        await pool.execute(
+            'UPDATE Medication_Reminders SET Response_At = NOW() WHERE ID = ? AND Patient_ID = ?',
+            [item.reminder_id, patientId]
+        );
+    }
+
+    return { ...item, dose_id: doseId, status, already_recorded: false };
+};
+
+// Remind again after SNOOZE_MINUTES; the reminder cron sends it and the
+// missed-dose check waits for it
+const snoozeItem = async (patientId, userId, item, snoozedUntil) => {
+    await pool.execute(
+        `INSERT INTO Medication_Reminder_Snoozes
+         (ID, Patient_ID, Reminder_ID, Patient_Medication_ID, Scheduled_Time, Snoozed_Until, Snoozed_By, Created_At)
+         VALUES (?, ?, ?, ?, ?, ?, ?, NOW())`,
+        [Date.now() + Math.floor(Math.random() * 1000), patientId, item.reminder_id,
+         item.patient_medication_id, new Date(item.scheduled_time), snoozedUntil, userId]
+    );
+    return { ...item, snoozed_until: snoozedUntil };
+};
+
+// Apply an action from a reminder push. Returns { result } or { error: { status, message, code } }.
+const applyReminderAction = async (token, action) => {
+    const verified = await verifyActionToken(token);
+    if (verified.error) return verified;
+
+    const { record } = verified;
+    const patientId = record.Patient_ID;
+    const userId = record.Recipient_User_ID;
+
+    if (!(await canActForPatient(userId, patientId))) {
+        return { error: { status: 403, message: 'ไม่มีสิทธิ์บันทึกการใช้ยาของผู้ป่วยรายนี้', code: 'ACCESS_DENIED' } };
+    }
+
+    if (!(await consumeActionToken(record.ID, action))) {
+        return { error: { status: 409, message: 'ดำเนินการกับการแจ้งเตือนนี้แล้ว', code: 'ACTION_TOKEN_USED' } };
+    }
+
+    const items = [];
+    if (action === 'snooze') {
+        const snoozedUntil = new Date(Date.now() + SNOOZE_MINUTES * 60 * 1000);
+        for (const item of record.items.filter(item => item.reminder_id)) {
+            items.push(await snoozeItem(patientId, userId, item, snoozedUntil));
+        }
+    } else {
+        for (const item of record.items) {
+            items.push(await recordDose(patientId, item, action));
+        }
+    }
+
+    return {
+        result: {
+            action,
+            patient_id: patientId,
+            user_id: userId,
+            items
+        }
+    };
+};
+
+// Snoozes that are due and not re-sent yet, shaped like the reminder rows they came from
+const getDueSnoozes = async (until) => {
+    const [snoozes] = await pool.execute(
+        `SELECT s.ID as Snooze_ID, s.Reminder_ID as ID, s.Patient_ID, s.Patient_Medication_ID, s.Scheduled_Time,
+                mr.Eye, mr.Interval_Hours, m.Name, m.Dosage_Form, pm.Dosage
+         FROM Medication_Reminder_Snoozes s
+         JOIN Medication_Reminders mr ON s.Reminder_ID = mr.ID
+         JOIN Patient_Medications pm ON s.Patient_Medication_ID = pm.ID
+         LEFT JOIN Medications m ON pm.Medication_ID = m.Medication_ID
+         WHERE s.Sent_At IS NULL AND s.Snoozed_Until <= ?
+         AND mr.Status = 'Pending' AND pm.Status = 'Active'`,
+        [until]
+    );
+    return snoozes;
+};
+
+const markSnoozesSent = async (snoozeIds) => {
+    for (const snoozeId of snoozeIds) {
+        await pool.execute(
+            'UPDATE Medication_Reminder_Snoozes SET Sent_At = NOW() WHERE ID = ?',
+            [snoozeId]
+        );
+    }
+};
+
+// The occurrence was snoozed and its snooze plus grace has not run out yet
+const isSnoozed = async (reminderId, scheduledTime, graceMinutes) => {
+    const [snoozes] = await pool.execute(
+        `SELECT ID FROM Medication_Reminder_Snoozes
+         WHERE Reminder_ID = ? AND Scheduled_Time = ?
+         AND Snoozed_Until > DATE_SUB(NOW(), INTERVAL ? MINUTE)`,
+        [reminderId, scheduledTime, graceMinutes]
+    );
+    return snoozes.length > 0;
+};
+
+module.exports = {
+    applyReminderAction,
+    getDueSnoozes,
+    markSnoozesSent,
+    isSnoozed
+};
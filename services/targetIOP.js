@@ -0,0 +1,118 @@
+// services/targetIOP.js - Per-patient Target IOP Service
+const { pool } = require('../config/database');
+
+// Used until a doctor sets a target for the patient (mmHg)
+const DEFAULT_TARGET_IOP = parseFloat(process.env.DEFAULT_TARGET_IOP) || 21;
+const MIN_TARGET_IOP = 5;
+const MAX_TARGET_IOP = 40;
+
+// Plausible range for a single tonometer reading (mmHg)
+const MIN_READING_IOP = 1;
+const MAX_READING_IOP = 60;
+
+const isValidTarget = (value) => {
+    const number = Number(value);
+    return value !== null && value !== undefined && value !== '' &&
+        !isNaN(number) && number >= MIN_TARGET_IOP && number <= MAX_TARGET_IOP;
+};
+
+const formatTarget = (row) => ({
+    left: row ? Number(row.Left_Eye_Target) : DEFAULT_TARGET_IOP,
+    right: row ? Number(row.Right_Eye_Target) : DEFAULT_TARGET_IOP,
+    version: row ? row.Version : null,
+    reason: row ? row.Reason : null,
+    set_by: row ? row.Set_By : null,
+    set_by_name: row && row.First_Name ? `${row.First_Name} ${row.Last_Name}` : null,
+    set_at: row ? row.Set_At : null,
+    is_default: !row
+});
+
+// Current target for both eyes, falling back to the default
+const getCurrentTarget = async (patientId) => {
+    const [rows] = await pool.execute(
+        `SELECT t.*, u.First_Name, u.Last_Name
+         FROM Target_IOP t
+         LEFT JOIN Users u ON t.Set_By = u.National_ID
+         WHERE t.Patient_ID = ?
+         ORDER BY t.Version DESC
+         LIMIT 1`,
+        [patientId]
+    );
+    return formatTarget(rows[0]);
+};
+
+// Current targets of several patients in one query, keyed by Patient_ID
+const getCurrentTargets = async (patientIds) => {
+    if (patientIds.length === 0) return {};
+
+    const [rows] = await pool.execute(
+        `SELECT t.*, u.First_Name, u.Last_Name
+         FROM Target_IOP t
+         LEFT JOIN Users u ON t.Set_By = u.National_ID
+         WHERE t.Patient_ID IN (${patientIds.map(() => '?').join(',')})
+         AND t.Version = (SELECT MAX(v.Version) FROM Target_IOP v WHERE v.Patient_ID = t.Patient_ID)`,
+        patientIds
+    );
+
+    const targets = {};
+    for (const patientId of patientIds) {
+        targets[patientId] = formatTarget(rows.find(row => String(row.Patient_ID) === String(patientId)));
+    }
+    return targets;
+};
+
+const getTargetHistory = async (patientId) => {
+    const [rows] = await pool.execute(
+        `SELECT t.*, u.First_Name, u.Last_Name
+         FROM Target_IOP t
+         LEFT JOIN Users u ON t.Set_By = u.National_ID
+         WHERE t.Patient_ID = ?
+         ORDER BY t.Version DESC`,
+        [patientId]
+    );
+    return rows.map(formatTarget);
+};
+
+// Record a new target version; an eye left out keeps its current target
+const setTarget = async (patientId, { left, right, reason }, setBy) => {
+    const current = await getCurrentTarget(patientId);
+    const version = (current.version || 0) + 1;
+
+    await pool.execute(
+        `INSERT INTO Target_IOP 
+         (ID, Patient_ID, Version, Left_Eye_Target, Right_Eye_Target, Reason, Set_By, Set_At)
+         VALUES (?, ?, ?, ?, ?, ?, ?, NOW())`,
+        [Date.now(), patientId, version,
+         left !== undefined ? left : current.left,
+         right !== undefined ? right : current.right,
+         reason || null, setBy]
+    );
+
+    return getCurrentTarget(patientId);
+};
+
+// Compare a reading against the target, per eye
+const evaluateReading = (leftIOP, rightIOP, target) => {
+    const leftAbove = leftIOP !== null && leftIOP !== undefined && Number(leftIOP) > target.left;
+    const rightAbove = rightIOP !== null && rightIOP !== undefined && Number(rightIOP) > target.right;
+
+    return {
+        left_above_target: leftAbove,
+        right_above_target: rightAbove,
+        above_target: leftAbove || rightAbove
+    };
+};
+
+module.exports = {
+    DEFAULT_TARGET_IOP,
+    MIN_TARGET_IOP,
+    MAX_TARGET_IOP,
+    MIN_READING_IOP,
+    MAX_READING_IOP,
+    isValidTarget,
+    getCurrentTarget,
+    getCurrentTargets,
+    getTargetHistory,
+    setTarget,
+    evaluateReading
+};
@@ -0,0 +1,58 @@
+// utils/csv.js - Minimal CSV Parsing (quoted fields, , ; or tab delimiters)
+
+// Pick the delimiter that splits the header line into the most columns
+const detectDelimiter = (headerLine) => {
+    const candidates = [',', ';', '\t'];
+    return candidates.reduce((best, delimiter) => (
+        headerLine.split(delimiter).length > headerLine.split(best).length ? delimiter : best
+    ), ',');
+};
+
+// Parse CSV text into an array of rows (arrays of strings); blank lines are skipped
+const parseCSV = (text, delimiter = null) => {
+    const content = text.replace(/^\uFEFF/, '');
+    const separator = delimiter || detectDelimiter(content.split(/\r?\n/, 1)[0] || '');
+
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+
+    for (let i = 0; i < content.length; i++) {
+        const char = content[i];
+
+        if (inQuotes) {
+            if (char === '"' && content[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === separator) {
+            row.push(field.trim());
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && content[i + 1] === '\n') i++;
+            row.push(field.trim());
+            if (row.some(value => value !== '')) rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+
+    row.push(field.trim());
+    if (row.some(value => value !== '')) rows.push(row);
+
+    return rows;
+};
+
+module.exports = {
+    detectDelimiter,
+    parseCSV
+};
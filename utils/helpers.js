@@ -1,17 +1,27 @@
 // utils/helpers.js - Helper Functions
 const bcrypt = require('bcrypt');
+const crypto = require('crypto');
 const jwt = require('jsonwebtoken');
 const { pool } = require('../config/database');
 
 // Environment Configuration
 const JWT_SECRET = process.env.JWT_SECRET || 'gtms_super_secret_key_2025';
 const JWT_REFRESH_SECRET = process.env.JWT_REFRESH_SECRET || 'gtms_refresh_secret_2025';
+const REFRESH_TOKEN_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+const SECRET_ENCRYPTION_KEY = crypto.createHash('sha256')
+    .update(process.env.SECRET_ENCRYPTION_KEY || JWT_SECRET)
+    .digest();
 
 // Utility Functions
 const generateId = () => {
     return Math.random().toString(36).substr(2, 8).toUpperCase();
 };
 
+// Numeric primary key for rows created in bulk. Random IDs start above the
+// Date.now() range the other inserts use, so the two schemes never overlap.
+const RECORD_ID_OFFSET = 1e15;
+const generateRecordId = () => RECORD_ID_OFFSET + crypto.randomInt(2 ** 48 - 1);
+
 const generateHN = () => {
     const year = new Date().getFullYear().toString().slice(-2);
     const random = Math.floor(Math.random() * 900000) + 100000;
@@ -43,9 +53,10 @@ const createUserSession = async (userId, token, deviceInfo, ipAddress, expiresAt
         const sessionId = generateId();
         await pool.execute(
             `INSERT INTO Sessions 
-             (Session_ID, National_ID, Session_Token, Session_Expires_At, Device_ID, Session_Status) 
-             VALUES (?, ?, ?, ?, ?, 'Active')`,
-            [sessionId, userId, token, expiresAt, deviceInfo]
+             (Session_ID, National_ID, Session_Token, Session_Expires_At, Device_ID, IP_Address, 
+              Session_Status, Created_At, Last_Activity_At) 
+             VALUES (?, ?, ?, ?, ?, ?, 'Active', NOW(), NOW())`,
+            [sessionId, userId, token, expiresAt, deviceInfo, ipAddress]
         );
         return sessionId;
     } catch (error) {
@@ -61,17 +72,100 @@ const invalidateUserSessions = async (userId, currentSessionId = null) => {
                 'UPDATE Sessions SET Session_Status = "Expired" WHERE National_ID = ? AND Session_ID != ?',
                 [userId, currentSessionId]
             );
+            await pool.execute(
+                'UPDATE Refresh_Tokens SET Revoked_At = NOW() WHERE National_ID = ? AND Session_ID != ? AND Revoked_At IS NULL',
+                [userId, currentSessionId]
+            );
         } else {
             await pool.execute(
                 'UPDATE Sessions SET Session_Status = "Expired" WHERE National_ID = ?',
                 [userId]
             );
+            await pool.execute(
+                'UPDATE Refresh_Tokens SET Revoked_At = NOW() WHERE National_ID = ? AND Revoked_At IS NULL',
+                [userId]
+            );
         }
     } catch (error) {
         console.error('Failed to invalidate sessions:', error);
     }
 };
 
+// End a single session and revoke the refresh tokens bound to it
+const invalidateSession = async (userId, sessionId) => {
+    const [result] = await pool.execute(
+        'UPDATE Sessions SET Session_Status = "Expired" WHERE National_ID = ? AND Session_ID = ? AND Session_Status = "Active"',
+        [userId, sessionId]
+    );
+    await pool.execute(
+        'UPDATE Refresh_Tokens SET Revoked_At = NOW() WHERE National_ID = ? AND Session_ID = ? AND Revoked_At IS NULL',
+        [userId, sessionId]
+    );
+    return result.affectedRows > 0;
+};
+
+// Record session activity at most once a minute
+const touchSession = async (sessionId) => {
+    try {
+        await pool.execute(
+            `UPDATE Sessions SET Last_Activity_At = NOW() 
+             WHERE Session_ID = ? AND (Last_Activity_At IS NULL OR Last_Activity_At < DATE_SUB(NOW(), INTERVAL 1 MINUTE))`,
+            [sessionId]
+        );
+    } catch (error) {
+        console.error('Failed to update session activity:', error);
+    }
+};
+
+// Point a session at a newly issued access token
+const updateSessionToken = async (sessionId, token, expiresAt, db = pool) => {
+    await db.execute(
+        'UPDATE Sessions SET Session_Token = ?, Session_Expires_At = ? WHERE Session_ID = ?',
+        [token, expiresAt, sessionId]
+    );
+};
+
+// Refresh Token Management
+const hashToken = (token) => {
+    return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+// Issue and persist a refresh token; omit familyId to start a new rotation family
+const issueRefreshToken = async (userId, sessionId, familyId = null, db = pool) => {
+    const tokenId = crypto.randomBytes(16).toString('hex');
+    const family = familyId || crypto.randomBytes(16).toString('hex');
+    const expiresAt = new Date(Date.now() + REFRESH_TOKEN_TTL_MS);
+
+    const refreshToken = signRefreshToken({
+        userId,
+        type: 'refresh',
+        jti: tokenId,
+        fam: family
+    });
+
+    await db.execute(
+        `INSERT INTO Refresh_Tokens 
+         (Token_ID, Family_ID, Session_ID, National_ID, Token_Hash, Expires_At, Created_At) 
+         VALUES (?, ?, ?, ?, ?, ?, NOW())`,
+        [tokenId, family, sessionId, userId, hashToken(refreshToken), expiresAt]
+    );
+
+    return { refreshToken, tokenId, familyId: family, expiresAt };
+};
+
+// Revoke every token in a rotation family and end the sessions it belongs to
+const revokeRefreshTokenFamily = async (familyId, db = pool) => {
+    await db.execute(
+        `UPDATE Sessions SET Session_Status = "Expired" 
+         WHERE Session_ID IN (SELECT Session_ID FROM Refresh_Tokens WHERE Family_ID = ?)`,
+        [familyId]
+    );
+    await db.execute(
+        'UPDATE Refresh_Tokens SET Revoked_At = NOW() WHERE Family_ID = ? AND Revoked_At IS NULL',
+        [familyId]
+    );
+};
+
 // Audit Log Function
 const logUserAction = async (userId, action, entityType, entityId, details, status = 'success', ipAddress = null, userAgent = null) => {
     try {
@@ -116,6 +210,41 @@ const comparePassword = async (password, hash) => {
     return await bcrypt.compare(password, hash);
 };
 
+// One-Time Codes
+const generateOTP = (length = 6) => {
+    let otp = '';
+    for (let i = 0; i < length; i++) {
+        otp += crypto.randomInt(0, 10).toString();
+    }
+    return otp;
+};
+
+// Keyed hash so stored codes cannot be brute-forced offline
+const hashOTP = (userId, otp) => {
+    return crypto.createHmac('sha256', JWT_SECRET).update(`${userId}:${otp}`).digest('hex');
+};
+
+const verifyOTPHash = (userId, otp, expectedHash) => {
+    const actual = Buffer.from(hashOTP(userId, String(otp)), 'hex');
+    const expected = Buffer.from(expectedHash, 'hex');
+    return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+};
+
+// Secret Encryption (AES-256-GCM) for values that must be recoverable, e.g. TOTP secrets
+const encryptSecret = (plainText) => {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', SECRET_ENCRYPTION_KEY, iv);
+    const encrypted = Buffer.concat([cipher.update(plainText, 'utf8'), cipher.final()]);
+    return [iv, cipher.getAuthTag(), encrypted].map(part => part.toString('base64')).join('.');
+};
+
+const decryptSecret = (payload) => {
+    const [iv, authTag, encrypted] = payload.split('.').map(part => Buffer.from(part, 'base64'));
+    const decipher = crypto.createDecipheriv('aes-256-gcm', SECRET_ENCRYPTION_KEY, iv);
+    decipher.setAuthTag(authTag);
+    return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+};
+
 // Date Helpers
 const formatDate = (date) => {
     return new Date(date).toISOString().split('T')[0];
@@ -127,12 +256,19 @@ const formatDateTime = (date) => {
 
 module.exports = {
     generateId,
+    generateRecordId,
     generateHN,
     validateThaiIdCard,
     validateEmail,
     validatePhoneNumber,
     createUserSession,
     invalidateUserSessions,
+    invalidateSession,
+    touchSession,
+    updateSessionToken,
+    hashToken,
+    issueRefreshToken,
+    revokeRefreshTokenFamily,
     logUserAction,
     signAccessToken,
     signRefreshToken,
@@ -140,6 +276,11 @@ module.exports = {
     verifyRefreshToken,
     hashPassword,
     comparePassword,
+    generateOTP,
+    hashOTP,
+    verifyOTPHash,
+    encryptSecret,
+    decryptSecret,
     formatDate,
     formatDateTime,
     JWT_SECRET,
@@ -0,0 +1,128 @@
+// utils/iopStatistics.js - IOP Statistics Helpers
+
+const DAYS_PER_MONTH = 30.44;
+
+// Two-sided 95% t critical values by degrees of freedom (1-30); normal beyond
+const T_CRITICAL_95 = [
+    12.706, 4.303, 3.182, 2.776, 2.571, 2.447, 2.365, 2.306, 2.262, 2.228,
+    2.201, 2.179, 2.160, 2.145, 2.131, 2.120, 2.110, 2.101, 2.093, 2.086,
+    2.080, 2.074, 2.069, 2.064, 2.060, 2.056, 2.052, 2.048, 2.045, 2.042
+];
+
+const tCritical95 = (degreesOfFreedom) => {
+    return T_CRITICAL_95[degreesOfFreedom - 1] || 1.96;
+};
+
+const round = (value, digits = 2) => {
+    if (value === null || value === undefined || !isFinite(value)) return null;
+    const factor = 10 ** digits;
+    return Math.round(value * factor) / factor;
+};
+
+const mean = (values) => {
+    if (values.length === 0) return null;
+    return values.reduce((sum, value) => sum + value, 0) / values.length;
+};
+
+// Sample standard deviation
+const standardDeviation = (values) => {
+    if (values.length < 2) return null;
+    const average = mean(values);
+    const variance = values.reduce((sum, value) => sum + (value - average) ** 2, 0) / (values.length - 1);
+    return Math.sqrt(variance);
+};
+
+// Least-squares fit of y on x; points are { x, y }.
+// Returns slope, intercept, r_squared and the 95% confidence interval of the slope.
+const linearRegression = (points) => {
+    const n = points.length;
+    if (n < 3) return null;
+
+    const meanX = mean(points.map(p => p.x));
+    const meanY = mean(points.map(p => p.y));
+
+    let sxx = 0;
+    let sxy = 0;
+    let syy = 0;
+    for (const { x, y } of points) {
+        sxx += (x - meanX) ** 2;
+        sxy += (x - meanX) * (y - meanY);
+        syy += (y - meanY) ** 2;
+    }
+
+    // All readings on the same day: no trend can be estimated
+    if (sxx === 0) return null;
+
+    const slope = sxy / sxx;
+    const intercept = meanY - slope * meanX;
+    const residualSS = points.reduce((sum, { x, y }) => sum + (y - (intercept + slope * x)) ** 2, 0);
+    const standardError = Math.sqrt(residualSS / (n - 2) / sxx);
+    const margin = tCritical95(n - 2) * standardError;
+
+    return {
+        slope,
+        intercept,
+        r_squared: syy === 0 ? 1 : 1 - residualSS / syy,
+        standard_error: standardError,
+        ci_low: slope - margin,
+        ci_high: slope + margin,
+        n
+    };
+};
+
+// Trend of dated readings ({ date, value }) expressed in mmHg per month
+const monthlyTrend = (readings) => {
+    if (readings.length === 0) return null;
+
+    const start = Math.min(...readings.map(r => new Date(r.date).getTime()));
+    const points = readings.map(r => ({
+        x: (new Date(r.date).getTime() - start) / (24 * 60 * 60 * 1000) / DAYS_PER_MONTH,
+        y: r.value
+    }));
+
+    const fit = linearRegression(points);
+    if (!fit) return null;
+
+    return {
+        slope_per_month: round(fit.slope),
+        ci_95: [round(fit.ci_low), round(fit.ci_high)],
+        r_squared: round(fit.r_squared, 3),
+        readings: fit.n,
+        // Rising only when the whole confidence interval is above zero
+        significant_rise: fit.ci_low > 0,
+        significant_fall: fit.ci_high < 0
+    };
+};
+
+const percentAbove = (values, threshold) => {
+    if (values.length === 0) return null;
+    return round(values.filter(value => value > threshold).length / values.length * 100, 1);
+};
+
+// Difference between eyes for readings where both were measured
+const interEyeDifference = (pairs) => {
+    const differences = pairs
+        .filter(p => p.left !== null && p.right !== null)
+        .map(p => p.left - p.right);
+
+    if (differences.length === 0) return null;
+
+    const absolute = differences.map(Math.abs);
+    return {
+        mean_difference: round(mean(differences)),
+        mean_absolute_difference: round(mean(absolute)),
+        max_absolute_difference: round(Math.max(...absolute)),
+        readings: differences.length
+    };
+};
+
+module.exports = {
+    DAYS_PER_MONTH,
+    round,
+    mean,
+    standardDeviation,
+    linearRegression,
+    monthlyTrend,
+    percentAbove,
+    interEyeDifference
+};
@@ -0,0 +1,78 @@
+// utils/medicationFrequency.js - Parse Prescription Frequency Text into Daily Dose Times
+
+// Default clock times for N doses a day when the prescription gives only a count
+const DEFAULT_DOSE_TIMES = {
+    1: ['08:00'],
+    2: ['08:00', '20:00'],
+    3: ['08:00', '14:00', '20:00'],
+    4: ['08:00', '12:00', '16:00', '20:00'],
+    5: ['06:00', '10:00', '14:00', '18:00', '22:00'],
+    6: ['06:00', '09:00', '12:00', '15:00', '18:00', '21:00']
+};
+const BEDTIME = '21:00';
+const MORNING = '08:00';
+const EVENING = '20:00';
+// First dose of an every-N-hours prescription
+const INTERVAL_START_TIME = '08:00';
+
+const LATIN_TIMES_PER_DAY = { qd: 1, daily: 1, bid: 2, tid: 3, qid: 4 };
+
+// Returns { times: ['HH:MM', ...], interval_hours, as_needed } or null when not understood.
+// Handles Latin abbreviations (BID, q6h, qhs, PRN), English and Thai phrasing.
+const parseFrequency = (text) => {
+    if (!text) return null;
+
+    const raw = String(text).trim();
+    const value = raw.toLowerCase().replace(/\./g, '').replace(/\s+/g, ' ');
+
+    if (/\bprn\b|as needed|when needed|เมื่อมีอาการ|เมื่อจำเป็น|เวลามีอาการ/.test(value)) {
+        return { times: [], interval_hours: null, as_needed: true };
+    }
+
+    const interval = /\bq\s?(\d{1,2})\s?h\b|every (\d{1,2}) ?(?:hours?|hrs?)|ทุก ?(\d{1,2}) ?ชั่วโมง|ทุก ?(\d{1,2}) ?ชม/.exec(value);
+    if (interval) {
+        const hours = parseInt(interval[1] || interval[2] || interval[3] || interval[4]);
+        if (hours >= 1 && hours <= 24) {
+            return { times: [INTERVAL_START_TIME], interval_hours: hours, as_needed: false };
+        }
+    }
+
+    if (/\bq ?hs\b|\bhs\b|at bedtime|before bed|ก่อนนอน/.test(value) && !/เช้า|morning/.test(value)) {
+        return { times: [BEDTIME], interval_hours: null, as_needed: false };
+    }
+
+    const count = /(\d) ?(?:times|x)(?: a| per)? ?day|(\d) ?(?:times|x) daily|วันละ ?(\d) ?ครั้ง/.exec(value);
+    if (count) {
+        const times = DEFAULT_DOSE_TIMES[parseInt(count[1] || count[2] || count[3])];
+        if (times) return { times, interval_hours: null, as_needed: false };
+    }
+
+    if (/once (?:a )?day|once daily|วันละครั้ง/.test(value)) {
+        return { times: DEFAULT_DOSE_TIMES[1], interval_hours: null, as_needed: false };
+    }
+    if (/twice (?:a )?day|twice daily/.test(value)) {
+        return { times: DEFAULT_DOSE_TIMES[2], interval_hours: null, as_needed: false };
+    }
+
+    const latin = /\b(qd|daily|bid|tid|qid)\b/.exec(value);
+    if (latin) {
+        const count = LATIN_TIMES_PER_DAY[latin[1]];
+        return { times: DEFAULT_DOSE_TIMES[count], interval_hours: null, as_needed: false };
+    }
+
+    const morning = /\bqam\b|\bam\b|morning|เช้า/.test(value);
+    const evening = /\bqpm\b|\bpm\b|evening|เย็น/.test(value);
+    if (morning || evening) {
+        const times = [];
+        if (morning) times.push(MORNING);
+        if (evening) times.push(EVENING);
+        return { times, interval_hours: null, as_needed: false };
+    }
+
+    return null;
+};
+
+module.exports = {
+    DEFAULT_DOSE_TIMES,
+    parseFrequency
+};
@@ -0,0 +1,159 @@
+// utils/reminderSchedule.js - Medication Reminder Recurrence Rules
+
+const DAY_CODES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+const MAX_INTERVAL_HOURS = 72;
+
+// 'Mon,Wed,Fri' or ['Mon', 'Wed', 'Fri'] -> ['Mon', 'Wed', 'Fri'] in week order; null if invalid
+const parseDaysOfWeek = (value) => {
+    if (value === null || value === undefined || value === '') return null;
+
+    const items = (Array.isArray(value) ? value : String(value).split(','))
+        .map(item => String(item).trim())
+        .filter(item => item !== '');
+
+    const days = [];
+    for (const item of items) {
+        const day = DAY_CODES.find(code => code.toLowerCase() === item.slice(0, 3).toLowerCase());
+        if (!day) return null;
+        if (!days.includes(day)) days.push(day);
+    }
+
+    if (days.length === 0) return null;
+    return DAY_CODES.filter(code => days.includes(code));
+};
+
+// 'HH:MM[:SS]' (or a Date) -> { hours, minutes }; null if invalid
+const parseTime = (value) => {
+    if (value instanceof Date) {
+        return { hours: value.getHours(), minutes: value.getMinutes() };
+    }
+
+    const match = /^(\d{1,2}):(\d{2})(?::\d{2})?$/.exec(String(value || '').trim());
+    if (!match) return null;
+
+    const hours = parseInt(match[1]);
+    const minutes = parseInt(match[2]);
+    if (hours > 23 || minutes > 59) return null;
+    return { hours, minutes };
+};
+
+// Local calendar date as 'YYYY-MM-DD'
+const dateKey = (date) => {
+    const d = new Date(date);
+    const pad = (n) => String(n).padStart(2, '0');
+    return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`;
+};
+
+const parseDate = (value) => {
+    if (value instanceof Date) return isNaN(value.getTime()) ? null : dateKey(value);
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(String(value || ''))) return null;
+
+    const date = new Date(`${value}T00:00:00`);
+    return isNaN(date.getTime()) || dateKey(date) !== value ? null : value;
+};
+
+const atTime = (day, { hours, minutes }) => {
+    const date = new Date(day);
+    date.setHours(hours, minutes, 0, 0);
+    return date;
+};
+
+// Validate a schedule from a request body; returns a list of error messages
+const validateSchedule = ({ reminder_time, days_of_week, interval_hours, start_date, end_date }) => {
+    const errors = [];
+
+    if (!parseTime(reminder_time)) {
+        errors.push('เวลาแจ้งเตือนต้องอยู่ในรูปแบบ HH:MM');
+    }
+
+    if (days_of_week !== undefined && days_of_week !== null && !parseDaysOfWeek(days_of_week)) {
+        errors.push(`วันที่แจ้งเตือนต้องเป็น ${DAY_CODES.join(', ')}`);
+    }
+
+    if (interval_hours !== undefined && interval_hours !== null && interval_hours !== '') {
+        const interval = Number(interval_hours);
+        if (!Number.isInteger(interval) || interval < 1 || interval > MAX_INTERVAL_HOURS) {
+            errors.push(`ช่วงเวลาระหว่างการแจ้งเตือนต้องเป็น 1-${MAX_INTERVAL_HOURS} ชั่วโมง`);
+        }
+    }
+
+    const start = start_date ? parseDate(start_date) : null;
+    const end = end_date ? parseDate(end_date) : null;
+
+    if (start_date && !start) errors.push('วันที่เริ่มไม่ถูกต้อง');
+    if (end_date && !end) errors.push('วันที่สิ้นสุดไม่ถูกต้อง');
+    if (start && end && end < start) errors.push('วันที่สิ้นสุดต้องไม่ก่อนวันที่เริ่ม');
+
+    return errors;
+};
+
+// Occurrences of a Medication_Reminders row between `from` and `to` (inclusive).
+// Interval reminders repeat every Interval_Hours from Reminder_Time on the first day
+// of the course; others fire once a day at Reminder_Time. Days_Of_Week and the
+// Start_Date/End_Date course limits filter both.
+const getOccurrences = (reminder, from, to) => {
+    const time = parseTime(reminder.Reminder_Time);
+    if (!time) return [];
+
+    const days = parseDaysOfWeek(reminder.Days_Of_Week) || DAY_CODES;
+    const startKey = reminder.Start_Date ? parseDate(reminder.Start_Date) : null;
+    const endKey = reminder.End_Date ? parseDate(reminder.End_Date) : null;
+    const interval = reminder.Interval_Hours ? Number(reminder.Interval_Hours) : null;
+
+    const fromMs = new Date(from).getTime();
+    const toMs = new Date(to).getTime();
+
+    const isScheduled = (date) => {
+        const key = dateKey(date);
+        return days.includes(DAY_CODES[date.getDay()]) &&
+            (!startKey || key >= startKey) &&
+            (!endKey || key <= endKey);
+    };
+
+    const occurrences = [];
+
+    if (interval) {
+        const firstDay = startKey || dateKey(reminder.Created_At || from);
+        const anchor = atTime(`${firstDay}T00:00:00`, time).getTime();
+        const stepMs = interval * HOUR_MS;
+        const firstStep = Math.max(0, Math.ceil((fromMs - anchor) / stepMs));
+
+        for (let t = anchor + firstStep * stepMs; t <= toMs; t += stepMs) {
+            const occurrence = new Date(t);
+            if (isScheduled(occurrence)) occurrences.push(occurrence);
+        }
+    } else {
+        const day = new Date(fromMs);
+        day.setHours(0, 0, 0, 0);
+
+        for (; day.getTime() <= toMs; day.setDate(day.getDate() + 1)) {
+            const occurrence = atTime(day, time);
+            const t = occurrence.getTime();
+            if (t >= fromMs && t <= toMs && isScheduled(occurrence)) {
+                occurrences.push(occurrence);
+            }
+        }
+    }
+
+    return occurrences;
+};
+
+// Next occurrence at or after `from` within the next `lookaheadDays`; null once the course has ended
+const getNextOccurrence = (reminder, from = new Date(), lookaheadDays = 8) => {
+    const occurrences = getOccurrences(reminder, from, new Date(new Date(from).getTime() + lookaheadDays * DAY_MS));
+    return occurrences.length > 0 ? occurrences[0] : null;
+};
+
+module.exports = {
+    DAY_CODES,
+    MAX_INTERVAL_HOURS,
+    parseDaysOfWeek,
+    parseTime,
+    parseDate,
+    dateKey,
+    validateSchedule,
+    getOccurrences,
+    getNextOccurrence
+};
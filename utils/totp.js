@@ -0,0 +1,108 @@
+// utils/totp.js - RFC 6238 Time-Based One-Time Passwords
+const crypto = require('crypto');
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const TOTP_DIGITS = 6;
+const TOTP_PERIOD_SECONDS = 30;
+
+const base32Encode = (buffer) => {
+    let bits = 0;
+    let value = 0;
+    let output = '';
+
+    for (const byte of buffer) {
+        value = (value << 8) | byte;
+        bits += 8;
+        while (bits >= 5) {
+            output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+            bits -= 5;
+        }
+    }
+
+    if (bits > 0) {
+        output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+    }
+
+    return output;
+};
+
+const base32Decode = (input) => {
+    const cleaned = input.toUpperCase().replace(/=+$/, '').replace(/\s/g, '');
+    let bits = 0;
+    let value = 0;
+    const bytes = [];
+
+    for (const char of cleaned) {
+        const index = BASE32_ALPHABET.indexOf(char);
+        if (index === -1) throw new Error('Invalid base32 character');
+        value = (value << 5) | index;
+        bits += 5;
+        if (bits >= 8) {
+            bytes.push((value >>> (bits - 8)) & 255);
+            bits -= 8;
+        }
+    }
+
+    return Buffer.from(bytes);
+};
+
+// 160-bit secret, base32 encoded for authenticator apps
+const generateSecret = () => {
+    return base32Encode(crypto.randomBytes(20));
+};
+
+const currentStep = (timestamp = Date.now()) => {
+    return Math.floor(timestamp / 1000 / TOTP_PERIOD_SECONDS);
+};
+
+const generateTOTP = (secret, step = currentStep()) => {
+    const counter = Buffer.alloc(8);
+    counter.writeBigUInt64BE(BigInt(step));
+
+    const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+    const offset = hmac[hmac.length - 1] & 0xf;
+    const binary = ((hmac[offset] & 0x7f) << 24) |
+        (hmac[offset + 1] << 16) |
+        (hmac[offset + 2] << 8) |
+        hmac[offset + 3];
+
+    return (binary % 10 ** TOTP_DIGITS).toString().padStart(TOTP_DIGITS, '0');
+};
+
+// Returns the matched time step (for replay protection) or null
+const verifyTOTP = (secret, code, window = 1) => {
+    if (!/^\d{6}$/.test(String(code))) return null;
+
+    const now = currentStep();
+    for (let drift = -window; drift <= window; drift++) {
+        const expected = Buffer.from(generateTOTP(secret, now + drift));
+        const actual = Buffer.from(String(code));
+        if (crypto.timingSafeEqual(expected, actual)) {
+            return now + drift;
+        }
+    }
+
+    return null;
+};
+
+// otpauth:// provisioning URI, rendered as a QR code by the client
+const buildOtpauthUri = (secret, accountName, issuer = 'EyeMate') => {
+    const label = encodeURIComponent(`${issuer}:${accountName}`);
+    const params = new URLSearchParams({
+        secret,
+        issuer,
+        algorithm: 'SHA1',
+        digits: String(TOTP_DIGITS),
+        period: String(TOTP_PERIOD_SECONDS)
+    });
+    return `otpauth://totp/${label}?${params.toString()}`;
+};
+
+module.exports = {
+    base32Encode,
+    base32Decode,
+    generateSecret,
+    generateTOTP,
+    verifyTOTP,
+    buildOtpauthUri
+};